@@ -3,15 +3,32 @@ import FontUploader from './components/FontUploader.jsx';
 import FontList from './components/FontList.jsx';
 import FontGroupCreator from './components/FontGroupCreator.jsx';
 import FontGroupsList from './components/FontGroupsList.jsx';
-import { fontService, groupService } from './services/api';
+import GroupImporter from './components/GroupImporter.jsx';
+import SearchBar from './components/SearchBar.jsx';
+import useSpecimenSettings from './hooks/useSpecimenSettings';
+import { fontService, groupService, searchService, tagService } from './services/api';
+import { getSpecimenText } from './utils/specimenText';
+import { getLicenseStatus } from './utils/licenses';
+
+// CSS format() hints for the font formats the server accepts
+const CSS_FONT_FORMATS = {
+  ttf: 'truetype',
+  otf: 'opentype',
+  woff: 'woff',
+  woff2: 'woff2'
+};
 
 // SOLID Principle: Single Responsibility - Main application container
 function App() {
   const [fonts, setFonts] = useState([]);
   const [groups, setGroups] = useState([]);
+  const [tags, setTags] = useState([]);
   const [loadedFonts, setLoadedFonts] = useState([]);
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(true);
+  // Search result to bring into view; a new object each time so repeat picks still scroll
+  const [focusTarget, setFocusTarget] = useState(null);
+  const [specimenSettings, updateSpecimenSettings] = useSpecimenSettings();
 
   // Callback functions - declared before useEffect hooks
   const showError = useCallback((message) => {
@@ -36,11 +53,20 @@ function App() {
     }
   }, [showError]);
 
+  const loadTags = useCallback(async () => {
+    try {
+      setTags(await tagService.getAllTags());
+    } catch (error) {
+      showError('Failed to load tags: ' + error.message);
+    }
+  }, [showError]);
+
   const loadFontsIntoDOM = useCallback(() => {
     const newLoadedFonts = [];
     
     fonts.forEach(font => {
-      const fontFamily = font.name.replace(/\s+/g, '');
+      // Keyed by ID so fonts that share a file name never collide
+      const fontFamily = `font-${font.id}`;
       
       // Check if font is already loaded
       if (loadedFonts.includes(fontFamily)) {
@@ -49,7 +75,8 @@ function App() {
       }
 
       // Create font face
-      const fontFace = new FontFace(fontFamily, `url(http://localhost:5000${font.path})`);
+      const formatHint = CSS_FONT_FORMATS[font.format] ? ` format('${CSS_FONT_FORMATS[font.format]}')` : '';
+      const fontFace = new FontFace(fontFamily, `url(http://localhost:5000${encodeURI(font.path)})${formatHint}`);
       
       fontFace.load().then(() => {
         document.fonts.add(fontFace);
@@ -70,33 +97,148 @@ function App() {
     loadFontsIntoDOM();
   }, [loadFontsIntoDOM]);
 
+  // Tag counts follow the fonts, so refresh them whenever the fonts change
+  useEffect(() => {
+    loadTags();
+  }, [fonts, loadTags]);
+
   // Font handlers
-  const handleFontUpload = async (file) => {
+  const handleFontUpload = async (files, details) => {
     try {
-      const uploadedFont = await fontService.uploadFont(file);
-      setFonts(prev => [...prev, uploadedFont]);
-      return uploadedFont;
+      const results = await fontService.uploadFonts(files, details);
+      const uploadedFonts = results.filter(result => !result.quarantined && !result.duplicate);
+      const quarantined = results.filter(result => result.quarantined);
+      const duplicates = results.filter(result => result.duplicate);
+      if (duplicates.length > 0) {
+        showError(`Already in the library: ${duplicates.map(font => font.filename).join(', ')}`);
+      }
+      if (quarantined.length > 0) {
+        showError(
+          `${quarantined.map(entry => entry.originalname).join(', ')} failed integrity checks and ` +
+          'will be reviewed by an admin before appearing in the list'
+        );
+      }
+
+      setFonts(prev => [...prev, ...uploadedFonts]);
+      return uploadedFonts;
     } catch (error) {
       throw new Error('Failed to upload font: ' + error.message);
     }
   };
 
-  const handleFontDelete = async (filename) => {
+  const handleFontUpdate = async (fontId, changes) => {
     try {
-      await fontService.deleteFont(filename);
-      setFonts(prev => prev.filter(font => font.filename !== filename));
+      const updatedFont = await fontService.updateFont(fontId, changes);
+      setFonts(prev => prev.map(font =>
+        font.id === fontId ? updatedFont : font
+      ));
+      return updatedFont;
+    } catch (error) {
+      throw new Error('Failed to update font: ' + error.message);
+    }
+  };
+
+  const handleFontDelete = async (fontId, options) => {
+    try {
+      const result = await fontService.deleteFont(fontId, options);
+      setFonts(prev => prev.filter(font => font.id !== fontId));
+
+      // Groups the font was removed from come back with the response
+      const updatedGroups = result.groups || [];
+      setGroups(prev => prev.map(group =>
+        updatedGroups.find(updated => updated.id === group.id) || group
+      ));
       
       // Remove from loaded fonts
-      const fontToRemove = fonts.find(font => font.filename === filename);
-      if (fontToRemove) {
-        const fontFamily = fontToRemove.name.replace(/\s+/g, '');
-        setLoadedFonts(prev => prev.filter(f => f !== fontFamily));
-      }
+      setLoadedFonts(prev => prev.filter(f => f !== `font-${fontId}`));
     } catch (error) {
       throw new Error('Failed to delete font: ' + error.message);
     }
   };
 
+  // Tag handlers. Tag changes come back with the fonts they touched.
+  const mergeUpdatedFonts = (updatedFonts) => {
+    setFonts(prev => prev.map(font =>
+      updatedFonts.find(updated => updated.id === font.id) || font
+    ));
+  };
+
+  const handleTagFonts = async (fontIds, changes) => {
+    try {
+      const result = await tagService.tagFonts(fontIds, changes);
+      mergeUpdatedFonts(result.fonts);
+      return result.fonts;
+    } catch (error) {
+      throw new Error('Failed to tag fonts: ' + error.message);
+    }
+  };
+
+  const handleCreateTag = async (name) => {
+    try {
+      const tag = await tagService.createTag(name);
+      await loadTags();
+      return tag;
+    } catch (error) {
+      throw new Error('Failed to create tag: ' + error.message);
+    }
+  };
+
+  const handleRenameTag = async (name, newName) => {
+    try {
+      const result = await tagService.renameTag(name, newName);
+      mergeUpdatedFonts(result.fonts);
+      await loadTags();
+      return result.tag;
+    } catch (error) {
+      throw new Error('Failed to rename tag: ' + error.message);
+    }
+  };
+
+  const handleDeleteTag = async (name) => {
+    try {
+      const result = await tagService.deleteTag(name);
+      mergeUpdatedFonts(result.fonts);
+      await loadTags();
+    } catch (error) {
+      throw new Error('Failed to delete tag: ' + error.message);
+    }
+  };
+
+  // License handlers. Each change comes back with the updated font.
+  const updateFontLicense = async (request, failure) => {
+    try {
+      const updatedFont = await request();
+      mergeUpdatedFonts([updatedFont]);
+      return updatedFont;
+    } catch (error) {
+      throw new Error(`${failure}: ${error.message}`);
+    }
+  };
+
+  const handleSaveLicenseRecord = (fontId, record) => (
+    updateFontLicense(() => fontService.saveLicenseRecord(fontId, record), 'Failed to save license record')
+  );
+
+  const handleSetLicenseOverride = (fontId, reason) => (
+    updateFontLicense(() => fontService.setLicenseOverride(fontId, reason), 'Failed to record override')
+  );
+
+  const handleClearLicenseOverride = (fontId) => (
+    updateFontLicense(() => fontService.clearLicenseOverride(fontId), 'Failed to remove override')
+  );
+
+  const handleUploadLicenseDocument = (fontId, file) => (
+    updateFontLicense(() => fontService.uploadLicenseDocument(fontId, file), 'Failed to attach license document')
+  );
+
+  const handleRemoveLicenseDocument = (fontId) => (
+    updateFontLicense(() => fontService.removeLicenseDocument(fontId), 'Failed to remove license document')
+  );
+
+  const handleOpenLicenseDocument = (fontId) => {
+    window.open(fontService.getLicenseDocumentUrl(fontId), '_blank', 'noopener');
+  };
+
   // Group handlers
   const handleGroupCreate = async (groupData) => {
     try {
@@ -108,27 +250,144 @@ function App() {
     }
   };
 
-  const handleGroupEdit = async (groupId, groupData) => {
+  // Someone else saved the group first; show their version instead
+  const adoptCurrentGroup = (currentGroup) => {
+    setGroups(prev => prev.map(group => (group.id === currentGroup.id ? currentGroup : group)));
+  };
+
+  // A 412 is rethrown as-is so the editor can offer to reload or overwrite
+  const handleGroupEdit = async (groupId, groupData, version) => {
     try {
-      const updatedGroup = await groupService.updateGroup(groupId, groupData);
+      const updatedGroup = await groupService.updateGroup(groupId, groupData, version);
       setGroups(prev => prev.map(group => 
         group.id === groupId ? updatedGroup : group
       ));
       return updatedGroup;
     } catch (error) {
+      if (error.status === 412 && error.data.group) {
+        adoptCurrentGroup(error.data.group);
+        throw error;
+      }
       throw new Error('Failed to update group: ' + error.message);
     }
   };
 
-  const handleGroupDelete = async (groupId) => {
+  const handleGroupDelete = async (groupId, version) => {
     try {
-      await groupService.deleteGroup(groupId);
+      await groupService.deleteGroup(groupId, version);
       setGroups(prev => prev.filter(group => group.id !== groupId));
     } catch (error) {
+      if (error.status === 412 && error.data.group) {
+        adoptCurrentGroup(error.data.group);
+        throw new Error('This group was changed by someone else. Review the latest version before deleting it.');
+      }
       throw new Error('Failed to delete group: ' + error.message);
     }
   };
 
+  const handleSearch = useCallback((query) => searchService.search(query), []);
+
+  const handleSelectSearchResult = (result) => {
+    setFocusTarget({ type: result.type, id: result.id });
+  };
+
+  const handleListFonts = useCallback((params) => fontService.listFonts(params), []);
+
+  const handleGetFontCoverage = useCallback((fontId) => fontService.getFontCoverage(fontId), []);
+
+  const handleListGroups = useCallback((params) => groupService.listGroups(params), []);
+
+  const handleGetGroupSuggestions = useCallback(() => groupService.getGroupSuggestions(), []);
+
+  const handleGetGroupFallbacks = useCallback((groupId, fallback) => groupService.getGroupFallbacks(groupId, fallback), []);
+
+  const handleGetGroupLicense = useCallback((groupId) => groupService.getGroupLicense(groupId), []);
+
+  const handleGetGroupRevisions = useCallback((groupId) => groupService.getGroupRevisions(groupId), []);
+
+  const handleGetGroupRevision = useCallback((groupId, rev) => groupService.getGroupRevision(groupId, rev), []);
+
+  const handleGroupRestore = async (groupId, rev) => {
+    try {
+      const restoredGroup = await groupService.restoreGroup(groupId, rev);
+      setGroups(prev => (prev.some(group => group.id === groupId)
+        ? prev.map(group => (group.id === groupId ? restoredGroup : group))
+        : [...prev, restoredGroup]));
+      return restoredGroup;
+    } catch (error) {
+      throw new Error('Failed to restore group: ' + error.message);
+    }
+  };
+
+  // Resolves with the import report, including when the group itself could
+  // not be created (422) but some fonts were still added to the library
+  const handleGroupImport = async (file) => {
+    let report;
+    try {
+      report = await groupService.importGroup(file);
+    } catch (error) {
+      if (error.status !== 422 || !error.data) {
+        throw new Error('Failed to import group: ' + error.message);
+      }
+      report = error.data;
+    }
+    setFonts(prev => [...prev, ...report.created.map(item => item.font)]);
+    if (report.group) {
+      setGroups(prev => [...prev, report.group]);
+    }
+    return report;
+  };
+
+  const handleGetGroupCss = async (groupId) => {
+    return groupService.getGroupCss(groupId);
+  };
+
+  // The server refuses CSS and exports for groups with restricted fonts.
+  // Links opened in the browser would only show the raw error, so the
+  // same check is made here first; returns false after reporting it.
+  const checkGroupWebUse = (groupId) => {
+    const group = groups.find(item => item.id === groupId);
+    const fontIds = group ? (group.fonts || []).map(row => row.selectedFont) : [];
+    const restricted = fonts.filter(font => fontIds.includes(font.id) && getLicenseStatus(font).status === 'restricted');
+    if (restricted.length > 0) {
+      showError(`Not licensed for web use: ${restricted.map(font => font.name).join(', ')}. Record a license override to allow it.`);
+      return false;
+    }
+    return true;
+  };
+
+  const handleOpenGroupCss = (groupId) => {
+    if (!checkGroupWebUse(groupId)) return;
+    window.open(groupService.getGroupCssUrl(groupId), '_blank', 'noopener');
+  };
+
+  // The SVG specimens show the same sample text as the previews; waterfall
+  // views have no single size, so those use the server's default
+  const getSpecimenOptions = () => ({
+    text: getSpecimenText(specimenSettings),
+    size: specimenSettings.waterfall ? undefined : specimenSettings.size
+  });
+
+  const handleOpenFontSpecimen = (fontId) => {
+    window.open(fontService.getFontSpecimenUrl(fontId, getSpecimenOptions()), '_blank', 'noopener');
+  };
+
+  const handleOpenGroupSpecimen = (groupId) => {
+    window.open(groupService.getGroupSpecimenUrl(groupId, getSpecimenOptions()), '_blank', 'noopener');
+  };
+
+  const handleDownloadGroup = (groupId) => {
+    if (!checkGroupWebUse(groupId)) return;
+    // The server sends the ZIP as an attachment, so following the link
+    // downloads it without leaving the page
+    const link = document.createElement('a');
+    link.href = groupService.getGroupExportUrl(groupId);
+    link.rel = 'noopener';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+  };
+
   if (loading) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
@@ -144,9 +403,16 @@ function App() {
     <div className="min-h-screen bg-gray-50">
       {/* Header */}
       <header className="bg-white shadow-sm border-b border-gray-200">
-        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
-          <h1 className="text-3xl font-bold text-gray-900">Font Group System</h1>
-          <p className="mt-2 text-gray-600">Upload fonts and create organized font groups</p>
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6 flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Font Group System</h1>
+            <p className="mt-2 text-gray-600">Upload fonts and create organized font groups</p>
+          </div>
+          <SearchBar
+            onSearch={handleSearch}
+            onSelectResult={handleSelectSearchResult}
+            onError={showError}
+          />
         </div>
       </header>
 
@@ -172,16 +438,45 @@ function App() {
           onError={showError}
         />
 
+        {/* Group Import Section */}
+        <GroupImporter
+          onImportGroup={handleGroupImport}
+          onError={showError}
+        />
+
         {/* Font List Section */}
         <FontList
           fonts={fonts}
+          groups={groups}
+          tags={tags}
           loadedFonts={loadedFonts}
+          focusTarget={focusTarget}
+          onListFonts={handleListFonts}
           onDeleteFont={handleFontDelete}
+          onUpdateFont={handleFontUpdate}
+          onTagFonts={handleTagFonts}
+          onCreateTag={handleCreateTag}
+          onRenameTag={handleRenameTag}
+          onDeleteTag={handleDeleteTag}
+          onOpenSpecimen={handleOpenFontSpecimen}
+          onSaveLicenseRecord={handleSaveLicenseRecord}
+          onSetLicenseOverride={handleSetLicenseOverride}
+          onClearLicenseOverride={handleClearLicenseOverride}
+          onUploadLicenseDocument={handleUploadLicenseDocument}
+          onRemoveLicenseDocument={handleRemoveLicenseDocument}
+          onOpenLicenseDocument={handleOpenLicenseDocument}
+          specimenSettings={specimenSettings}
+          onSpecimenSettingsChange={updateSpecimenSettings}
+          onError={showError}
         />
 
         {/* Font Group Creator Section */}
         <FontGroupCreator
           fonts={fonts}
+          groups={groups}
+          tags={tags}
+          onGetFontCoverage={handleGetFontCoverage}
+          onGetGroupSuggestions={handleGetGroupSuggestions}
           onCreateGroup={handleGroupCreate}
           onError={showError}
         />
@@ -190,8 +485,21 @@ function App() {
         <FontGroupsList
           groups={groups}
           fonts={fonts}
+          focusTarget={focusTarget}
+          onListGroups={handleListGroups}
           onEditGroup={handleGroupEdit}
           onDeleteGroup={handleGroupDelete}
+          onGetGroupCss={handleGetGroupCss}
+          onOpenGroupCss={handleOpenGroupCss}
+          onOpenGroupSpecimen={handleOpenGroupSpecimen}
+          specimenSettings={specimenSettings}
+          onSpecimenSettingsChange={updateSpecimenSettings}
+          onDownloadGroup={handleDownloadGroup}
+          onGetFallbacks={handleGetGroupFallbacks}
+          onGetLicense={handleGetGroupLicense}
+          onGetRevisions={handleGetGroupRevisions}
+          onGetRevision={handleGetGroupRevision}
+          onRestoreRevision={handleGroupRestore}
           onError={showError}
         />
       </main>
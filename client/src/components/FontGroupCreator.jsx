@@ -1,10 +1,80 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import TagFilter from './TagFilter.jsx';
+import VariationControls from './VariationControls.jsx';
+import RoleSelect from './RoleSelect.jsx';
+import useRowReorder from '../hooks/useRowReorder';
+import { isVariableFont } from '../utils/variations';
+import { getTakenRoles, moveItem } from '../utils/groupRoles';
+
+// A set only counts as mismatched when at least one font covers this much of it
+const MISMATCH_THRESHOLD = 50;
+const MAX_LISTED_CHARACTERS = 12;
+
+// For each character set one of the fonts mostly covers, the other fonts
+// that lack characters it has. `reports` are font coverage reports.
+const findCoverageMismatches = (reports) => {
+  if (reports.length < 2) return [];
+  return reports[0].sets.map(set => {
+    const perFont = reports.map(report => ({ report, set: report.sets.find(item => item.id === set.id) }));
+    const best = perFont.reduce((a, b) => (b.set.percent > a.set.percent ? b : a));
+    if (best.set.percent < MISMATCH_THRESHOLD) return null;
+
+    const bestMissing = new Set(best.set.missing.map(character => character.codepoint));
+    const lacking = perFont
+      .map(item => ({
+        name: item.report.name,
+        missing: item.set.missing.filter(character => !bestMissing.has(character.codepoint))
+      }))
+      .filter(item => item.missing.length > 0);
+    return lacking.length > 0 ? { id: set.id, name: set.name, best: best.report.name, lacking } : null;
+  }).filter(Boolean);
+};
 
 // SOLID Principle: Single Responsibility - Only handles creating font groups
-const FontGroupCreator = ({ fonts, onCreateGroup, onError }) => {
+const FontGroupCreator = ({ fonts, groups, tags = [], onGetFontCoverage, onGetGroupSuggestions, onCreateGroup, onError }) => {
   const [groupTitle, setGroupTitle] = useState('');
   const [fontRows, setFontRows] = useState([{ id: 1, fontName: '', selectedFont: '' }]);
   const [isCreating, setIsCreating] = useState(false);
+  // Narrows the fonts offered in the dropdowns
+  const [tagFilter, setTagFilter] = useState([]);
+  // Families detected among the uploaded fonts, refreshed as fonts and groups change
+  const [suggestions, setSuggestions] = useState([]);
+  // Coverage reports by font ID, fetched as fonts are picked
+  const [coverage, setCoverage] = useState({});
+  const requestedCoverage = useRef(new Set());
+  const selectedFontIds = Array.from(new Set(fontRows.map(row => row.selectedFont).filter(Boolean)));
+  const selectedKey = selectedFontIds.join(',');
+
+  useEffect(() => {
+    selectedKey.split(',')
+      .filter(fontId => fontId && !requestedCoverage.current.has(fontId))
+      .forEach(fontId => {
+        requestedCoverage.current.add(fontId);
+        // The warning is only advisory, so a failed lookup just means no warning
+        onGetFontCoverage(fontId)
+          .then(report => setCoverage(prev => ({ ...prev, [fontId]: report })))
+          .catch(() => requestedCoverage.current.delete(fontId));
+      });
+  }, [selectedKey, onGetFontCoverage]);
+
+  useEffect(() => {
+    let cancelled = false;
+    onGetGroupSuggestions()
+      .then(result => {
+        if (!cancelled) setSuggestions(result.items);
+      })
+      .catch(error => onError('Failed to load suggested groups: ' + error.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [fonts, groups, onGetGroupSuggestions, onError]);
+
+  // Row order is the order of the group's font stacks
+  const reorder = useRowReorder((from, to) => setFontRows(rows => moveItem(rows, from, to)));
+
+  const coverageMismatches = findCoverageMismatches(
+    selectedFontIds.map(fontId => coverage[fontId]).filter(Boolean)
+  );
 
   const addRow = () => {
     const newId = Math.max(...fontRows.map(row => row.id)) + 1;
@@ -23,6 +93,22 @@ const FontGroupCreator = ({ fonts, onCreateGroup, onError }) => {
     ));
   };
 
+  // Axis pins belong to one font, so picking another font drops them
+  const selectFont = (id, fontId) => {
+    setFontRows(fontRows.map(row =>
+      row.id === id ? { ...row, selectedFont: fontId, variation: null } : row
+    ));
+  };
+
+  const applySuggestion = (suggestion) => {
+    setGroupTitle(suggestion.title);
+    setFontRows(suggestion.fonts.map((font, index) => ({
+      id: index + 1,
+      fontName: font.name,
+      selectedFont: font.fontId
+    })));
+  };
+
   const validateForm = () => {
     if (!groupTitle.trim()) {
       throw new Error('Group title is required');
@@ -53,7 +139,9 @@ const FontGroupCreator = ({ fonts, onCreateGroup, onError }) => {
         title: groupTitle.trim(),
         fonts: validRows.map(row => ({
           name: row.fontName.trim(),
-          selectedFont: row.selectedFont
+          selectedFont: row.selectedFont,
+          ...(row.role ? { role: row.role } : {}),
+          ...(row.variation ? { variation: row.variation } : {})
         }))
       };
 
@@ -69,18 +157,48 @@ const FontGroupCreator = ({ fonts, onCreateGroup, onError }) => {
     }
   };
 
+  const getFont = (fontId) => fonts.find(font => font.id === fontId) || null;
+
+  const hasFilterTags = (font) => {
+    const fontTags = (font.tags || []).map(tag => tag.toLowerCase());
+    return tagFilter.every(tag => fontTags.includes(tag.toLowerCase()));
+  };
+
+  // A row's current choice stays listed even if the tag filter excludes it
   const getAvailableFonts = (currentRowId) => {
+    const currentRow = fontRows.find(row => row.id === currentRowId);
     const selectedFonts = fontRows
       .filter(row => row.id !== currentRowId && row.selectedFont)
       .map(row => row.selectedFont);
     
-    return fonts.filter(font => !selectedFonts.includes(font.id));
+    return fonts.filter(font => !selectedFonts.includes(font.id) &&
+      (font.id === currentRow.selectedFont || hasFilterTags(font)));
   };
 
   return (
     <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-8">
       <h2 className="text-2xl font-bold text-gray-800 mb-2">Create Font Group</h2>
-      <p className="text-gray-600 mb-6">You have to select at least two fonts</p>
+      <p className="text-gray-600 mb-6">You have to select at least two fonts. Drag rows to set the order of the group's font stacks.</p>
+
+      {suggestions.length > 0 && (
+        <div className="mb-6 p-4 bg-blue-50 border border-blue-200 rounded-lg">
+          <p className="text-sm text-blue-800 mb-2">Font families found in your uploads:</p>
+          <div className="flex flex-wrap gap-2">
+            {suggestions.map(suggestion => (
+              <button
+                key={suggestion.family}
+                onClick={() => applySuggestion(suggestion)}
+                disabled={isCreating}
+                title={suggestion.fonts.map(font => font.name).join(', ')}
+                className="px-3 py-1 text-sm bg-white border border-blue-300 text-blue-700 rounded-md hover:bg-blue-100 disabled:opacity-50"
+              >
+                Create group from {suggestion.family} ({suggestion.fonts.length} fonts)
+                {suggestion.existingGroupIds.length > 0 && <span className="text-gray-500"> · already grouped</span>}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
 
       {/* Group Title */}
       <div className="mb-6">
@@ -94,12 +212,29 @@ const FontGroupCreator = ({ fonts, onCreateGroup, onError }) => {
         />
       </div>
 
+      <TagFilter
+        tags={tags.filter(tag => tag.count > 0)}
+        selected={tagFilter}
+        onChange={setTagFilter}
+        label="Only offer fonts tagged"
+      />
+
       {/* Font Rows */}
       <div className="space-y-4 mb-6">
         {fontRows.map((row, index) => (
-          <div key={row.id} className="flex items-center space-x-4 p-4 bg-gray-50 rounded-lg">
+          <div
+            key={row.id}
+            data-reorder-row
+            {...reorder.getRowProps(index)}
+            className={`flex items-center space-x-4 p-4 rounded-lg ${
+              reorder.overIndex === index && reorder.draggingIndex !== index ? 'bg-blue-50 ring-2 ring-blue-300' : 'bg-gray-50'
+            } ${reorder.draggingIndex === index ? 'opacity-50' : ''}`}
+          >
             {/* Drag Handle */}
-            <div className="flex-shrink-0">
+            <div
+              {...(isCreating ? {} : reorder.getHandleProps(index, fontRows.length))}
+              className={`flex-shrink-0 rounded ${isCreating ? '' : 'cursor-move focus:outline-none focus:ring-2 focus:ring-blue-500'}`}
+            >
               <svg className="w-5 h-5 text-gray-400" fill="currentColor" viewBox="0 0 20 20">
                 <path d="M10 6a2 2 0 110-4 2 2 0 010 4zM10 12a2 2 0 110-4 2 2 0 010 4zM10 18a2 2 0 110-4 2 2 0 010 4z"></path>
               </svg>
@@ -121,17 +256,37 @@ const FontGroupCreator = ({ fonts, onCreateGroup, onError }) => {
             <div className="flex-1">
               <select
                 value={row.selectedFont}
-                onChange={(e) => updateRow(row.id, 'selectedFont', e.target.value)}
+                onChange={(e) => selectFont(row.id, e.target.value)}
                 className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none bg-white"
                 disabled={isCreating}
               >
                 <option value="">Select a Font</option>
                 {getAvailableFonts(row.id).map((font) => (
                   <option key={font.id} value={font.id}>
-                    {font.name}
+                    {font.name}{font.format ? ` (${font.format.toUpperCase()})` : ''}
                   </option>
                 ))}
               </select>
+              {isVariableFont(getFont(row.selectedFont)) && (
+                <div className="mt-2">
+                  <VariationControls
+                    font={getFont(row.selectedFont)}
+                    value={row.variation || null}
+                    onChange={(variation) => updateRow(row.id, 'variation', variation)}
+                    disabled={isCreating}
+                  />
+                </div>
+              )}
+            </div>
+
+            {/* Role Selection */}
+            <div className="flex-shrink-0">
+              <RoleSelect
+                value={row.role}
+                takenRoles={getTakenRoles(fontRows, index)}
+                onChange={(role) => updateRow(row.id, 'role', role)}
+                disabled={isCreating}
+              />
             </div>
 
             {/* Delete Button */}
@@ -156,6 +311,24 @@ const FontGroupCreator = ({ fonts, onCreateGroup, onError }) => {
         ))}
       </div>
 
+      {coverageMismatches.length > 0 && (
+        <div role="status" className="mb-6 p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+          <p className="text-yellow-800 text-sm font-medium mb-2">The selected fonts cover different characters:</p>
+          <ul className="text-yellow-800 text-sm space-y-1">
+            {coverageMismatches.map(mismatch => mismatch.lacking.map(font => (
+              <li key={`${mismatch.id}-${font.name}`}>
+                <span className="font-medium">{mismatch.name}:</span> {font.name} lacks {font.missing.length}{' '}
+                {font.missing.length === 1 ? 'character' : 'characters'} that {mismatch.best} has{' '}
+                <span className="font-mono" title={font.missing.map(character => character.codepoint).join(' ')}>
+                  ({font.missing.slice(0, MAX_LISTED_CHARACTERS).map(character => character.char).join(' ')}
+                  {font.missing.length > MAX_LISTED_CHARACTERS ? ' …' : ''})
+                </span>
+              </li>
+            )))}
+          </ul>
+        </div>
+      )}
+
       {/* Action Buttons */}
       <div className="flex justify-between items-center">
         <button
@@ -1,10 +1,40 @@
 import React, { useState } from 'react';
+import GroupHistory from './GroupHistory.jsx';
+import GroupFallbacks from './GroupFallbacks.jsx';
+import GroupLicense from './GroupLicense.jsx';
+import LicenseBadge from './LicenseBadge.jsx';
+import usePagedList from '../hooks/usePagedList';
+import useFocusedRow from '../hooks/useFocusedRow';
+import SortableHeader from './SortableHeader.jsx';
+import PaginationControls from './PaginationControls.jsx';
+import VariationControls from './VariationControls.jsx';
+import SpecimenControls from './SpecimenControls.jsx';
+import SpecimenText from './SpecimenText.jsx';
+import RoleSelect from './RoleSelect.jsx';
+import useRowReorder from '../hooks/useRowReorder';
+import { isVariableFont, getVariationCoordinates, formatVariationSettings, describeVariation } from '../utils/variations';
+import { getSpecimenText } from '../utils/specimenText';
+import { getRoleLabel, getTakenRoles, moveItem } from '../utils/groupRoles';
+import { getCombinedLicenseStatus } from '../utils/licenses';
 
 // SOLID Principle: Single Responsibility - Only handles displaying and managing font groups
-const FontGroupsList = ({ groups, fonts, onEditGroup, onDeleteGroup, onError }) => {
+const FontGroupsList = ({ groups, fonts, focusTarget, onListGroups, onEditGroup, onDeleteGroup, onGetGroupCss, onOpenGroupCss, onOpenGroupSpecimen, onDownloadGroup,
+  onGetFallbacks, onGetLicense, onGetRevisions, onGetRevision, onRestoreRevision, specimenSettings, onSpecimenSettingsChange, onError }) => {
+  // Pages come from the server and are refetched whenever the app's groups change
+  const list = usePagedList(onListGroups, { defaultSort: 'created', reloadKey: groups, onError });
+  const highlightedId = useFocusedRow(list, focusTarget, 'group', 'group-row-');
   const [editingGroup, setEditingGroup] = useState(null);
   const [deletingGroup, setDeletingGroup] = useState(null);
   const [editFormData, setEditFormData] = useState({ title: '', fonts: [] });
+  const [copiedGroup, setCopiedGroup] = useState(null);
+  const [historyGroup, setHistoryGroup] = useState(null);
+  const [fallbacksGroup, setFallbacksGroup] = useState(null);
+  const [licenseGroup, setLicenseGroup] = useState(null);
+  // Specimen mode shows every font of each group in the same sample text
+  const [showSpecimens, setShowSpecimens] = useState(false);
+  // Version the edit started from, and the newer group if saving hit a conflict
+  const [editVersion, setEditVersion] = useState(null);
+  const [editConflict, setEditConflict] = useState(null);
 
   const handleEdit = (group) => {
     setEditingGroup(group.id);
@@ -12,14 +42,17 @@ const FontGroupsList = ({ groups, fonts, onEditGroup, onDeleteGroup, onError })
       title: group.title,
       fonts: group.fonts || []
     });
+    setEditVersion(group.version);
+    setEditConflict(null);
   };
 
   const handleCancelEdit = () => {
     setEditingGroup(null);
     setEditFormData({ title: '', fonts: [] });
+    setEditConflict(null);
   };
 
-  const handleSaveEdit = async () => {
+  const saveEdit = async (version) => {
     try {
       if (!editFormData.title.trim()) {
         throw new Error('Group title is required');
@@ -29,18 +62,39 @@ const FontGroupsList = ({ groups, fonts, onEditGroup, onDeleteGroup, onError })
         throw new Error('Group must have at least 2 fonts');
       }
 
-      await onEditGroup(editingGroup, editFormData);
+      await onEditGroup(editingGroup, editFormData, version);
       setEditingGroup(null);
       setEditFormData({ title: '', fonts: [] });
+      setEditConflict(null);
     } catch (error) {
+      if (error.status === 412) {
+        setEditConflict(error.data.group);
+        return;
+      }
       onError(error.message);
     }
   };
 
-  const handleDelete = async (groupId) => {
+  const handleSaveEdit = () => saveEdit(editVersion);
+
+  // Throws away the local edits in favour of the version that was saved
+  const handleReloadEdit = () => {
+    setEditFormData({
+      title: editConflict.title,
+      fonts: editConflict.fonts || []
+    });
+    setEditVersion(editConflict.version);
+    setEditConflict(null);
+  };
+
+  // Saves the local edits on top of the version that was saved
+  const handleOverwriteEdit = () => saveEdit(editConflict.version);
+
+  const handleDelete = async (group) => {
+    const groupId = group.id;
     try {
       setDeletingGroup(groupId);
-      await onDeleteGroup(groupId);
+      await onDeleteGroup(groupId, group.version);
     } catch (error) {
       onError(error.message);
     } finally {
@@ -48,6 +102,17 @@ const FontGroupsList = ({ groups, fonts, onEditGroup, onDeleteGroup, onError })
     }
   };
 
+  const handleCopyCss = async (groupId) => {
+    try {
+      const css = await onGetGroupCss(groupId);
+      await navigator.clipboard.writeText(css);
+      setCopiedGroup(groupId);
+      setTimeout(() => setCopiedGroup(current => (current === groupId ? null : current)), 2000);
+    } catch (error) {
+      onError('Failed to copy CSS: ' + error.message);
+    }
+  };
+
   const updateEditFormFont = (index, field, value) => {
     const updatedFonts = editFormData.fonts.map((font, i) => 
       i === index ? { ...font, [field]: value } : font
@@ -55,6 +120,40 @@ const FontGroupsList = ({ groups, fonts, onEditGroup, onDeleteGroup, onError })
     setEditFormData({ ...editFormData, fonts: updatedFonts });
   };
 
+  // Axis pins belong to one font, so picking another font drops them
+  const selectEditFormFont = (index, fontId) => {
+    const updatedFonts = editFormData.fonts.map((font, i) => {
+      if (i !== index) return font;
+      const { variation, ...row } = font;
+      return { ...row, selectedFont: fontId };
+    });
+    setEditFormData({ ...editFormData, fonts: updatedFonts });
+  };
+
+  const setEditFormVariation = (index, variation) => {
+    const updatedFonts = editFormData.fonts.map((font, i) => {
+      if (i !== index) return font;
+      const { variation: previous, ...row } = font;
+      return variation ? { ...row, variation } : row;
+    });
+    setEditFormData({ ...editFormData, fonts: updatedFonts });
+  };
+
+  const setEditFormRole = (index, role) => {
+    const updatedFonts = editFormData.fonts.map((font, i) => {
+      if (i !== index) return font;
+      const { role: previous, ...row } = font;
+      return role ? { ...row, role } : row;
+    });
+    setEditFormData({ ...editFormData, fonts: updatedFonts });
+  };
+
+  const editReorder = useRowReorder((from, to) => {
+    setEditFormData(data => ({ ...data, fonts: moveItem(data.fonts, from, to) }));
+  });
+
+  const getFontById = (fontId) => fonts.find(f => f.id === fontId) || null;
+
   const addEditFormFont = () => {
     setEditFormData({
       ...editFormData,
@@ -78,8 +177,18 @@ const FontGroupsList = ({ groups, fonts, onEditGroup, onDeleteGroup, onError })
   };
 
   const getFontNameById = (fontId) => {
-    const font = fonts.find(f => f.id === fontId);
-    return font ? font.name : fontId;
+    const font = getFontById(fontId);
+    return font ? font.name : `Missing font (${fontId})`;
+  };
+
+  // Worst license status among the group's fonts, as the server reports it
+  const getGroupLicenseStatus = (group) => getCombinedLicenseStatus(
+    (group.fonts || []).map(row => getFontById(row.selectedFont)).filter(Boolean)
+  );
+
+  const getRowLabel = (row) => {
+    const details = [getRoleLabel(row.role), describeVariation(row.variation)].filter(Boolean).join(', ');
+    return details ? `${getFontNameById(row.selectedFont)} (${details})` : getFontNameById(row.selectedFont);
   };
 
   if (groups.length === 0) {
@@ -108,158 +217,365 @@ const FontGroupsList = ({ groups, fonts, onEditGroup, onDeleteGroup, onError })
     );
   }
 
+  const renderSpecimens = (group) => (
+    <div className="space-y-4 p-4 bg-gray-50 rounded-lg">
+      {(group.fonts || []).map((row, index) => {
+        const font = getFontById(row.selectedFont);
+        return (
+          <div key={index}>
+            <p className="text-xs text-gray-500 mb-1">{row.name ? `${row.name} · ${getRowLabel(row)}` : getRowLabel(row)}</p>
+            <div className="text-gray-800">
+              <SpecimenText
+                text={getSpecimenText(specimenSettings)}
+                size={specimenSettings.size}
+                waterfall={specimenSettings.waterfall}
+                style={{
+                  fontFamily: `font-${row.selectedFont}`,
+                  fontVariationSettings: formatVariationSettings(getVariationCoordinates(font, row.variation))
+                }}
+              />
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+
   return (
     <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
-      <h2 className="text-2xl font-bold text-gray-800 mb-2">Our Font Groups</h2>
+      <div className="flex items-start justify-between">
+        <h2 className="text-2xl font-bold text-gray-800 mb-2">Our Font Groups</h2>
+        <button
+          onClick={() => setShowSpecimens(!showSpecimens)}
+          aria-pressed={showSpecimens}
+          className="text-sm text-blue-600 hover:text-blue-800 font-medium hover:underline"
+        >
+          {showSpecimens ? 'Hide Specimens' : 'Compare Specimens'}
+        </button>
+      </div>
       <p className="text-gray-600 mb-6">List of all available font groups.</p>
-      
+
+      {showSpecimens && <SpecimenControls settings={specimenSettings} onChange={onSpecimenSettingsChange} />}
+
       <div className="overflow-x-auto">
         <table className="w-full">
           <thead>
             <tr className="border-b border-gray-200">
-              <th className="text-left py-3 px-4 font-semibold text-gray-700 uppercase tracking-wider text-sm">
-                Name
-              </th>
+              <SortableHeader label="Name" field="name" sort={list.sort} onSort={list.toggleSort} />
               <th className="text-left py-3 px-4 font-semibold text-gray-700 uppercase tracking-wider text-sm">
                 Fonts
               </th>
-              <th className="text-left py-3 px-4 font-semibold text-gray-700 uppercase tracking-wider text-sm">
-                Count
-              </th>
+              <SortableHeader label="Count" field="fonts" sort={list.sort} onSort={list.toggleSort} />
+              <SortableHeader label="Created" field="created" sort={list.sort} onSort={list.toggleSort} />
               <th className="text-right py-3 px-4 font-semibold text-gray-700 uppercase tracking-wider text-sm">
                 Actions
               </th>
             </tr>
           </thead>
           <tbody className="divide-y divide-gray-100">
-            {groups.map((group) => (
-              <tr key={group.id} className="hover:bg-gray-50 transition-colors duration-150">
-                {editingGroup === group.id ? (
-                  <td colSpan="4" className="py-4 px-4">
-                    <div className="space-y-4">
-                      {/* Edit Title */}
-                      <div>
-                        <input
-                          type="text"
-                          value={editFormData.title}
-                          onChange={(e) => setEditFormData({ ...editFormData, title: e.target.value })}
-                          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
-                          placeholder="Group Title"
-                        />
-                      </div>
+            {list.items.map((group) => (
+              <React.Fragment key={group.id}>
+                <tr
+                  id={`group-row-${group.id}`}
+                  className={`transition-colors duration-150 ${highlightedId === group.id ? 'bg-yellow-50' : 'hover:bg-gray-50'}`}
+                >
+                  {editingGroup === group.id ? (
+                    <td colSpan="5" className="py-4 px-4">
+                      <div className="space-y-4">
+                        {/* Edit Title */}
+                        <div>
+                          <input
+                            type="text"
+                            value={editFormData.title}
+                            onChange={(e) => setEditFormData({ ...editFormData, title: e.target.value })}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+                            placeholder="Group Title"
+                          />
+                        </div>
 
-                      {/* Edit Fonts */}
-                      <div className="space-y-2">
-                        {editFormData.fonts.map((font, index) => (
-                          <div key={index} className="flex items-center space-x-2">
-                            <input
-                              type="text"
-                              value={font.name}
-                              onChange={(e) => updateEditFormFont(index, 'name', e.target.value)}
-                              className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
-                              placeholder="Font Name"
-                            />
-                            <select
-                              value={font.selectedFont}
-                              onChange={(e) => updateEditFormFont(index, 'selectedFont', e.target.value)}
-                              className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none bg-white"
+                        {/* Edit Fonts */}
+                        <div className="space-y-2">
+                          {editFormData.fonts.map((font, index) => (
+                            <div
+                              key={index}
+                              data-reorder-row
+                              {...editReorder.getRowProps(index)}
+                              className={`space-y-2 rounded-md ${
+                                editReorder.overIndex === index && editReorder.draggingIndex !== index ? 'bg-blue-50 ring-2 ring-blue-300' : ''
+                              } ${editReorder.draggingIndex === index ? 'opacity-50' : ''}`}
+                            >
+                              <div className="flex items-center space-x-2">
+                                <div
+                                  {...editReorder.getHandleProps(index, editFormData.fonts.length)}
+                                  className="flex-shrink-0 rounded cursor-move focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                >
+                                  <svg className="w-5 h-5 text-gray-400" fill="currentColor" viewBox="0 0 20 20">
+                                    <path d="M10 6a2 2 0 110-4 2 2 0 010 4zM10 12a2 2 0 110-4 2 2 0 010 4zM10 18a2 2 0 110-4 2 2 0 010 4z"></path>
+                                  </svg>
+                                </div>
+                                <input
+                                  type="text"
+                                  value={font.name}
+                                  onChange={(e) => updateEditFormFont(index, 'name', e.target.value)}
+                                  className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+                                  placeholder="Font Name"
+                                />
+                                <select
+                                  value={font.selectedFont}
+                                  onChange={(e) => selectEditFormFont(index, e.target.value)}
+                                  className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none bg-white"
+                                >
+                                  <option value="">Select a Font</option>
+                                  {getAvailableFontsForEdit(index).map((availableFont) => (
+                                    <option key={availableFont.id} value={availableFont.id}>
+                                      {availableFont.name}{availableFont.format ? ` (${availableFont.format.toUpperCase()})` : ''}
+                                    </option>
+                                  ))}
+                                </select>
+                                <RoleSelect
+                                  value={font.role}
+                                  takenRoles={getTakenRoles(editFormData.fonts, index)}
+                                  onChange={(role) => setEditFormRole(index, role)}
+                                />
+                                <button
+                                  onClick={() => removeEditFormFont(index)}
+                                  disabled={editFormData.fonts.length <= 2}
+                                  className={`p-2 rounded-md ${
+                                    editFormData.fonts.length <= 2
+                                      ? 'text-gray-300 cursor-not-allowed'
+                                      : 'text-red-500 hover:text-red-700 hover:bg-red-50'
+                                  }`}
+                                >
+                                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                                  </svg>
+                                </button>
+                              </div>
+                              {isVariableFont(getFontById(font.selectedFont)) && (
+                                <div className="flex items-start space-x-4 pl-2">
+                                  <div className="w-64">
+                                    <VariationControls
+                                      font={getFontById(font.selectedFont)}
+                                      value={font.variation || null}
+                                      onChange={(variation) => setEditFormVariation(index, variation)}
+                                    />
+                                  </div>
+                                  <span
+                                    className="text-2xl text-gray-700"
+                                    style={{
+                                      fontFamily: `font-${font.selectedFont}`,
+                                      fontVariationSettings: formatVariationSettings(
+                                        getVariationCoordinates(getFontById(font.selectedFont), font.variation)
+                                      )
+                                    }}
+                                  >
+                                    {font.name || 'Example Style'}
+                                  </span>
+                                </div>
+                              )}
+                            </div>
+                          ))}
+                          <button
+                            onClick={addEditFormFont}
+                            className="text-blue-600 hover:text-blue-800 text-sm font-medium"
+                          >
+                            + Add Font
+                          </button>
+                        </div>
+
+                        {/* Edit Conflict */}
+                        {editConflict ? (
+                          <div role="alert" className="bg-yellow-50 border border-yellow-300 rounded-md p-4 space-y-3">
+                            <p className="text-sm text-yellow-800">
+                              This group changed since you started editing. It is now "{editConflict.title}" with{' '}
+                              {(editConflict.fonts || []).map(font => getFontNameById(font.selectedFont)).join(', ') || 'no fonts'}.
+                            </p>
+                            <div className="flex justify-end space-x-2">
+                              <button
+                                onClick={handleCancelEdit}
+                                className="px-4 py-2 text-gray-600 border border-gray-300 rounded-md hover:bg-gray-50"
+                              >
+                                Cancel
+                              </button>
+                              <button
+                                onClick={handleReloadEdit}
+                                className="px-4 py-2 text-blue-700 border border-blue-300 rounded-md hover:bg-blue-50"
+                              >
+                                Reload Their Changes
+                              </button>
+                              <button
+                                onClick={handleOverwriteEdit}
+                                className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700"
+                              >
+                                Overwrite With Mine
+                              </button>
+                            </div>
+                          </div>
+                        ) : (
+                          <div className="flex justify-end space-x-2">
+                            <button
+                              onClick={handleCancelEdit}
+                              className="px-4 py-2 text-gray-600 border border-gray-300 rounded-md hover:bg-gray-50"
                             >
-                              <option value="">Select a Font</option>
-                              {getAvailableFontsForEdit(index).map((availableFont) => (
-                                <option key={availableFont.id} value={availableFont.id}>
-                                  {availableFont.name}
-                                </option>
-                              ))}
-                            </select>
+                              Cancel
+                            </button>
                             <button
-                              onClick={() => removeEditFormFont(index)}
-                              disabled={editFormData.fonts.length <= 2}
-                              className={`p-2 rounded-md ${
-                                editFormData.fonts.length <= 2
-                                  ? 'text-gray-300 cursor-not-allowed'
-                                  : 'text-red-500 hover:text-red-700 hover:bg-red-50'
-                              }`}
+                              onClick={handleSaveEdit}
+                              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
                             >
-                              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                              </svg>
+                              Save
                             </button>
                           </div>
-                        ))}
-                        <button
-                          onClick={addEditFormFont}
-                          className="text-blue-600 hover:text-blue-800 text-sm font-medium"
-                        >
-                          + Add Font
-                        </button>
+                        )}
                       </div>
-
-                      {/* Edit Actions */}
-                      <div className="flex justify-end space-x-2">
-                        <button
-                          onClick={handleCancelEdit}
-                          className="px-4 py-2 text-gray-600 border border-gray-300 rounded-md hover:bg-gray-50"
-                        >
-                          Cancel
-                        </button>
-                        <button
-                          onClick={handleSaveEdit}
-                          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
-                        >
-                          Save
-                        </button>
-                      </div>
-                    </div>
-                  </td>
-                ) : (
-                  <>
-                    <td className="py-4 px-4">
-                      <span className="text-gray-800 font-medium">{group.title}</span>
                     </td>
-                    <td className="py-4 px-4">
-                      <span className="text-gray-600">
-                        {group.fonts && group.fonts.length > 0
-                          ? group.fonts.map(font => getFontNameById(font.selectedFont)).join(', ')
-                          : 'No fonts'
-                        }
-                      </span>
+                  ) : (
+                    <>
+                      <td className="py-4 px-4">
+                        <div className="flex items-center space-x-2">
+                          <span className="text-gray-800 font-medium">{group.title}</span>
+                          {getGroupLicenseStatus(group) !== 'ok' && (
+                            <LicenseBadge
+                              status={getGroupLicenseStatus(group)}
+                              onClick={() => setLicenseGroup(licenseGroup === group.id ? null : group.id)}
+                            />
+                          )}
+                        </div>
+                      </td>
+                      <td className="py-4 px-4">
+                        <span className="text-gray-600">
+                          {group.fonts && group.fonts.length > 0
+                            ? group.fonts.map(getRowLabel).join(', ')
+                            : 'No fonts'
+                          }
+                        </span>
+                      </td>
+                      <td className="py-4 px-4">
+                        <span className="text-gray-600">
+                          {group.fonts ? group.fonts.length : 0}
+                        </span>
+                      </td>
+                      <td className="py-4 px-4">
+                        <span className="text-sm text-gray-600">
+                          {group.createdAt ? new Date(group.createdAt).toLocaleDateString() : ''}
+                        </span>
+                      </td>
+                      <td className="py-4 px-4 text-right">
+                        <div className="flex justify-end space-x-4">
+                          <button
+                            onClick={() => handleCopyCss(group.id)}
+                            className="text-gray-600 hover:text-gray-800 font-medium hover:underline transition-colors duration-150"
+                          >
+                            {copiedGroup === group.id ? 'Copied!' : 'Copy CSS'}
+                          </button>
+                          <button
+                            onClick={() => onOpenGroupCss(group.id)}
+                            className="text-gray-600 hover:text-gray-800 font-medium hover:underline transition-colors duration-150"
+                          >
+                            Open CSS
+                          </button>
+                          <button
+                            onClick={() => onOpenGroupSpecimen(group.id)}
+                            className="text-gray-600 hover:text-gray-800 font-medium hover:underline transition-colors duration-150"
+                          >
+                            Specimen
+                          </button>
+                          <button
+                            onClick={() => onDownloadGroup(group.id)}
+                            className="text-gray-600 hover:text-gray-800 font-medium hover:underline transition-colors duration-150"
+                          >
+                            Download
+                          </button>
+                          <button
+                            onClick={() => setFallbacksGroup(fallbacksGroup === group.id ? null : group.id)}
+                            className="text-gray-600 hover:text-gray-800 font-medium hover:underline transition-colors duration-150"
+                          >
+                            Fallbacks
+                          </button>
+                          <button
+                            onClick={() => setHistoryGroup(historyGroup === group.id ? null : group.id)}
+                            className="text-gray-600 hover:text-gray-800 font-medium hover:underline transition-colors duration-150"
+                          >
+                            History
+                          </button>
+                          <button
+                            onClick={() => handleEdit(group)}
+                            className="text-blue-600 hover:text-blue-800 font-medium hover:underline transition-colors duration-150"
+                          >
+                            Edit
+                          </button>
+                          <button
+                            onClick={() => handleDelete(group)}
+                            disabled={deletingGroup === group.id}
+                            className="text-red-600 hover:text-red-800 font-medium hover:underline transition-colors duration-150 disabled:opacity-50"
+                          >
+                            {deletingGroup === group.id ? (
+                              <div className="flex items-center space-x-2">
+                                <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-red-600"></div>
+                                <span>Deleting...</span>
+                              </div>
+                            ) : (
+                              'Delete'
+                            )}
+                          </button>
+                        </div>
+                      </td>
+                    </>
+                  )}
+                </tr>
+                {showSpecimens && editingGroup !== group.id && group.fonts && group.fonts.length > 0 && (
+                  <tr>
+                    <td colSpan="5" className="pb-4 px-4">
+                      {renderSpecimens(group)}
                     </td>
-                    <td className="py-4 px-4">
-                      <span className="text-gray-600">
-                        {group.fonts ? group.fonts.length : 0}
-                      </span>
+                  </tr>
+                )}
+                {fallbacksGroup === group.id && (
+                  <tr>
+                    <td colSpan="5" className="pb-4 px-4">
+                      <GroupFallbacks
+                        groupId={group.id}
+                        onGetFallbacks={onGetFallbacks}
+                        onClose={() => setFallbacksGroup(null)}
+                        onError={onError}
+                      />
                     </td>
-                    <td className="py-4 px-4 text-right">
-                      <div className="flex justify-end space-x-4">
-                        <button
-                          onClick={() => handleEdit(group)}
-                          className="text-blue-600 hover:text-blue-800 font-medium hover:underline transition-colors duration-150"
-                        >
-                          Edit
-                        </button>
-                        <button
-                          onClick={() => handleDelete(group.id)}
-                          disabled={deletingGroup === group.id}
-                          className="text-red-600 hover:text-red-800 font-medium hover:underline transition-colors duration-150 disabled:opacity-50"
-                        >
-                          {deletingGroup === group.id ? (
-                            <div className="flex items-center space-x-2">
-                              <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-red-600"></div>
-                              <span>Deleting...</span>
-                            </div>
-                          ) : (
-                            'Delete'
-                          )}
-                        </button>
-                      </div>
+                  </tr>
+                )}
+                {licenseGroup === group.id && (
+                  <tr>
+                    <td colSpan="5" className="pb-4 px-4">
+                      <GroupLicense
+                        groupId={group.id}
+                        fonts={fonts}
+                        onGetLicense={onGetLicense}
+                        onClose={() => setLicenseGroup(null)}
+                        onError={onError}
+                      />
+                    </td>
+                  </tr>
+                )}
+                {historyGroup === group.id && (
+                  <tr>
+                    <td colSpan="5" className="pb-4 px-4">
+                      <GroupHistory
+                        groupId={group.id}
+                        fonts={fonts}
+                        onGetRevisions={onGetRevisions}
+                        onGetRevision={onGetRevision}
+                        onRestoreRevision={onRestoreRevision}
+                        onClose={() => setHistoryGroup(null)}
+                        onError={onError}
+                      />
                     </td>
-                  </>
+                  </tr>
                 )}
-              </tr>
+              </React.Fragment>
             ))}
           </tbody>
         </table>
       </div>
+      <PaginationControls list={list} noun="groups" />
     </div>
   );
 };
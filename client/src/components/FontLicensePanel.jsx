@@ -0,0 +1,291 @@
+import React, { useState, useRef } from 'react';
+import LicenseBadge from './LicenseBadge.jsx';
+import { LICENSE_MEDIA, getLicenseStatus, describeEmbedding } from '../utils/licenses';
+
+const ACCEPTED_DOCUMENTS = '.pdf,.txt,.md,.html,.htm';
+
+const toFormData = (record) => ({
+  licensee: (record && record.licensee) || '',
+  seats: record && record.seats ? String(record.seats) : '',
+  expiresAt: (record && record.expiresAt) || '',
+  media: (record && record.media) || [],
+  notes: (record && record.notes) || ''
+});
+
+// SOLID Principle: Single Responsibility - Only shows and edits one font's license details
+// Changes are saved through the callbacks, which resolve to the updated font;
+// `font` is expected to be replaced with it by the parent.
+const FontLicensePanel = ({
+  font,
+  onSaveRecord,
+  onSetOverride,
+  onClearOverride,
+  onUploadDocument,
+  onRemoveDocument,
+  onOpenDocument,
+  onClose,
+  onError
+}) => {
+  const [formData, setFormData] = useState(() => toFormData(font.licenseRecord));
+  const [overrideReason, setOverrideReason] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const fileInputRef = useRef(null);
+  const licenseStatus = getLicenseStatus(font);
+
+  const run = async (action) => {
+    try {
+      setIsSaving(true);
+      await action();
+    } catch (error) {
+      onError(error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const toggleMedium = (medium) => {
+    setFormData(prev => ({
+      ...prev,
+      media: prev.media.includes(medium) ? prev.media.filter(item => item !== medium) : [...prev.media, medium]
+    }));
+  };
+
+  const handleSaveRecord = () => run(async () => {
+    const seats = formData.seats.trim() ? Number(formData.seats) : null;
+    if (seats !== null && (!Number.isInteger(seats) || seats < 1)) {
+      throw new Error('Seats must be a positive whole number');
+    }
+    const updatedFont = await onSaveRecord(font.id, {
+      licensee: formData.licensee.trim() || null,
+      seats,
+      expiresAt: formData.expiresAt || null,
+      media: formData.media,
+      notes: formData.notes.trim() || null
+    });
+    setFormData(toFormData(updatedFont.licenseRecord));
+  });
+
+  const handleSetOverride = () => run(async () => {
+    if (!overrideReason.trim()) {
+      throw new Error('Give a reason for the override');
+    }
+    await onSetOverride(font.id, overrideReason.trim());
+    setOverrideReason('');
+  });
+
+  const handleDocumentSelect = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    run(async () => {
+      await onUploadDocument(font.id, file);
+      if (fileInputRef.current) {
+        fileInputRef.current.value = '';
+      }
+    });
+  };
+
+  const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none';
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-md p-4 space-y-4 text-sm">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <h3 className="font-semibold text-gray-800 uppercase tracking-wider">License</h3>
+          <LicenseBadge status={licenseStatus.status} />
+        </div>
+        <button onClick={onClose} className="text-gray-600 hover:text-gray-800 hover:underline">
+          Close
+        </button>
+      </div>
+
+      {(licenseStatus.problems.length > 0 || licenseStatus.warnings.length > 0) && (
+        <ul className="space-y-1">
+          {licenseStatus.problems.map(problem => (
+            <li key={problem} className="text-red-700">{problem}</li>
+          ))}
+          {licenseStatus.warnings.map(warning => (
+            <li key={warning} className="text-yellow-800">{warning}</li>
+          ))}
+        </ul>
+      )}
+
+      {/* What the font file declares */}
+      <dl className="grid grid-cols-1 sm:grid-cols-4 gap-x-4 gap-y-1 text-gray-700">
+        <dt className="text-gray-500">Embedding</dt>
+        <dd className="sm:col-span-3">
+          {describeEmbedding(font.embedding)}
+          {font.embedding && <span className="text-gray-400"> (fsType {font.embedding.fsType})</span>}
+        </dd>
+        <dt className="text-gray-500">License</dt>
+        <dd className="sm:col-span-3 whitespace-pre-line">{font.license || 'Not declared'}</dd>
+        {font.licenseUrl && (
+          <>
+            <dt className="text-gray-500">License URL</dt>
+            <dd className="sm:col-span-3 break-all">
+              {/^https?:\/\//i.test(font.licenseUrl) ? (
+                <a href={font.licenseUrl} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">
+                  {font.licenseUrl}
+                </a>
+              ) : font.licenseUrl}
+            </dd>
+          </>
+        )}
+      </dl>
+
+      {/* Internal license record */}
+      <div className="space-y-2">
+        <p className="font-medium text-gray-800">License record</p>
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+          <input
+            type="text"
+            value={formData.licensee}
+            onChange={(e) => setFormData({ ...formData, licensee: e.target.value })}
+            placeholder="Licensee"
+            className={inputClassName}
+            disabled={isSaving}
+          />
+          <input
+            type="number"
+            min="1"
+            value={formData.seats}
+            onChange={(e) => setFormData({ ...formData, seats: e.target.value })}
+            placeholder="Seats"
+            className={inputClassName}
+            disabled={isSaving}
+          />
+          <label className="flex items-center space-x-2 text-gray-600">
+            <span>Expires</span>
+            <input
+              type="date"
+              value={formData.expiresAt}
+              onChange={(e) => setFormData({ ...formData, expiresAt: e.target.value })}
+              className={inputClassName}
+              disabled={isSaving}
+            />
+          </label>
+        </div>
+        <div className="flex flex-wrap items-center gap-3 text-gray-600">
+          <span>Allowed media:</span>
+          {LICENSE_MEDIA.map(medium => (
+            <label key={medium} className="flex items-center space-x-1">
+              <input
+                type="checkbox"
+                checked={formData.media.includes(medium)}
+                onChange={() => toggleMedium(medium)}
+                disabled={isSaving}
+              />
+              <span>{medium}</span>
+            </label>
+          ))}
+        </div>
+        <textarea
+          value={formData.notes}
+          onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+          placeholder="Notes"
+          rows={2}
+          className={inputClassName}
+          disabled={isSaving}
+        />
+        <div className="flex items-center justify-between">
+          <span className="text-xs text-gray-500">
+            {font.licenseRecord && font.licenseRecord.updatedAt && (
+              <>
+                Saved {new Date(font.licenseRecord.updatedAt).toLocaleDateString()}
+                {font.licenseRecord.updatedBy && ` by ${font.licenseRecord.updatedBy}`}
+              </>
+            )}
+          </span>
+          <button
+            onClick={handleSaveRecord}
+            disabled={isSaving}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            Save Record
+          </button>
+        </div>
+      </div>
+
+      {/* License document */}
+      <div className="flex flex-wrap items-center gap-3">
+        <span className="font-medium text-gray-800">Document:</span>
+        {font.licenseDocument ? (
+          <>
+            <button onClick={() => onOpenDocument(font.id)} className="text-blue-600 hover:underline">
+              {font.licenseDocument.filename}
+            </button>
+            <button
+              onClick={() => run(() => onRemoveDocument(font.id))}
+              disabled={isSaving}
+              className="text-red-600 hover:underline disabled:opacity-50"
+            >
+              Remove
+            </button>
+          </>
+        ) : (
+          <span className="text-gray-500">None attached</span>
+        )}
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={ACCEPTED_DOCUMENTS}
+          onChange={handleDocumentSelect}
+          className="hidden"
+          disabled={isSaving}
+        />
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          disabled={isSaving}
+          className="text-blue-600 hover:underline disabled:opacity-50"
+        >
+          {font.licenseDocument ? 'Replace' : 'Attach'}
+        </button>
+      </div>
+
+      {/* Override for fonts the checks restrict */}
+      {font.licenseOverride ? (
+        <div className="p-3 bg-orange-50 border border-orange-200 rounded-md flex items-start justify-between gap-4">
+          <p className="text-orange-800">
+            Web use allowed by override: {font.licenseOverride.reason}
+            <span className="block text-xs text-orange-700">
+              Recorded {new Date(font.licenseOverride.recordedAt).toLocaleDateString()}
+              {font.licenseOverride.recordedBy && ` by ${font.licenseOverride.recordedBy}`}
+            </span>
+          </p>
+          <button
+            onClick={() => run(() => onClearOverride(font.id))}
+            disabled={isSaving}
+            className="text-red-600 hover:underline disabled:opacity-50 flex-shrink-0"
+          >
+            Remove Override
+          </button>
+        </div>
+      ) : licenseStatus.problems.length > 0 && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-md space-y-2">
+          <p className="text-red-800">
+            Groups using this font cannot generate CSS or be exported. If the font may be used on the web
+            anyway, record an override and why.
+          </p>
+          <div className="flex items-center space-x-2">
+            <input
+              type="text"
+              value={overrideReason}
+              onChange={(e) => setOverrideReason(e.target.value)}
+              placeholder="Reason, e.g. web license purchased separately"
+              className={inputClassName}
+              disabled={isSaving}
+            />
+            <button
+              onClick={handleSetOverride}
+              disabled={isSaving}
+              className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 disabled:opacity-50 flex-shrink-0"
+            >
+              Record Override
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FontLicensePanel;
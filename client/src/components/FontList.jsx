@@ -1,34 +1,187 @@
-import React, { useState } from 'react';
+import React, { useState, useMemo } from 'react';
+import usePagedList from '../hooks/usePagedList';
+import useFocusedRow from '../hooks/useFocusedRow';
+import SortableHeader from './SortableHeader.jsx';
+import PaginationControls from './PaginationControls.jsx';
+import TagFilter from './TagFilter.jsx';
+import TagManager from './TagManager.jsx';
+import VariationControls from './VariationControls.jsx';
+import SpecimenControls from './SpecimenControls.jsx';
+import SpecimenText from './SpecimenText.jsx';
+import FontLicensePanel from './FontLicensePanel.jsx';
+import LicenseBadge from './LicenseBadge.jsx';
+import { isVariableFont, getVariationCoordinates, formatVariationSettings } from '../utils/variations';
+import { getSpecimenText } from '../utils/specimenText';
+import { getLicenseStatus } from '../utils/licenses';
+
+const formatSize = (bytes) => (
+  bytes === undefined || bytes === null ? '' : bytes < 1024 * 1024
+    ? `${Math.max(1, Math.round(bytes / 1024))} KB`
+    : `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+);
 
 // SOLID Principle: Single Responsibility - Only handles displaying fonts
-const FontList = ({ fonts, onDeleteFont, loadedFonts }) => {
+const FontList = ({
+  fonts,
+  groups = [],
+  tags = [],
+  focusTarget,
+  onListFonts,
+  onDeleteFont,
+  onUpdateFont,
+  onTagFonts,
+  onCreateTag,
+  onRenameTag,
+  onDeleteTag,
+  onOpenSpecimen,
+  onSaveLicenseRecord,
+  onSetLicenseOverride,
+  onClearLicenseOverride,
+  onUploadLicenseDocument,
+  onRemoveLicenseDocument,
+  onOpenLicenseDocument,
+  specimenSettings,
+  onSpecimenSettingsChange,
+  loadedFonts,
+  onError
+}) => {
+  // Pages come from the server and are refetched whenever the app's fonts or
+  // groups change, since either can change what the current page shows
+  const reloadKey = useMemo(() => ({ fonts, groups }), [fonts, groups]);
+  const list = usePagedList(onListFonts, { defaultSort: 'uploaded', reloadKey, onError });
+  const highlightedId = useFocusedRow(list, focusTarget, 'font', 'font-row-');
   const [deletingFont, setDeletingFont] = useState(null);
+  const [confirmingDelete, setConfirmingDelete] = useState(null);
+  const [editingFont, setEditingFont] = useState(null);
+  const [editFormData, setEditFormData] = useState({ displayName: '', description: '', tags: '' });
+  const [isSaving, setIsSaving] = useState(false);
+  // Selection for bulk tagging; kept across pages
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [bulkTag, setBulkTag] = useState('');
+  const [isTagging, setIsTagging] = useState(false);
+  const [showTagManager, setShowTagManager] = useState(false);
+  // Font whose license panel is open
+  const [licenseFont, setLicenseFont] = useState(null);
+  // Slider settings for variable font previews, by font ID
+  const [previewVariations, setPreviewVariations] = useState({});
+  const tagFilter = list.filters.tag || [];
+
+  const getGroupsUsingFont = (fontId) => (
+    groups.filter(group => (group.fonts || []).some(font => font.selectedFont === fontId))
+  );
 
   const handleDelete = async (font) => {
+    const affectedGroups = getGroupsUsingFont(font.id);
     try {
-      setDeletingFont(font.filename);
-      await onDeleteFont(font.filename);
+      setConfirmingDelete(null);
+      setDeletingFont(font.id);
+      await onDeleteFont(font.id, affectedGroups.length > 0 ? { cascade: 'remove' } : {});
+      setSelectedIds(prev => prev.filter(id => id !== font.id));
     } catch (error) {
-      console.error('Error deleting font:', error);
+      onError(error.message);
     } finally {
       setDeletingFont(null);
     }
   };
 
+  const handleEdit = (font) => {
+    setEditingFont(font.id);
+    setEditFormData({
+      displayName: font.displayName || '',
+      description: font.description || '',
+      tags: (font.tags || []).join(', ')
+    });
+  };
+
+  const handleCancelEdit = () => {
+    setEditingFont(null);
+    setEditFormData({ displayName: '', description: '', tags: '' });
+  };
+
+  const handleSaveEdit = async () => {
+    try {
+      setIsSaving(true);
+      await onUpdateFont(editingFont, {
+        displayName: editFormData.displayName.trim() || null,
+        description: editFormData.description.trim(),
+        tags: editFormData.tags.split(',').map(tag => tag.trim()).filter(Boolean)
+      });
+      handleCancelEdit();
+    } catch (error) {
+      onError(error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const addSuggestedTag = (tag) => {
+    const current = editFormData.tags.split(',').map(item => item.trim()).filter(Boolean);
+    setEditFormData({ ...editFormData, tags: [...current, tag].join(', ') });
+  };
+
+  const getMissingSuggestions = (font) => {
+    const current = editFormData.tags.split(',').map(item => item.trim().toLowerCase());
+    return (font.suggestedTags || []).filter(tag => !current.includes(tag.toLowerCase()));
+  };
+
+  // Suggested tags (from the font's OS/2 classification) are only added once accepted
+  const getPendingSuggestions = (font) => {
+    const current = (font.tags || []).map(tag => tag.toLowerCase());
+    return (font.suggestedTags || []).filter(tag => !current.includes(tag.toLowerCase()));
+  };
+
+  const acceptSuggestedTag = async (font, tag) => {
+    try {
+      await onUpdateFont(font.id, { tags: [...(font.tags || []), tag] });
+    } catch (error) {
+      onError(error.message);
+    }
+  };
+
+  const toggleSelected = (fontId) => {
+    setSelectedIds(prev => (prev.includes(fontId) ? prev.filter(id => id !== fontId) : [...prev, fontId]));
+  };
+
+  const pageIds = list.items.map(font => font.id);
+  const isPageSelected = pageIds.length > 0 && pageIds.every(id => selectedIds.includes(id));
+
+  const togglePageSelected = () => {
+    setSelectedIds(prev => (isPageSelected
+      ? prev.filter(id => !pageIds.includes(id))
+      : [...prev, ...pageIds.filter(id => !prev.includes(id))]));
+  };
+
+  const handleBulkTag = async (action) => {
+    const tag = bulkTag.trim();
+    if (!tag) return;
+    try {
+      setIsTagging(true);
+      await onTagFonts(selectedIds, { [action]: [tag] });
+      setBulkTag('');
+    } catch (error) {
+      onError(error.message);
+    } finally {
+      setIsTagging(false);
+    }
+  };
+
   const FontPreview = ({ font }) => {
-    const fontFamily = font.name.replace(/\s+/g, '');
+    const fontFamily = `font-${font.id}`;
     const isLoaded = loadedFonts.includes(fontFamily);
+    const coordinates = getVariationCoordinates(font, previewVariations[font.id]);
 
+    if (!isLoaded) {
+      return <span className="font-preview text-gray-600 italic">Loading...</span>;
+    }
     return (
-      <span 
-        className="font-preview text-gray-600"
-        style={{ 
-          fontFamily: isLoaded ? fontFamily : 'inherit',
-          fontStyle: isLoaded ? 'normal' : 'italic'
-        }}
-      >
-        {isLoaded ? 'Example Style' : 'Loading...'}
-      </span>
+      <div className="font-preview text-gray-600">
+        <SpecimenText
+          text={getSpecimenText(specimenSettings)}
+          size={specimenSettings.size}
+          waterfall={specimenSettings.waterfall}
+          style={{ fontFamily, fontVariationSettings: formatVariationSettings(coordinates) }}
+        />
+      </div>
     );
   };
 
@@ -52,7 +205,7 @@ const FontList = ({ fonts, onDeleteFont, loadedFonts }) => {
               d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"
             />
           </svg>
-          <p className="text-gray-500">No fonts uploaded yet. Upload your first TTF font above.</p>
+          <p className="text-gray-500">No fonts uploaded yet. Upload your first font above.</p>
         </div>
       </div>
     );
@@ -60,57 +213,352 @@ const FontList = ({ fonts, onDeleteFont, loadedFonts }) => {
 
   return (
     <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-8">
-      <h2 className="text-2xl font-bold text-gray-800 mb-2">Our Fonts</h2>
+      <div className="flex items-start justify-between">
+        <h2 className="text-2xl font-bold text-gray-800 mb-2">Our Fonts</h2>
+        <button
+          onClick={() => setShowTagManager(!showTagManager)}
+          aria-expanded={showTagManager}
+          className="text-sm text-blue-600 hover:text-blue-800 font-medium hover:underline"
+        >
+          {showTagManager ? 'Hide Tags' : 'Manage Tags'}
+        </button>
+      </div>
       <p className="text-gray-600 mb-6">Browse a list of Zepto fonts to build your font group.</p>
-      
+
+      {showTagManager && (
+        <TagManager
+          tags={tags}
+          onCreateTag={onCreateTag}
+          onRenameTag={onRenameTag}
+          onDeleteTag={onDeleteTag}
+          onError={onError}
+        />
+      )}
+
+      <TagFilter
+        tags={tags.filter(tag => tag.count > 0)}
+        selected={tagFilter}
+        onChange={(selected) => list.setFilters(selected.length > 0 ? { tag: selected } : {})}
+      />
+
+      <SpecimenControls settings={specimenSettings} onChange={onSpecimenSettingsChange} />
+
+      {selectedIds.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 mb-4 p-3 bg-blue-50 border border-blue-200 rounded-lg">
+          <span className="text-sm text-blue-800">
+            {selectedIds.length} {selectedIds.length === 1 ? 'font' : 'fonts'} selected
+          </span>
+          <input
+            type="text"
+            list="font-list-tags"
+            value={bulkTag}
+            onChange={(e) => setBulkTag(e.target.value)}
+            placeholder="Tag"
+            maxLength={50}
+            className="px-3 py-1 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+            disabled={isTagging}
+          />
+          <datalist id="font-list-tags">
+            {tags.map(tag => <option key={tag.name} value={tag.name} />)}
+          </datalist>
+          <button
+            onClick={() => handleBulkTag('add')}
+            disabled={isTagging || !bulkTag.trim()}
+            className="px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Add Tag
+          </button>
+          <button
+            onClick={() => handleBulkTag('remove')}
+            disabled={isTagging || !bulkTag.trim()}
+            className="px-3 py-1 text-sm border border-gray-300 text-gray-700 rounded-md hover:bg-white disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Remove Tag
+          </button>
+          <button
+            onClick={() => setSelectedIds([])}
+            className="ml-auto text-sm text-blue-600 hover:text-blue-800 hover:underline"
+          >
+            Clear Selection
+          </button>
+        </div>
+      )}
+
       <div className="overflow-x-auto">
         <table className="w-full">
           <thead>
             <tr className="border-b border-gray-200">
-              <th className="text-left py-3 px-4 font-semibold text-gray-700 uppercase tracking-wider text-sm">
-                Font Name
+              <th className="py-3 pl-4 w-8">
+                <input
+                  type="checkbox"
+                  checked={isPageSelected}
+                  onChange={togglePageSelected}
+                  aria-label="Select all fonts on this page"
+                />
               </th>
+              <SortableHeader label="Font Name" field="name" sort={list.sort} onSort={list.toggleSort} />
               <th className="text-left py-3 px-4 font-semibold text-gray-700 uppercase tracking-wider text-sm">
                 Preview
               </th>
+              <SortableHeader label="Uploaded" field="uploaded" sort={list.sort} onSort={list.toggleSort} />
+              <SortableHeader label="Size" field="size" sort={list.sort} onSort={list.toggleSort} />
+              <SortableHeader label="Groups" field="usage" sort={list.sort} onSort={list.toggleSort} />
               <th className="text-right py-3 px-4 font-semibold text-gray-700 uppercase tracking-wider text-sm">
                 Action
               </th>
             </tr>
           </thead>
           <tbody className="divide-y divide-gray-100">
-            {fonts.map((font) => (
-              <tr key={font.id} className="hover:bg-gray-50 transition-colors duration-150">
-                <td className="py-4 px-4">
-                  <span className="text-gray-800 font-medium">{font.name}</span>
-                </td>
-                <td className="py-4 px-4">
-                  <FontPreview font={font} />
+            {!list.loading && list.items.length === 0 && tagFilter.length > 0 && (
+              <tr>
+                <td colSpan={7} className="py-8 text-center text-gray-500">
+                  No fonts have all of the selected tags.
                 </td>
-                <td className="py-4 px-4 text-right">
-                  <button
-                    onClick={() => handleDelete(font)}
-                    disabled={deletingFont === font.filename}
-                    className={`
-                      text-red-600 hover:text-red-800 font-medium transition-colors duration-150
-                      ${deletingFont === font.filename ? 'opacity-50 cursor-not-allowed' : 'hover:underline'}
-                    `}
-                  >
-                    {deletingFont === font.filename ? (
-                      <div className="flex items-center space-x-2">
-                        <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-red-600"></div>
-                        <span>Deleting...</span>
+              </tr>
+            )}
+            {list.items.map((font) => (
+              <React.Fragment key={font.id}>
+                <tr
+                  id={`font-row-${font.id}`}
+                  className={`transition-colors duration-150 ${highlightedId === font.id ? 'bg-yellow-50' : 'hover:bg-gray-50'}`}
+                >
+                  <td className="py-4 pl-4">
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.includes(font.id)}
+                      onChange={() => toggleSelected(font.id)}
+                      aria-label={`Select ${font.name}`}
+                    />
+                  </td>
+                  <td className="py-4 px-4">
+                    {editingFont === font.id ? (
+                      <div className="space-y-2">
+                        <input
+                          type="text"
+                          value={editFormData.displayName}
+                          onChange={(e) => setEditFormData({ ...editFormData, displayName: e.target.value })}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+                          placeholder={[font.familyName, font.styleName].filter(Boolean).join(' ') || 'Display Name'}
+                          disabled={isSaving}
+                        />
+                        <textarea
+                          value={editFormData.description}
+                          onChange={(e) => setEditFormData({ ...editFormData, description: e.target.value })}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+                          placeholder="Description"
+                          rows={2}
+                          disabled={isSaving}
+                        />
+                        <input
+                          type="text"
+                          value={editFormData.tags}
+                          onChange={(e) => setEditFormData({ ...editFormData, tags: e.target.value })}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+                          placeholder="Tags, separated by commas"
+                          disabled={isSaving}
+                        />
+                        {getMissingSuggestions(font).length > 0 && (
+                          <div className="flex flex-wrap items-center gap-1 text-xs text-gray-500">
+                            <span>Suggested:</span>
+                            {getMissingSuggestions(font).map(tag => (
+                              <button
+                                key={tag}
+                                onClick={() => addSuggestedTag(tag)}
+                                disabled={isSaving}
+                                className="px-2 py-0.5 border border-dashed border-gray-300 rounded-full hover:bg-gray-50"
+                              >
+                                + {tag}
+                              </button>
+                            ))}
+                          </div>
+                        )}
                       </div>
                     ) : (
-                      'Delete'
+                      <>
+                        <div className="flex items-baseline space-x-2">
+                          <span className="text-gray-800 font-medium">{font.displayName || font.familyName || font.name}</span>
+                          {!font.displayName && font.styleName && (
+                            <span className="text-sm text-gray-500">{font.styleName}</span>
+                          )}
+                          {font.format && (
+                            <span className="text-xs font-semibold uppercase text-gray-400">{font.format}</span>
+                          )}
+                          {isVariableFont(font) && (
+                            <span
+                              className="text-xs font-semibold uppercase text-purple-500"
+                              title={font.axes.map(axis => `${axis.tag} ${axis.min}–${axis.max}`).join(', ')}
+                            >
+                              Variable
+                            </span>
+                          )}
+                          {getLicenseStatus(font).status !== 'ok' && (
+                            <LicenseBadge
+                              status={getLicenseStatus(font).status}
+                              details={[...getLicenseStatus(font).problems, ...getLicenseStatus(font).warnings]}
+                              onClick={() => setLicenseFont(font.id)}
+                            />
+                          )}
+                        </div>
+                        {font.description && (
+                          <p className="text-sm text-gray-600">{font.description}</p>
+                        )}
+                        {(font.tags?.length > 0 || getPendingSuggestions(font).length > 0) && (
+                          <div className="flex flex-wrap gap-1 mt-1">
+                            {(font.tags || []).map(tag => (
+                              <span key={tag} className="px-2 py-0.5 text-xs bg-gray-100 text-gray-600 rounded-full">{tag}</span>
+                            ))}
+                            {getPendingSuggestions(font).map(tag => (
+                              <button
+                                key={tag}
+                                onClick={() => acceptSuggestedTag(font, tag)}
+                                title="Suggested by the font's classification; click to add"
+                                className="px-2 py-0.5 text-xs text-gray-500 border border-dashed border-gray-300 rounded-full hover:bg-gray-50"
+                              >
+                                + {tag}
+                              </button>
+                            ))}
+                          </div>
+                        )}
+                        <span className="block text-xs text-gray-400" title={font.version || undefined}>
+                          {font.filename}
+                          {font.uploadedBy && ` · uploaded by ${font.uploadedBy}`}
+                        </span>
+                      </>
                     )}
-                  </button>
-                </td>
-              </tr>
+                  </td>
+                  <td className="py-4 px-4">
+                    <FontPreview font={font} />
+                    {isVariableFont(font) && (
+                      <div className="mt-2 max-w-xs">
+                        <VariationControls
+                          font={font}
+                          value={previewVariations[font.id] || null}
+                          onChange={(variation) => setPreviewVariations(prev => ({ ...prev, [font.id]: variation }))}
+                        />
+                      </div>
+                    )}
+                  </td>
+                  <td className="py-4 px-4 text-sm text-gray-600">
+                    {font.uploadedAt ? new Date(font.uploadedAt).toLocaleDateString() : ''}
+                  </td>
+                  <td className="py-4 px-4 text-sm text-gray-600">{formatSize(font.size)}</td>
+                  <td className="py-4 px-4 text-sm text-gray-600">{font.usageCount}</td>
+                  <td className="py-4 px-4 text-right">
+                    {editingFont === font.id ? (
+                      <div className="flex justify-end space-x-2">
+                        <button
+                          onClick={handleCancelEdit}
+                          disabled={isSaving}
+                          className="px-4 py-2 text-gray-600 border border-gray-300 rounded-md hover:bg-gray-50"
+                        >
+                          Cancel
+                        </button>
+                        <button
+                          onClick={handleSaveEdit}
+                          disabled={isSaving}
+                          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+                        >
+                          {isSaving ? 'Saving...' : 'Save'}
+                        </button>
+                      </div>
+                    ) : (
+                      <div className="flex justify-end space-x-4">
+                        <button
+                          onClick={() => handleEdit(font)}
+                          className="text-blue-600 hover:text-blue-800 font-medium hover:underline transition-colors duration-150"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => onOpenSpecimen(font.id)}
+                          title="Open an SVG specimen drawn from the font's outlines"
+                          className="text-gray-600 hover:text-gray-800 font-medium hover:underline transition-colors duration-150"
+                        >
+                          Specimen
+                        </button>
+                        <button
+                          onClick={() => setLicenseFont(licenseFont === font.id ? null : font.id)}
+                          className="text-gray-600 hover:text-gray-800 font-medium hover:underline transition-colors duration-150"
+                        >
+                          License
+                        </button>
+                        <button
+                          onClick={() => setConfirmingDelete(font.id)}
+                          disabled={deletingFont === font.id}
+                          className={`
+                            text-red-600 hover:text-red-800 font-medium transition-colors duration-150
+                            ${deletingFont === font.id ? 'opacity-50 cursor-not-allowed' : 'hover:underline'}
+                          `}
+                        >
+                          {deletingFont === font.id ? (
+                            <div className="flex items-center space-x-2">
+                              <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-red-600"></div>
+                              <span>Deleting...</span>
+                            </div>
+                          ) : (
+                            'Delete'
+                          )}
+                        </button>
+                      </div>
+                    )}
+                    {confirmingDelete === font.id && (
+                      <div className="mt-3 p-3 text-left bg-red-50 border border-red-200 rounded-lg">
+                        {getGroupsUsingFont(font.id).length > 0 ? (
+                          <>
+                            <p className="text-sm text-red-800 mb-1">This font will also be removed from:</p>
+                            <ul className="text-sm text-red-800 list-disc list-inside mb-2">
+                              {getGroupsUsingFont(font.id).map(group => (
+                                <li key={group.id}>
+                                  {group.title}
+                                  {group.fonts.length <= 2 && ' (will be left with fewer than 2 fonts)'}
+                                </li>
+                              ))}
+                            </ul>
+                          </>
+                        ) : (
+                          <p className="text-sm text-red-800 mb-2">Delete this font? It is not used by any group.</p>
+                        )}
+                        <div className="flex justify-end space-x-2">
+                          <button
+                            onClick={() => setConfirmingDelete(null)}
+                            className="px-3 py-1 text-sm text-gray-600 border border-gray-300 rounded-md hover:bg-white"
+                          >
+                            Cancel
+                          </button>
+                          <button
+                            onClick={() => handleDelete(font)}
+                            className="px-3 py-1 text-sm bg-red-600 text-white rounded-md hover:bg-red-700"
+                          >
+                            Delete
+                          </button>
+                        </div>
+                      </div>
+                    )}
+                  </td>
+                </tr>
+                {licenseFont === font.id && (
+                  <tr>
+                    <td colSpan={7} className="pb-4 px-4">
+                      <FontLicensePanel
+                        font={fonts.find(item => item.id === font.id) || font}
+                        onSaveRecord={onSaveLicenseRecord}
+                        onSetOverride={onSetLicenseOverride}
+                        onClearOverride={onClearLicenseOverride}
+                        onUploadDocument={onUploadLicenseDocument}
+                        onRemoveDocument={onRemoveLicenseDocument}
+                        onOpenDocument={onOpenLicenseDocument}
+                        onClose={() => setLicenseFont(null)}
+                        onError={onError}
+                      />
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
             ))}
           </tbody>
         </table>
       </div>
+      <PaginationControls list={list} noun="fonts" />
     </div>
   );
 };
@@ -1,26 +1,40 @@
 import React, { useState, useRef } from 'react';
+import { getLicenseStatus } from '../utils/licenses';
+
+const FONT_SIGNATURES = ['true', 'OTTO', 'wOFF', 'wOF2'];
+const UPLOADER_STORAGE_KEY = 'fontGroupSystem.uploadedBy';
 
 // SOLID Principle: Single Responsibility - Only handles font uploading
 const FontUploader = ({ onFontUploaded, onError }) => {
   const [isDragOver, setIsDragOver] = useState(false);
   const [isUploading, setIsUploading] = useState(false);
+  const [uploadedBy, setUploadedBy] = useState(() => localStorage.getItem(UPLOADER_STORAGE_KEY) || '');
+  // Fonts from the last upload that are restricted or have no license information
+  const [licenseWarnings, setLicenseWarnings] = useState([]);
   const fileInputRef = useRef(null);
 
-  const validateFile = (file) => {
-    if (!file.name.toLowerCase().endsWith('.ttf')) {
-      throw new Error('Only TTF files are allowed');
-    }
+  const validateFile = async (file) => {
     if (file.size > 10 * 1024 * 1024) { // 10MB limit
-      throw new Error('File size must be less than 10MB');
+      throw new Error(`${file.name}: File size must be less than 10MB`);
+    }
+
+    // The server decides the format from the signature bytes, not the file
+    // extension, so a font with a missing or wrong extension is fine
+    const signature = new Uint8Array(await file.slice(0, 4).arrayBuffer());
+    const tag = String.fromCharCode(...signature);
+    const isTrueType = signature.length === 4 && signature[0] === 0 && signature[1] === 1 && signature[2] === 0 && signature[3] === 0;
+    if (!isTrueType && !FONT_SIGNATURES.includes(tag)) {
+      throw new Error(`${file.name}: File is not a TTF, OTF, WOFF or WOFF2 font`);
     }
   };
 
-  const handleFileUpload = async (file) => {
+  const handleFileUpload = async (files) => {
     try {
       setIsUploading(true);
-      validateFile(file);
+      await Promise.all(files.map(validateFile));
       
-      await onFontUploaded(file);
+      const uploadedFonts = await onFontUploaded(files, { uploadedBy: uploadedBy.trim() });
+      setLicenseWarnings((uploadedFonts || []).filter(font => getLicenseStatus(font).status !== 'ok'));
       
       // Reset file input
       if (fileInputRef.current) {
@@ -49,23 +63,38 @@ const FontUploader = ({ onFontUploaded, onError }) => {
     
     const files = Array.from(e.dataTransfer.files);
     if (files.length > 0) {
-      handleFileUpload(files[0]);
+      handleFileUpload(files);
     }
   };
 
   const handleFileSelect = (e) => {
     const files = Array.from(e.target.files);
     if (files.length > 0) {
-      handleFileUpload(files[0]);
+      handleFileUpload(files);
     }
   };
 
+  const handleUploaderChange = (e) => {
+    setUploadedBy(e.target.value);
+    localStorage.setItem(UPLOADER_STORAGE_KEY, e.target.value);
+  };
+
   const handleClick = () => {
     fileInputRef.current?.click();
   };
 
   return (
     <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-8">
+      <div className="mb-4">
+        <input
+          type="text"
+          placeholder="Uploaded by (optional)"
+          value={uploadedBy}
+          onChange={handleUploaderChange}
+          className="w-full sm:w-64 px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+          disabled={isUploading}
+        />
+      </div>
       <div
         className={`
           drag-drop-area border-2 border-dashed rounded-lg p-12 text-center cursor-pointer
@@ -84,7 +113,7 @@ const FontUploader = ({ onFontUploaded, onError }) => {
         <input
           ref={fileInputRef}
           type="file"
-          accept=".ttf"
+          multiple
           onChange={handleFileSelect}
           className="hidden"
           disabled={isUploading}
@@ -114,11 +143,37 @@ const FontUploader = ({ onFontUploaded, onError }) => {
               {isUploading ? 'Uploading...' : 'Click to upload or drag and drop'}
             </p>
             <p className="text-sm text-gray-500">
-              Only TTF File Allowed
+              TTF, OTF, WOFF and WOFF2 files allowed - select or drop several at once
             </p>
           </div>
         </div>
       </div>
+
+      {licenseWarnings.length > 0 && (
+        <div role="status" className="mt-4 p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+          <div className="flex items-start justify-between gap-4">
+            <ul className="text-yellow-800 text-sm space-y-1">
+              {licenseWarnings.map(font => {
+                const { status, problems, warnings } = getLicenseStatus(font);
+                return (
+                  <li key={font.id}>
+                    <span className="font-medium">{font.name}:</span>{' '}
+                    {status === 'restricted'
+                      ? `${problems.join('; ')}. Groups using it cannot generate CSS or be exported until a license override is recorded.`
+                      : warnings.join('; ')}
+                  </li>
+                );
+              })}
+            </ul>
+            <button
+              onClick={() => setLicenseWarnings([])}
+              className="text-sm text-yellow-800 hover:underline flex-shrink-0"
+            >
+              Dismiss
+            </button>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
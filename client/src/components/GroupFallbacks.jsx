@@ -0,0 +1,133 @@
+import React, { useState, useEffect } from 'react';
+
+const FALLBACK_OPTIONS = [
+  { value: 'auto', label: 'Auto (by font style)' },
+  { value: 'arial', label: 'Arial' },
+  { value: 'times-new-roman', label: 'Times New Roman' },
+  { value: 'courier-new', label: 'Courier New' }
+];
+
+const formatUnits = (value) => (value === null || value === undefined ? '-' : value);
+
+// SOLID Principle: Single Responsibility - Only shows a group's font metrics and metric-matched fallback CSS
+const GroupFallbacks = ({ groupId, onGetFallbacks, onClose, onError }) => {
+  const [fallback, setFallback] = useState('auto');
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    onGetFallbacks(groupId, fallback)
+      .then(result => {
+        if (!cancelled) setReport(result);
+      })
+      .catch(error => onError('Failed to load fallbacks: ' + error.message))
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [groupId, fallback, onGetFallbacks, onError]);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(report.css);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      onError('Failed to copy CSS: ' + error.message);
+    }
+  };
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-md p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="text-sm font-semibold text-gray-800 uppercase tracking-wider">Metrics &amp; Fallbacks</h3>
+        <div className="flex items-center space-x-4 text-sm">
+          <select
+            value={fallback}
+            onChange={(e) => setFallback(e.target.value)}
+            aria-label="Fallback font"
+            className="px-2 py-1 border border-gray-300 rounded-md bg-white focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+          >
+            {FALLBACK_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <button onClick={onClose} className="text-gray-600 hover:text-gray-800 hover:underline">
+            Close
+          </button>
+        </div>
+      </div>
+
+      {loading && !report ? (
+        <p className="text-sm text-gray-500">Loading metrics...</p>
+      ) : !report || report.fonts.length === 0 ? (
+        <p className="text-sm text-gray-500">No font metrics available for this group.</p>
+      ) : (
+        <>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600">
+                  <th className="py-1 pr-4 font-medium">Font</th>
+                  <th className="py-1 pr-4 font-medium">UPM</th>
+                  <th className="py-1 pr-4 font-medium">Ascender</th>
+                  <th className="py-1 pr-4 font-medium">Descender</th>
+                  <th className="py-1 pr-4 font-medium">Line gap</th>
+                  <th className="py-1 pr-4 font-medium">x-height</th>
+                  <th className="py-1 pr-4 font-medium">Cap height</th>
+                  <th className="py-1 pr-4 font-medium">Avg width</th>
+                  <th className="py-1 pr-4 font-medium">Fallback</th>
+                  <th className="py-1 font-medium">Overrides</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 text-gray-700 tabular-nums">
+                {report.fonts.map(font => (
+                  <tr key={font.fontId}>
+                    <td className="py-1 pr-4">{font.name}</td>
+                    <td className="py-1 pr-4">{font.metrics.unitsPerEm}</td>
+                    <td className="py-1 pr-4">{font.metrics.ascender}</td>
+                    <td className="py-1 pr-4">{font.metrics.descender}</td>
+                    <td className="py-1 pr-4">{font.metrics.lineGap}</td>
+                    <td className="py-1 pr-4">{formatUnits(font.metrics.xHeight)}</td>
+                    <td className="py-1 pr-4">{formatUnits(font.metrics.capHeight)}</td>
+                    <td className="py-1 pr-4">{formatUnits(font.metrics.averageWidth)}</td>
+                    <td className="py-1 pr-4">{font.fallback.name}</td>
+                    <td className="py-1 text-xs text-gray-600">
+                      size {font.overrides.sizeAdjust}% · ascent {font.overrides.ascentOverride}% ·
+                      descent {font.overrides.descentOverride}% · line gap {font.overrides.lineGapOverride}%
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {report.skipped.length > 0 && (
+            <p className="text-sm text-yellow-800">
+              Skipped {report.skipped.map(font => font.name).join(', ')}: metrics could not be read.
+            </p>
+          )}
+
+          <div>
+            <div className="flex items-center justify-between mb-1">
+              <span className="text-sm text-gray-600">
+                Use as e.g. <code className="text-xs">font-family: {report.fonts[0].fontFamily};</code>
+              </span>
+              <button onClick={handleCopy} className="text-sm text-blue-600 hover:text-blue-800 font-medium hover:underline">
+                {copied ? 'Copied!' : 'Copy CSS'}
+              </button>
+            </div>
+            <pre className="text-xs bg-white border border-gray-200 rounded-md p-3 overflow-x-auto max-h-64">{report.css}</pre>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default GroupFallbacks;
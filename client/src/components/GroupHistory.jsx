@@ -0,0 +1,168 @@
+import React, { useState, useEffect } from 'react';
+
+const ACTION_LABELS = {
+  create: 'Created',
+  update: 'Edited',
+  delete: 'Deleted',
+  restore: 'Restored'
+};
+
+const formatValue = (value) => (
+  value === undefined || value === null ? '(none)' : typeof value === 'string' ? value : JSON.stringify(value)
+);
+
+// SOLID Principle: Single Responsibility - Only handles browsing and restoring a group's revisions
+const GroupHistory = ({ groupId, fonts, onGetRevisions, onGetRevision, onRestoreRevision, onClose, onError }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selected, setSelected] = useState(null);
+  const [restoring, setRestoring] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    onGetRevisions(groupId)
+      .then(result => {
+        if (!cancelled) setRevisions(result.slice().reverse());
+      })
+      .catch(error => onError('Failed to load history: ' + error.message))
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [groupId, onGetRevisions, onError]);
+
+  const getFontName = (fontId) => {
+    const font = fonts.find(f => f.id === fontId);
+    return font ? font.name : `Missing font (${fontId})`;
+  };
+
+  const handleSelect = async (rev) => {
+    if (selected && selected.rev === rev) {
+      setSelected(null);
+      return;
+    }
+    try {
+      setSelected(await onGetRevision(groupId, rev));
+    } catch (error) {
+      onError('Failed to load revision: ' + error.message);
+    }
+  };
+
+  const handleRestore = async (rev) => {
+    try {
+      setRestoring(true);
+      await onRestoreRevision(groupId, rev);
+      setRevisions(await onGetRevisions(groupId).then(result => result.slice().reverse()));
+      setSelected(null);
+    } catch (error) {
+      onError(error.message);
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  const latestRev = revisions.length > 0 ? revisions[0].rev : null;
+
+  const renderDiff = (revision) => {
+    const { fields, fonts: fontDiff } = revision.diff;
+    const hasChanges = fields.length > 0 || fontDiff.added.length > 0 ||
+      fontDiff.removed.length > 0 || fontDiff.changed.length > 0 || fontDiff.reordered;
+    if (!hasChanges) {
+      return <p className="text-sm text-gray-500">No changes from the previous revision.</p>;
+    }
+    return (
+      <ul className="text-sm space-y-1">
+        {fields.map(change => (
+          <li key={change.field} className="text-gray-700">
+            <span className="font-medium">{change.field}</span>:{' '}
+            <span className="line-through text-red-600">{formatValue(change.from)}</span>{' '}
+            <span className="text-green-700">{formatValue(change.to)}</span>
+          </li>
+        ))}
+        {fontDiff.added.map(row => (
+          <li key={`added-${row.selectedFont}`} className="text-green-700">
+            + {row.name} ({getFontName(row.selectedFont)})
+          </li>
+        ))}
+        {fontDiff.removed.map(row => (
+          <li key={`removed-${row.selectedFont}`} className="text-red-600">
+            - {row.name} ({getFontName(row.selectedFont)})
+          </li>
+        ))}
+        {fontDiff.changed.map(change => (
+          <li key={`changed-${change.selectedFont}`} className="text-gray-700">
+            ~ {getFontName(change.selectedFont)}:{' '}
+            <span className="line-through text-red-600">{formatValue(change.from.name)}</span>{' '}
+            <span className="text-green-700">{formatValue(change.to.name)}</span>
+            {(change.from.role || null) !== (change.to.role || null) && (
+              <>
+                {'; role '}
+                <span className="line-through text-red-600">{formatValue(change.from.role)}</span>{' '}
+                <span className="text-green-700">{formatValue(change.to.role)}</span>
+              </>
+            )}
+          </li>
+        ))}
+        {fontDiff.reordered && <li className="text-gray-700">~ Fonts reordered</li>}
+      </ul>
+    );
+  };
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-md p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="text-sm font-semibold text-gray-800 uppercase tracking-wider">History</h3>
+        <button onClick={onClose} className="text-sm text-gray-600 hover:text-gray-800 hover:underline">
+          Close
+        </button>
+      </div>
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading history...</p>
+      ) : revisions.length === 0 ? (
+        <p className="text-sm text-gray-500">No revisions recorded for this group yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {revisions.map(revision => (
+            <li key={revision.rev} className="py-2">
+              <div className="flex items-center justify-between">
+                <button
+                  onClick={() => handleSelect(revision.rev)}
+                  className="text-left text-sm text-gray-700 hover:text-blue-700"
+                >
+                  <span className="font-medium">#{revision.rev} {ACTION_LABELS[revision.action] || revision.action}</span>
+                  {revision.restoredFrom && <span> from #{revision.restoredFrom}</span>}
+                  <span className="text-gray-500">
+                    {' '}by {revision.author || 'unknown'} on {new Date(revision.timestamp).toLocaleString()}
+                  </span>
+                  {revision.changes.length > 0 && (
+                    <span className="text-gray-500"> - {revision.changes.join(', ')}</span>
+                  )}
+                </button>
+                {revision.rev !== latestRev && revision.action !== 'delete' && (
+                  <button
+                    onClick={() => handleRestore(revision.rev)}
+                    disabled={restoring}
+                    className="text-sm text-blue-600 hover:text-blue-800 font-medium hover:underline disabled:opacity-50"
+                  >
+                    Restore
+                  </button>
+                )}
+              </div>
+              {selected && selected.rev === revision.rev && (
+                <div className="mt-2 pl-4 border-l-2 border-gray-300">
+                  {renderDiff(selected)}
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default GroupHistory;
@@ -0,0 +1,145 @@
+import React, { useState, useRef } from 'react';
+
+// SOLID Principle: Single Responsibility - Only handles importing group bundles
+const GroupImporter = ({ onImportGroup, onError }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [file, setFile] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+  const [report, setReport] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const handleOpen = () => {
+    setFile(null);
+    setReport(null);
+    setIsOpen(true);
+  };
+
+  const handleClose = () => {
+    if (!isImporting) {
+      setIsOpen(false);
+    }
+  };
+
+  const handleFileSelect = (e) => {
+    setFile(e.target.files[0] || null);
+    setReport(null);
+  };
+
+  const handleImport = async () => {
+    if (!file) return;
+    if (!/\.zip$/i.test(file.name)) {
+      onError(`${file.name}: Group bundles must be ZIP files`);
+      return;
+    }
+    try {
+      setIsImporting(true);
+      setReport(await onImportGroup(file));
+      setFile(null);
+      if (fileInputRef.current) {
+        fileInputRef.current.value = '';
+      }
+    } catch (error) {
+      onError(error.message);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const renderFontList = (items, emptyText) => (
+    items.length === 0 ? (
+      <p className="text-sm text-gray-500">{emptyText}</p>
+    ) : (
+      <ul className="text-sm text-gray-700 space-y-1">
+        {items.map((item, index) => (
+          <li key={`${item.file}-${index}`}>
+            <span className="font-mono">{item.file || 'Unnamed entry'}</span>
+            {item.font && <span className="text-gray-500"> - {item.font.name}</span>}
+            {item.reason && <span className="text-red-600"> - {item.reason}</span>}
+          </li>
+        ))}
+      </ul>
+    )
+  );
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-8 flex items-center justify-between">
+      <div>
+        <h2 className="text-2xl font-bold text-gray-800 mb-2">Import Font Group</h2>
+        <p className="text-sm text-gray-500">Load a ZIP bundle exported from this or another font library</p>
+      </div>
+      <button
+        onClick={handleOpen}
+        className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition-colors duration-200"
+      >
+        Import Bundle
+      </button>
+
+      {isOpen && (
+        <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-50 p-4" onClick={handleClose}>
+          <div
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="group-import-title"
+            className="bg-white rounded-lg shadow-lg w-full max-w-lg p-6 space-y-4"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <h3 id="group-import-title" className="text-lg font-semibold text-gray-900">Import Group Bundle</h3>
+
+            <div className="space-y-2">
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".zip,application/zip"
+                onChange={handleFileSelect}
+                disabled={isImporting}
+                className="block w-full text-sm text-gray-700"
+              />
+              <p className="text-xs text-gray-500">
+                Fonts already in the library are reused; a numbered title is used if the group name is taken.
+              </p>
+            </div>
+
+            {report && (
+              <div className="border border-gray-200 rounded-md p-4 space-y-3 max-h-72 overflow-y-auto">
+                <p className={`text-sm font-medium ${report.group ? 'text-green-700' : 'text-red-700'}`}>
+                  {report.group ? `Created group "${report.group.title}"` : 'No group was created'}
+                </p>
+                <div>
+                  <h4 className="text-sm font-medium text-gray-900 mb-1">Added to the library ({report.created.length})</h4>
+                  {renderFontList(report.created, 'No new fonts')}
+                </div>
+                <div>
+                  <h4 className="text-sm font-medium text-gray-900 mb-1">Reused ({report.reused.length})</h4>
+                  {renderFontList(report.reused, 'No existing fonts matched')}
+                </div>
+                <div>
+                  <h4 className="text-sm font-medium text-gray-900 mb-1">Skipped ({report.skipped.length})</h4>
+                  {renderFontList(report.skipped, 'Nothing was skipped')}
+                </div>
+              </div>
+            )}
+
+            <div className="flex justify-end space-x-3">
+              <button
+                onClick={handleClose}
+                disabled={isImporting}
+                className="px-4 py-2 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200 transition-colors duration-200 disabled:opacity-50"
+              >
+                {report ? 'Done' : 'Cancel'}
+              </button>
+              <button
+                onClick={handleImport}
+                disabled={!file || isImporting}
+                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isImporting ? 'Importing...' : 'Import'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GroupImporter;
@@ -0,0 +1,63 @@
+import React, { useState, useEffect } from 'react';
+import LicenseBadge from './LicenseBadge.jsx';
+
+// SOLID Principle: Single Responsibility - Only shows the license status of a group's fonts
+// `fonts` is only used to refetch when the library changes, e.g. after a
+// license record or override was saved.
+const GroupLicense = ({ groupId, fonts, onGetLicense, onClose, onError }) => {
+  const [report, setReport] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    onGetLicense(groupId)
+      .then(result => {
+        if (!cancelled) setReport(result);
+      })
+      .catch(error => onError('Failed to load license status: ' + error.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [groupId, fonts, onGetLicense, onError]);
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-md p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <h3 className="text-sm font-semibold text-gray-800 uppercase tracking-wider">License</h3>
+          {report && <LicenseBadge status={report.status} />}
+        </div>
+        <button onClick={onClose} className="text-sm text-gray-600 hover:text-gray-800 hover:underline">
+          Close
+        </button>
+      </div>
+
+      {!report ? (
+        <p className="text-sm text-gray-500">Loading license status...</p>
+      ) : (
+        <>
+          {report.status === 'restricted' && (
+            <p className="text-sm text-red-800">
+              CSS and exports are blocked until the restricted fonts have a license override, which can be
+              recorded from each font's License panel in the font list.
+            </p>
+          )}
+          <ul className="text-sm space-y-2">
+            {report.fonts.map(font => (
+              <li key={font.fontId} className="flex items-start space-x-2">
+                <LicenseBadge status={font.status} />
+                <div>
+                  <span className="text-gray-800">{font.name}</span>
+                  {[...font.problems, ...font.warnings].map(message => (
+                    <span key={message} className="block text-xs text-gray-600">{message}</span>
+                  ))}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default GroupLicense;
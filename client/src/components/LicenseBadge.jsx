@@ -0,0 +1,17 @@
+import React from 'react';
+import { LICENSE_STATUSES } from '../utils/licenses';
+
+// SOLID Principle: Single Responsibility - Only renders a license status pill
+// `details` are shown as a tooltip, one per line; with onClick it is a button
+const LicenseBadge = ({ status, details = [], onClick }) => {
+  const style = LICENSE_STATUSES[status] || LICENSE_STATUSES.ok;
+  const props = {
+    title: details.join('\n') || undefined,
+    className: `px-2 py-0.5 text-xs font-medium rounded-full ${style.className}`
+  };
+  return onClick
+    ? <button onClick={onClick} {...props}>{style.label}</button>
+    : <span {...props}>{style.label}</span>;
+};
+
+export default LicenseBadge;
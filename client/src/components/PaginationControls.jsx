@@ -0,0 +1,35 @@
+import React from 'react';
+
+// SOLID Principle: Single Responsibility - Only renders paging controls for a list
+const PaginationControls = ({ list, noun }) => {
+  const { items, total, firstIndex, hasPrev, hasNext, prevPage, nextPage, loading } = list;
+  if (total === 0) {
+    return null;
+  }
+
+  return (
+    <div className="flex items-center justify-between mt-4 text-sm text-gray-600">
+      <span>
+        Showing {items.length > 0 ? firstIndex + 1 : 0}–{firstIndex + items.length} of {total} {noun}
+      </span>
+      <div className="flex space-x-2">
+        <button
+          onClick={prevPage}
+          disabled={!hasPrev || loading}
+          className="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Previous
+        </button>
+        <button
+          onClick={nextPage}
+          disabled={!hasNext || loading}
+          className="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Next
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default PaginationControls;
@@ -0,0 +1,24 @@
+import React from 'react';
+import { GROUP_ROLES } from '../utils/groupRoles';
+
+// SOLID Principle: Single Responsibility - Only renders the role picker for a group row
+// `takenRoles` are offered disabled since another row already has them.
+// `value` and onChange use null for no role.
+const RoleSelect = ({ value, takenRoles = [], onChange, disabled = false, className = '' }) => (
+  <select
+    value={value || ''}
+    onChange={(e) => onChange(e.target.value || null)}
+    disabled={disabled}
+    aria-label="Role"
+    className={`px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none bg-white ${className}`}
+  >
+    <option value="">No role</option>
+    {GROUP_ROLES.map(role => (
+      <option key={role.id} value={role.id} disabled={takenRoles.includes(role.id)}>
+        {role.label}
+      </option>
+    ))}
+  </select>
+);
+
+export default RoleSelect;
@@ -0,0 +1,145 @@
+import React, { useState, useEffect, useRef } from 'react';
+
+const MIN_QUERY_LENGTH = 2;
+const SEARCH_DELAY_MS = 200;
+
+const SECTIONS = [
+  { type: 'font', label: 'Fonts' },
+  { type: 'group', label: 'Groups' }
+];
+
+// SOLID Principle: Single Responsibility - Only handles searching and picking a search result
+const SearchBar = ({ onSearch, onSelectResult, onError }) => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const containerRef = useRef(null);
+
+  // Debounced search; a response for an older query is dropped
+  useEffect(() => {
+    const trimmed = query.trim();
+    if (trimmed.length < MIN_QUERY_LENGTH) {
+      setResults([]);
+      return undefined;
+    }
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      onSearch(trimmed)
+        .then(response => {
+          if (!cancelled) {
+            setResults(response.results);
+            setActiveIndex(-1);
+          }
+        })
+        .catch(error => {
+          if (!cancelled) onError('Search failed: ' + error.message);
+        });
+    }, SEARCH_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, onSearch, onError]);
+
+  useEffect(() => {
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  // Results in display order, so arrow keys move through the sections in turn
+  const ordered = SECTIONS.flatMap(section => results.filter(result => result.type === section.type));
+
+  const handleSelect = (result) => {
+    onSelectResult(result);
+    setIsOpen(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setIsOpen(true);
+      setActiveIndex(index => Math.min(index + 1, ordered.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(index => Math.max(index - 1, 0));
+    } else if (e.key === 'Enter' && ordered[activeIndex]) {
+      e.preventDefault();
+      handleSelect(ordered[activeIndex]);
+    } else if (e.key === 'Escape') {
+      setIsOpen(false);
+    }
+  };
+
+  const showDropdown = isOpen && query.trim().length >= MIN_QUERY_LENGTH;
+
+  return (
+    <div ref={containerRef} className="relative w-full md:max-w-md">
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setIsOpen(true);
+        }}
+        onFocus={() => setIsOpen(true)}
+        onKeyDown={handleKeyDown}
+        placeholder="Search fonts and groups"
+        aria-label="Search fonts and groups"
+        aria-expanded={showDropdown}
+        aria-controls="search-results"
+        aria-activedescendant={activeIndex >= 0 ? `search-result-${activeIndex}` : undefined}
+        role="combobox"
+        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+      />
+
+      {showDropdown && (
+        <div
+          id="search-results"
+          role="listbox"
+          className="absolute z-40 mt-1 w-full bg-white border border-gray-200 rounded-md shadow-lg max-h-96 overflow-y-auto"
+        >
+          {ordered.length === 0 ? (
+            <p className="px-3 py-2 text-sm text-gray-500">No matches</p>
+          ) : (
+            SECTIONS.map(section => {
+              const sectionResults = ordered.filter(result => result.type === section.type);
+              if (sectionResults.length === 0) return null;
+              return (
+                <div key={section.type}>
+                  <p className="px-3 pt-2 pb-1 text-xs font-semibold text-gray-500 uppercase tracking-wider">{section.label}</p>
+                  {sectionResults.map(result => {
+                    const index = ordered.indexOf(result);
+                    return (
+                      <button
+                        key={`${result.type}-${result.id}`}
+                        id={`search-result-${index}`}
+                        role="option"
+                        aria-selected={index === activeIndex}
+                        onClick={() => handleSelect(result)}
+                        onMouseEnter={() => setActiveIndex(index)}
+                        className={`block w-full text-left px-3 py-2 ${index === activeIndex ? 'bg-blue-50' : ''}`}
+                      >
+                        <span className="block text-sm font-medium text-gray-800">{result.title}</span>
+                        {result.subtitle && (
+                          <span className="block text-xs text-gray-500 truncate">{result.subtitle}</span>
+                        )}
+                      </button>
+                    );
+                  })}
+                </div>
+              );
+            })
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SearchBar;
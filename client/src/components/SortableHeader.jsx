@@ -0,0 +1,26 @@
+import React from 'react';
+
+// SOLID Principle: Single Responsibility - Only renders a clickable column header for server-side sorting
+const SortableHeader = ({ label, field, sort, onSort, align = 'left' }) => {
+  const isActive = sort.field === field;
+  const ariaSort = isActive ? (sort.order === 'asc' ? 'ascending' : 'descending') : 'none';
+
+  return (
+    <th
+      aria-sort={ariaSort}
+      className={`${align === 'right' ? 'text-right' : 'text-left'} py-3 px-4 font-semibold text-gray-700 uppercase tracking-wider text-sm`}
+    >
+      <button
+        onClick={() => onSort(field)}
+        className={`inline-flex items-center space-x-1 uppercase tracking-wider hover:text-blue-700 ${isActive ? 'text-blue-700' : ''}`}
+      >
+        <span>{label}</span>
+        <span aria-hidden="true" className={isActive ? '' : 'text-gray-300'}>
+          {isActive && sort.order === 'desc' ? '▼' : '▲'}
+        </span>
+      </button>
+    </th>
+  );
+};
+
+export default SortableHeader;
@@ -0,0 +1,72 @@
+import React from 'react';
+import {
+  SPECIMEN_PRESETS,
+  LANGUAGE_SAMPLES,
+  MIN_SPECIMEN_SIZE,
+  MAX_SPECIMEN_SIZE,
+  MAX_SPECIMEN_TEXT_LENGTH,
+  getSpecimenText
+} from '../utils/specimenText';
+
+// SOLID Principle: Single Responsibility - Only edits the specimen text, size and waterfall settings
+// Typing in the text box switches to custom text, starting from whatever
+// the current preset shows.
+const SpecimenControls = ({ settings, onChange }) => {
+  return (
+    <div className="flex flex-wrap items-center gap-3 mb-4 p-3 bg-gray-50 border border-gray-200 rounded-lg text-sm">
+      <input
+        type="text"
+        value={getSpecimenText(settings)}
+        onChange={(e) => onChange({ preset: 'custom', customText: e.target.value })}
+        placeholder="Type sample text"
+        maxLength={MAX_SPECIMEN_TEXT_LENGTH}
+        aria-label="Sample text"
+        className="flex-1 min-w-48 px-3 py-1 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+      />
+      <select
+        value={settings.preset}
+        onChange={(e) => onChange({ preset: e.target.value })}
+        aria-label="Sample text preset"
+        className="px-2 py-1 border border-gray-300 rounded-md bg-white focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+      >
+        {SPECIMEN_PRESETS.map(preset => (
+          <option key={preset.id} value={preset.id}>{preset.label}</option>
+        ))}
+      </select>
+      {settings.preset === 'language' && (
+        <select
+          value={settings.language}
+          onChange={(e) => onChange({ language: e.target.value })}
+          aria-label="Sample language"
+          className="px-2 py-1 border border-gray-300 rounded-md bg-white focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+        >
+          {LANGUAGE_SAMPLES.map(sample => (
+            <option key={sample.id} value={sample.id}>{sample.label}</option>
+          ))}
+        </select>
+      )}
+      <label className={`flex items-center space-x-2 text-gray-600 ${settings.waterfall ? 'opacity-50' : ''}`}>
+        <span>Size</span>
+        <input
+          type="range"
+          min={MIN_SPECIMEN_SIZE}
+          max={MAX_SPECIMEN_SIZE}
+          value={settings.size}
+          onChange={(e) => onChange({ size: Number(e.target.value) })}
+          disabled={settings.waterfall}
+        />
+        <span className="w-10 tabular-nums">{settings.size}px</span>
+      </label>
+      <label className="flex items-center space-x-2 text-gray-600">
+        <input
+          type="checkbox"
+          checked={settings.waterfall}
+          onChange={(e) => onChange({ waterfall: e.target.checked })}
+        />
+        <span>Waterfall</span>
+      </label>
+    </div>
+  );
+};
+
+export default SpecimenControls;
@@ -0,0 +1,30 @@
+import React from 'react';
+import { WATERFALL_SIZES } from '../utils/specimenText';
+
+// SOLID Principle: Single Responsibility - Only renders sample text at one size or as a waterfall
+// `style` carries the font (fontFamily, fontVariationSettings, ...) and is
+// applied to every line.
+const SpecimenText = ({ text, size, waterfall = false, style = {} }) => {
+  if (!waterfall) {
+    return (
+      <span className="block break-words" style={{ ...style, fontSize: `${size}px`, lineHeight: 1.3 }}>
+        {text}
+      </span>
+    );
+  }
+
+  return (
+    <div className="max-w-xl space-y-1">
+      {WATERFALL_SIZES.map(waterfallSize => (
+        <div key={waterfallSize} className="flex items-baseline space-x-3">
+          <span className="w-6 shrink-0 text-right text-xs text-gray-400 tabular-nums">{waterfallSize}</span>
+          <span className="truncate" style={{ ...style, fontSize: `${waterfallSize}px`, lineHeight: 1.3 }}>
+            {text}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default SpecimenText;
@@ -0,0 +1,47 @@
+import React from 'react';
+
+// SOLID Principle: Single Responsibility - Only renders toggleable tag chips for filtering
+// `selected` holds tag names; a font has to carry all of them to match.
+const TagFilter = ({ tags, selected, onChange, label = 'Filter by tag' }) => {
+  if (tags.length === 0) {
+    return null;
+  }
+
+  const isSelected = (name) => selected.some(tag => tag.toLowerCase() === name.toLowerCase());
+
+  const toggle = (name) => {
+    onChange(isSelected(name)
+      ? selected.filter(tag => tag.toLowerCase() !== name.toLowerCase())
+      : [...selected, name]);
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-4">
+      <span className="text-sm text-gray-600">{label}:</span>
+      {tags.map(tag => (
+        <button
+          key={tag.name}
+          onClick={() => toggle(tag.name)}
+          aria-pressed={isSelected(tag.name)}
+          className={`px-3 py-1 text-xs rounded-full border transition-colors duration-150 ${
+            isSelected(tag.name)
+              ? 'bg-blue-600 border-blue-600 text-white'
+              : 'bg-white border-gray-300 text-gray-600 hover:bg-gray-50'
+          }`}
+        >
+          {tag.name} <span className={isSelected(tag.name) ? 'text-blue-100' : 'text-gray-400'}>{tag.count}</span>
+        </button>
+      ))}
+      {selected.length > 0 && (
+        <button
+          onClick={() => onChange([])}
+          className="text-xs text-blue-600 hover:text-blue-800 hover:underline"
+        >
+          Clear
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default TagFilter;
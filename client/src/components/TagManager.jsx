@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+
+// SOLID Principle: Single Responsibility - Only handles creating, renaming and deleting tags
+const TagManager = ({ tags, onCreateTag, onRenameTag, onDeleteTag, onError }) => {
+  const [newTag, setNewTag] = useState('');
+  const [renaming, setRenaming] = useState(null);
+  const [renameValue, setRenameValue] = useState('');
+  const [confirmingDelete, setConfirmingDelete] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const run = async (action) => {
+    try {
+      setBusy(true);
+      await action();
+      return true;
+    } catch (error) {
+      onError(error.message);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreate = async () => {
+    if (!newTag.trim()) return;
+    if (await run(() => onCreateTag(newTag.trim()))) {
+      setNewTag('');
+    }
+  };
+
+  const handleRename = async (name) => {
+    if (!renameValue.trim() || renameValue.trim() === name) {
+      setRenaming(null);
+      return;
+    }
+    if (await run(() => onRenameTag(name, renameValue.trim()))) {
+      setRenaming(null);
+    }
+  };
+
+  const handleDelete = async (name) => {
+    setConfirmingDelete(null);
+    await run(() => onDeleteTag(name));
+  };
+
+  return (
+    <div className="mb-6 p-4 bg-gray-50 border border-gray-200 rounded-lg">
+      <div className="flex space-x-2 mb-4">
+        <input
+          type="text"
+          value={newTag}
+          onChange={(e) => setNewTag(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleCreate()}
+          placeholder="New tag"
+          maxLength={50}
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+          disabled={busy}
+        />
+        <button
+          onClick={handleCreate}
+          disabled={busy || !newTag.trim()}
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Create Tag
+        </button>
+      </div>
+
+      {tags.length === 0 ? (
+        <p className="text-sm text-gray-500">No tags yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {tags.map(tag => (
+            <li key={tag.name} className="flex items-center justify-between py-2">
+              {renaming === tag.name ? (
+                <input
+                  type="text"
+                  value={renameValue}
+                  onChange={(e) => setRenameValue(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && handleRename(tag.name)}
+                  maxLength={50}
+                  className="flex-1 mr-4 px-2 py-1 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+                  disabled={busy}
+                  autoFocus
+                />
+              ) : (
+                <span className="text-sm text-gray-800">
+                  {tag.name}
+                  <span className="ml-2 text-gray-400">{tag.count} {tag.count === 1 ? 'font' : 'fonts'}</span>
+                </span>
+              )}
+              <div className="flex items-center space-x-3 text-sm">
+                {renaming === tag.name ? (
+                  <>
+                    <button onClick={() => setRenaming(null)} disabled={busy} className="text-gray-600 hover:underline">
+                      Cancel
+                    </button>
+                    <button onClick={() => handleRename(tag.name)} disabled={busy} className="text-blue-600 hover:underline">
+                      Save
+                    </button>
+                  </>
+                ) : confirmingDelete === tag.name ? (
+                  <>
+                    <span className="text-red-800">Remove from {tag.count} {tag.count === 1 ? 'font' : 'fonts'}?</span>
+                    <button onClick={() => setConfirmingDelete(null)} className="text-gray-600 hover:underline">
+                      Cancel
+                    </button>
+                    <button onClick={() => handleDelete(tag.name)} disabled={busy} className="text-red-600 hover:underline">
+                      Delete
+                    </button>
+                  </>
+                ) : (
+                  <>
+                    <button
+                      onClick={() => {
+                        setRenaming(tag.name);
+                        setRenameValue(tag.name);
+                      }}
+                      disabled={busy}
+                      className="text-blue-600 hover:underline"
+                    >
+                      Rename
+                    </button>
+                    <button onClick={() => setConfirmingDelete(tag.name)} disabled={busy} className="text-red-600 hover:underline">
+                      Delete
+                    </button>
+                  </>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TagManager;
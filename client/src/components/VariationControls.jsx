@@ -0,0 +1,73 @@
+import React from 'react';
+import { getVariationCoordinates } from '../utils/variations';
+
+// Fine steps for narrow axes such as slant, whole units for weight and width
+const getStep = (axis) => (axis.max - axis.min <= 10 ? 0.1 : 1);
+
+// SOLID Principle: Single Responsibility - Only renders named instance and axis slider inputs for a variable font
+// `value` is null (font defaults), { instance } or { axes }; moving a slider
+// switches to { axes } starting from whatever was shown before.
+const VariationControls = ({ font, value, onChange, disabled = false }) => {
+  const coordinates = getVariationCoordinates(font, value);
+  const visibleAxes = font.axes.filter(axis => !axis.hidden);
+  const instanceValue = value && value.instance ? value.instance : value ? '__custom' : '';
+
+  const handleInstanceChange = (name) => {
+    if (name === '__custom') return;
+    onChange(name ? { instance: name } : null);
+  };
+
+  const handleAxisChange = (tag, axisValue) => {
+    onChange({ axes: { ...coordinates, [tag]: axisValue } });
+  };
+
+  return (
+    <div className="space-y-2 text-xs text-gray-600">
+      {font.instances && font.instances.length > 0 && (
+        <select
+          value={instanceValue}
+          onChange={(e) => handleInstanceChange(e.target.value)}
+          disabled={disabled}
+          aria-label={`Named instance of ${font.name}`}
+          className="w-full px-2 py-1 border border-gray-300 rounded-md bg-white focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+        >
+          <option value="">Default</option>
+          {font.instances.map(instance => (
+            <option key={instance.name} value={instance.name}>{instance.name}</option>
+          ))}
+          {instanceValue === '__custom' && <option value="__custom">Custom</option>}
+        </select>
+      )}
+      {visibleAxes.map(axis => {
+        const axisValue = coordinates[axis.tag] !== undefined ? coordinates[axis.tag] : axis.default;
+        return (
+          <label key={axis.tag} className="flex items-center space-x-2">
+            <span className="w-16 truncate" title={axis.tag}>{axis.name}</span>
+            <input
+              type="range"
+              min={axis.min}
+              max={axis.max}
+              step={getStep(axis)}
+              value={axisValue}
+              onChange={(e) => handleAxisChange(axis.tag, Number(e.target.value))}
+              disabled={disabled}
+              className="flex-1"
+            />
+            <span className="w-10 text-right tabular-nums">{axisValue}</span>
+          </label>
+        );
+      })}
+      {value && (
+        <button
+          onClick={() => onChange(null)}
+          disabled={disabled}
+          className="text-blue-600 hover:text-blue-800 hover:underline"
+        >
+          Reset
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default VariationControls;
@@ -0,0 +1,35 @@
+import { useState, useEffect } from 'react';
+
+const HIGHLIGHT_MS = 3000;
+
+// Brings a search result into view in a paged list: loads the page holding
+// it, scrolls its row (DOM id `${rowIdPrefix}${id}`) into view and returns
+// the ID to highlight for a few seconds. `target` is { type, id } and is
+// ignored unless its type matches.
+const useFocusedRow = (list, target, type, rowIdPrefix) => {
+  const [highlightedId, setHighlightedId] = useState(null);
+  const { jumpTo, items } = list;
+
+  useEffect(() => {
+    if (target && target.type === type) {
+      jumpTo(target.id);
+      setHighlightedId(target.id);
+    }
+  }, [target, type, jumpTo]);
+
+  useEffect(() => {
+    if (!highlightedId || !items.some(item => item.id === highlightedId)) {
+      return undefined;
+    }
+    const row = document.getElementById(`${rowIdPrefix}${highlightedId}`);
+    if (row) {
+      row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+    const timer = setTimeout(() => setHighlightedId(null), HIGHLIGHT_MS);
+    return () => clearTimeout(timer);
+  }, [highlightedId, items, rowIdPrefix]);
+
+  return highlightedId;
+};
+
+export default useFocusedRow;
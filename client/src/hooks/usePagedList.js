@@ -0,0 +1,89 @@
+import { useState, useEffect, useCallback } from 'react';
+
+// Server-side sorting and paging for a list endpoint. `fetchPage(params)`
+// resolves to { items, total, nextCursor }. The cursors of the pages visited
+// are kept so "previous" can step back. Changing `reloadKey` refetches the
+// current page, e.g. after the parent's copy of the data changed.
+// `jumpTo(id)` loads whichever page holds that item. `setFilters(filters)`
+// sends extra query parameters with every request and starts from page one.
+const usePagedList = (fetchPage, { pageSize = 20, defaultSort, defaultOrder = 'asc', reloadKey, onError }) => {
+  const [sort, setSort] = useState({ field: defaultSort, order: defaultOrder });
+  const [filters, setFilterState] = useState({});
+  const [cursors, setCursors] = useState([null]);
+  const [page, setPage] = useState({ items: [], total: 0, nextCursor: null });
+  const [loading, setLoading] = useState(true);
+  const [anchor, setAnchor] = useState(null);
+  const cursor = cursors[cursors.length - 1];
+  const isFirstPage = cursors.length === 1;
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    const position = anchor ? { anchor } : { cursor };
+    fetchPage({ ...filters, sort: sort.field, order: sort.order, limit: pageSize, ...position })
+      .then(result => {
+        if (cancelled) return;
+        if (anchor) {
+          setAnchor(null);
+          setCursors(result.pageCursors);
+        }
+        // Everything on this page has gone, e.g. its last item was deleted
+        if (result.items.length === 0 && !isFirstPage) {
+          setCursors(prev => prev.slice(0, -1));
+          return;
+        }
+        setPage(result);
+      })
+      .catch(error => {
+        if (!cancelled) onError('Failed to load list: ' + error.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [fetchPage, sort, filters, pageSize, cursor, anchor, isFirstPage, reloadKey, onError]);
+
+  // Clicking the current sort column flips the order; a new column starts ascending
+  const toggleSort = (field) => {
+    setSort(prev => ({
+      field,
+      order: prev.field === field && prev.order === 'asc' ? 'desc' : 'asc'
+    }));
+    setCursors([null]);
+  };
+
+  const setFilters = (nextFilters) => {
+    setFilterState(nextFilters);
+    setCursors([null]);
+  };
+
+  const nextPage = () => {
+    if (page.nextCursor) setCursors(prev => [...prev, page.nextCursor]);
+  };
+
+  const prevPage = () => {
+    setCursors(prev => (prev.length > 1 ? prev.slice(0, -1) : prev));
+  };
+
+  const jumpTo = useCallback((id) => setAnchor(id), []);
+
+  return {
+    items: page.items,
+    total: page.total,
+    loading,
+    sort,
+    toggleSort,
+    filters,
+    setFilters,
+    firstIndex: (cursors.length - 1) * pageSize,
+    hasPrev: !isFirstPage,
+    hasNext: Boolean(page.nextCursor),
+    nextPage,
+    prevPage,
+    jumpTo
+  };
+};
+
+export default usePagedList;
@@ -0,0 +1,65 @@
+import { useState } from 'react';
+
+// Drag-and-drop reordering for a list of rows. `onMove(from, to)` is called
+// with row indexes when a row is dropped on another one, or when a row's
+// handle has focus and Alt+ArrowUp/ArrowDown is pressed. Returns
+// { getRowProps(index), getHandleProps(index, count), draggingIndex,
+// overIndex } to spread onto each row and its drag handle.
+const useRowReorder = (onMove) => {
+  const [draggingIndex, setDraggingIndex] = useState(null);
+  const [overIndex, setOverIndex] = useState(null);
+
+  const reset = () => {
+    setDraggingIndex(null);
+    setOverIndex(null);
+  };
+
+  const getRowProps = (index) => ({
+    onDragOver: (event) => {
+      if (draggingIndex === null) return;
+      event.preventDefault();
+      event.dataTransfer.dropEffect = 'move';
+      if (overIndex !== index) setOverIndex(index);
+    },
+    onDrop: (event) => {
+      if (draggingIndex === null) return;
+      event.preventDefault();
+      if (draggingIndex !== index) onMove(draggingIndex, index);
+      reset();
+    }
+  });
+
+  // Only the handle is draggable, so text in the row's inputs can still be selected
+  const getHandleProps = (index, count) => ({
+    draggable: true,
+    tabIndex: 0,
+    role: 'button',
+    'aria-label': `Move row ${index + 1} (Alt+Arrow keys)`,
+    onDragStart: (event) => {
+      event.dataTransfer.effectAllowed = 'move';
+      // Firefox only starts a drag when some data is set
+      event.dataTransfer.setData('text/plain', String(index));
+      const row = event.currentTarget.closest('[data-reorder-row]');
+      if (row) event.dataTransfer.setDragImage(row, 0, 0);
+      setDraggingIndex(index);
+    },
+    onDragEnd: reset,
+    onKeyDown: (event) => {
+      if (!event.altKey) return;
+      const to = event.key === 'ArrowUp' ? index - 1 : event.key === 'ArrowDown' ? index + 1 : null;
+      if (to === null || to < 0 || to >= count) return;
+      event.preventDefault();
+      onMove(index, to);
+      // Keep focus on the moved row's handle, whether or not the rows are keyed by index
+      const list = event.currentTarget.closest('[data-reorder-row]').parentElement;
+      requestAnimationFrame(() => {
+        const handle = list.querySelectorAll(':scope > [data-reorder-row] [draggable="true"]')[to];
+        if (handle) handle.focus();
+      });
+    }
+  });
+
+  return { getRowProps, getHandleProps, draggingIndex, overIndex };
+};
+
+export default useRowReorder;
@@ -0,0 +1,30 @@
+import { useState, useCallback } from 'react';
+import { normalizeSpecimenSettings } from '../utils/specimenText';
+
+const SPECIMEN_STORAGE_KEY = 'fontGroupSystem.specimen';
+
+const readStoredSettings = () => {
+  try {
+    return normalizeSpecimenSettings(JSON.parse(localStorage.getItem(SPECIMEN_STORAGE_KEY)));
+  } catch (error) {
+    return normalizeSpecimenSettings(null);
+  }
+};
+
+// Specimen text, size and waterfall settings, kept in localStorage so each
+// user's choices survive reloads. `updateSettings(changes)` merges changes.
+const useSpecimenSettings = () => {
+  const [settings, setSettings] = useState(readStoredSettings);
+
+  const updateSettings = useCallback((changes) => {
+    setSettings(prev => {
+      const next = normalizeSpecimenSettings({ ...prev, ...changes });
+      localStorage.setItem(SPECIMEN_STORAGE_KEY, JSON.stringify(next));
+      return next;
+    });
+  }, []);
+
+  return [settings, updateSettings];
+};
+
+export default useSpecimenSettings;
@@ -1,9 +1,21 @@
 // SOLID Principle: Dependency Inversion - API abstraction layer
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+// Same key as the "Uploaded by" field in FontUploader
+const AUTHOR_STORAGE_KEY = 'fontGroupSystem.uploadedBy';
 
 class ApiService {
+  getUrl(endpoint) {
+    return `${API_BASE_URL}${endpoint}`;
+  }
+
+  // Identifies who made a change in the group revision history
+  getAuthorHeaders() {
+    const author = (localStorage.getItem(AUTHOR_STORAGE_KEY) || '').trim();
+    return author ? { 'X-Author': encodeURIComponent(author) } : {};
+  }
+
   async request(endpoint, options = {}) {
-    const url = `${API_BASE_URL}${endpoint}`;
+    const url = this.getUrl(endpoint);
     const config = {
       headers: {
         'Content-Type': 'application/json',
@@ -11,16 +23,20 @@ class ApiService {
       },
       ...options,
     };
+    config.headers = { ...this.getAuthorHeaders(), ...config.headers };
 
     try {
       const response = await fetch(url, config);
       
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+        const error = new Error(errorData.error || `HTTP error! status: ${response.status}`);
+        error.status = response.status;
+        error.data = errorData;
+        throw error;
       }
       
-      return await response.json();
+      return options.responseType === 'text' ? await response.text() : await response.json();
     } catch (error) {
       console.error('API request failed:', error);
       throw error;
@@ -31,6 +47,22 @@ class ApiService {
     return this.request(endpoint, { method: 'GET' });
   }
 
+  // "?a=1&b=2" from the params that are set; arrays repeat the parameter
+  buildQuery(params = {}) {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([name, value]) => {
+      [].concat(value).forEach(item => {
+        if (item !== undefined && item !== null && item !== '') query.append(name, item);
+      });
+    });
+    const queryString = query.toString();
+    return queryString ? `?${queryString}` : '';
+  }
+
+  async getText(endpoint) {
+    return this.request(endpoint, { method: 'GET', responseType: 'text' });
+  }
+
   async post(endpoint, data) {
     return this.request(endpoint, {
       method: 'POST',
@@ -38,20 +70,34 @@ class ApiService {
     });
   }
 
-  async put(endpoint, data) {
+  async put(endpoint, data, headers = {}) {
     return this.request(endpoint, {
       method: 'PUT',
+      headers: { 'Content-Type': 'application/json', ...headers },
       body: JSON.stringify(data),
     });
   }
 
-  async delete(endpoint) {
-    return this.request(endpoint, { method: 'DELETE' });
+  async patch(endpoint, data) {
+    return this.request(endpoint, {
+      method: 'PATCH',
+      body: JSON.stringify(data),
+    });
+  }
+
+  async delete(endpoint, headers = {}) {
+    return this.request(endpoint, {
+      method: 'DELETE',
+      headers: { 'Content-Type': 'application/json', ...headers },
+    });
   }
 
-  async uploadFile(endpoint, file) {
+  async uploadFiles(endpoint, fieldName, files, fields = {}) {
     const formData = new FormData();
-    formData.append('font', file);
+    Object.entries(fields).forEach(([name, value]) => {
+      if (value) formData.append(name, value);
+    });
+    files.forEach(file => formData.append(fieldName, file));
 
     return this.request(endpoint, {
       method: 'POST',
@@ -64,37 +110,207 @@ class ApiService {
 // SOLID Principle: Single Responsibility - Font-specific operations
 class FontService extends ApiService {
   async getAllFonts() {
-    return this.get('/fonts');
+    const page = await this.get('/fonts');
+    return page.items;
+  }
+
+  // Resolves to { items, total, nextCursor }. params: limit, cursor, sort
+  // (name, uploaded, size, usage), order (asc, desc), format, tag, weight, italic
+  async listFonts(params = {}) {
+    return this.get(`/fonts${this.buildQuery(params)}`);
+  }
+
+  async getFont(id) {
+    return this.get(`/fonts/${encodeURIComponent(id)}`);
   }
 
-  async uploadFont(file) {
-    return this.uploadFile('/fonts/upload', file);
+  // Resolves to { fontId, name, codepointCount, sets, scripts, blocks }. sets
+  // picks character sets (all by default); chars adds a 'custom' set
+  async getFontCoverage(id, { sets, chars } = {}) {
+    return this.get(`/fonts/${encodeURIComponent(id)}/coverage${this.buildQuery({ set: sets, chars })}`);
   }
 
-  async deleteFont(filename) {
-    return this.delete(`/fonts/${filename}`);
+  // An SVG rendering of `text` drawn from the font's outlines, usable as an
+  // image source; the server's sample text and size are the defaults
+  getFontSpecimenUrl(id, { text, size } = {}) {
+    return this.getUrl(`/fonts/${encodeURIComponent(id)}/specimen.svg${this.buildQuery({ text, size })}`);
+  }
+
+  // Resolves to { fontId, name, metrics } with vertical metrics, x-height,
+  // cap height and average width in font units
+  async getFontMetrics(id) {
+    return this.get(`/fonts/${encodeURIComponent(id)}/metrics`);
+  }
+
+  // record: { licensee, seats, expiresAt, media, notes }; resolves to the font
+  async saveLicenseRecord(id, record) {
+    return this.put(`/fonts/${encodeURIComponent(id)}/license`, record);
+  }
+
+  // Lets a font the license checks restrict into group CSS and exports
+  async setLicenseOverride(id, reason) {
+    return this.put(`/fonts/${encodeURIComponent(id)}/license/override`, { reason });
+  }
+
+  async clearLicenseOverride(id) {
+    return this.delete(`/fonts/${encodeURIComponent(id)}/license/override`);
+  }
+
+  // Replaces the font's license document (PDF, text, Markdown or HTML)
+  async uploadLicenseDocument(id, file) {
+    return this.uploadFiles(`/fonts/${encodeURIComponent(id)}/license/document`, 'document', [file]);
+  }
+
+  getLicenseDocumentUrl(id) {
+    return this.getUrl(`/fonts/${encodeURIComponent(id)}/license/document`);
+  }
+
+  async removeLicenseDocument(id) {
+    return this.delete(`/fonts/${encodeURIComponent(id)}/license/document`);
+  }
+
+  async uploadFonts(files, details = {}) {
+    return this.uploadFiles('/fonts/upload', 'font', files, details);
+  }
+
+  async updateFont(id, changes) {
+    return this.patch(`/fonts/${encodeURIComponent(id)}`, changes);
+  }
+
+  // cascade: 'remove' also drops the font from groups that use it
+  async deleteFont(id, { cascade } = {}) {
+    const query = cascade ? `?cascade=${encodeURIComponent(cascade)}` : '';
+    return this.delete(`/fonts/${encodeURIComponent(id)}${query}`);
   }
 }
 
 // SOLID Principle: Single Responsibility - Group-specific operations
 class GroupService extends ApiService {
+  // Resolves to { items, total }: one proposed group per uploaded family with
+  // several faces, as { family, title, fonts: [{ fontId, name, weight, italic }], existingGroupIds }
+  async getGroupSuggestions() {
+    return this.get('/groups/suggestions');
+  }
+
   async getAllGroups() {
-    return this.get('/groups');
+    const page = await this.get('/groups');
+    return page.items;
+  }
+
+  // Resolves to { items, total, nextCursor }. params: limit, cursor, sort
+  // (name, created, fonts), order (asc, desc), containsFont, createdAfter
+  async listGroups(params = {}) {
+    return this.get(`/groups${this.buildQuery(params)}`);
   }
 
   async createGroup(group) {
     return this.post('/groups', group);
   }
 
-  async updateGroup(id, group) {
-    return this.put(`/groups/${id}`, group);
+  // With a version the server rejects the change (status 412, current group
+  // in error.data.group) if someone else has saved the group since
+  getVersionHeaders(version) {
+    return version ? { 'If-Match': `"${version}"` } : {};
+  }
+
+  async updateGroup(id, group, version) {
+    return this.put(`/groups/${id}`, group, this.getVersionHeaders(version));
+  }
+
+  async deleteGroup(id, version) {
+    return this.delete(`/groups/${id}`, this.getVersionHeaders(version));
+  }
+
+  // Resolves to { groupId, title, status, fonts }: the worst license status
+  // among the group's fonts and each font's status, problems and warnings
+  async getGroupLicense(id) {
+    return this.get(`/groups/${id}/license`);
+  }
+
+  getGroupCssUrl(id) {
+    return this.getUrl(`/groups/${id}/css`);
+  }
+
+  async getGroupCss(id) {
+    return this.getText(`/groups/${id}/css`);
+  }
+
+  getGroupExportUrl(id) {
+    return this.getUrl(`/groups/${id}/export`);
+  }
+
+  // Each font's specimen stacked under its name, as one SVG
+  getGroupSpecimenUrl(id, { text, size } = {}) {
+    return this.getUrl(`/groups/${id}/specimen.svg${this.buildQuery({ text, size })}`);
+  }
+
+  // Resolves to { groupId, title, sets, scripts, fonts }; each set lists the
+  // characters every font has (covered) and the gaps with the fonts lacking them
+  async getGroupCoverage(id, { sets, chars } = {}) {
+    return this.get(`/groups/${id}/coverage${this.buildQuery({ set: sets, chars })}`);
+  }
+
+  // Resolves to { groupId, title, fonts, skipped, css }: each font's metrics
+  // and the overrides for its fallback, plus the fallback @font-face rules.
+  // fallback is 'auto' or a system font ID such as 'arial'.
+  async getGroupFallbacks(id, fallback) {
+    return this.get(`/groups/${id}/fallbacks${this.buildQuery({ fallback })}`);
+  }
+
+  async getGroupRevisions(id) {
+    return this.get(`/groups/${id}/revisions`);
+  }
+
+  async getGroupRevision(id, rev) {
+    return this.get(`/groups/${id}/revisions/${rev}`);
+  }
+
+  async restoreGroup(id, rev) {
+    return this.post(`/groups/${id}/restore`, { rev });
+  }
+
+  async importGroup(file) {
+    return this.uploadFiles('/groups/import', 'bundle', [file]);
+  }
+}
+
+// SOLID Principle: Single Responsibility - Library-wide search
+class SearchService extends ApiService {
+  // Resolves to { query, results }; each result is { type: 'font' | 'group', id, title, subtitle, score, matches }
+  async search(query, { type, limit } = {}) {
+    return this.get(`/search${this.buildQuery({ q: query, type, limit })}`);
+  }
+}
+
+// SOLID Principle: Single Responsibility - Tag operations
+class TagService extends ApiService {
+  // Resolves to [{ name, count, createdAt }] sorted by name
+  async getAllTags() {
+    return this.get('/tags');
+  }
+
+  async createTag(name) {
+    return this.post('/tags', { name });
+  }
+
+  // Resolves to { tag, fonts } with the fonts whose tags changed
+  async renameTag(name, newName) {
+    return this.patch(`/tags/${encodeURIComponent(name)}`, { name: newName });
+  }
+
+  // Resolves to { message, fonts } with the fonts whose tags changed
+  async deleteTag(name) {
+    return this.delete(`/tags/${encodeURIComponent(name)}`);
   }
 
-  async deleteGroup(id) {
-    return this.delete(`/groups/${id}`);
+  // Adds and removes tags on several fonts; resolves to { fonts } that changed
+  async tagFonts(fontIds, { add = [], remove = [] } = {}) {
+    return this.post('/fonts/tags', { fontIds, add, remove });
   }
 }
 
 // Export service instances
 export const fontService = new FontService();
 export const groupService = new GroupService();
+export const searchService = new SearchService();
+export const tagService = new TagService();
@@ -0,0 +1,32 @@
+// Roles a group row can take, as validated by the server and used for the
+// per-role font stacks in the group's CSS. Mirrors GROUP_ROLES in the
+// server's lib/css.js.
+
+export const GROUP_ROLES = [
+  { id: 'heading', label: 'Heading' },
+  { id: 'body', label: 'Body' },
+  { id: 'caption', label: 'Caption' },
+  { id: 'monospace', label: 'Monospace' },
+  { id: 'fallback', label: 'Fallback' }
+];
+
+// Any number of rows can be fallbacks; the other roles take one row each
+export const SINGLE_FONT_ROLES = ['heading', 'body', 'caption', 'monospace'];
+
+export const getRoleLabel = (role) => {
+  const match = GROUP_ROLES.find(item => item.id === role);
+  return match ? match.label : '';
+};
+
+// Roles taken by rows other than `rowIndex`, which that row cannot also take
+export const getTakenRoles = (rows, rowIndex) => rows
+  .filter((row, index) => index !== rowIndex && SINGLE_FONT_ROLES.includes(row.role))
+  .map(row => row.role);
+
+// Copy of `items` with the item at `from` moved to `to`
+export const moveItem = (items, from, to) => {
+  const moved = items.slice();
+  const [item] = moved.splice(from, 1);
+  moved.splice(to, 0, item);
+  return moved;
+};
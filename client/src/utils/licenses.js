@@ -0,0 +1,38 @@
+// License statuses as computed by the server's lib/licensing.js for each
+// font (font.licenseStatus), with the labels and colours the UI shows.
+
+export const LICENSE_MEDIA = ['web', 'desktop', 'app', 'ebook', 'video'];
+
+export const LICENSE_STATUSES = {
+  restricted: { label: 'Restricted', className: 'bg-red-100 text-red-700' },
+  unknown: { label: 'No license info', className: 'bg-gray-100 text-gray-600' },
+  overridden: { label: 'Override', className: 'bg-orange-100 text-orange-700' },
+  ok: { label: 'Licensed', className: 'bg-green-100 text-green-700' }
+};
+
+// Worst first, as in summarizeLicenses on the server
+const STATUS_ORDER = ['restricted', 'unknown', 'overridden', 'ok'];
+
+const EMBEDDING_LABELS = {
+  installable: 'Installable',
+  restricted: 'Restricted license (no embedding)',
+  preview: 'Preview & print',
+  editable: 'Editable'
+};
+
+export const getLicenseStatus = (font) => (font && font.licenseStatus) || { status: 'ok', problems: [], warnings: [] };
+
+// The worst status among `fonts`, e.g. for a group's badge
+export const getCombinedLicenseStatus = (fonts) => STATUS_ORDER[
+  fonts.reduce((worst, font) => Math.min(worst, STATUS_ORDER.indexOf(getLicenseStatus(font).status)), STATUS_ORDER.length - 1)
+];
+
+// "Restricted license (no embedding), no subsetting" for a font's embedding info
+export const describeEmbedding = (embedding) => {
+  if (!embedding) return 'Not declared';
+  return [
+    EMBEDDING_LABELS[embedding.level],
+    embedding.noSubsetting && 'no subsetting',
+    embedding.bitmapOnly && 'bitmaps only'
+  ].filter(Boolean).join(', ');
+};
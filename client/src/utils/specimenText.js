@@ -0,0 +1,73 @@
+// Sample text for font previews: the presets designers pick from, the sizes
+// of the waterfall view and the settings shape kept by useSpecimenSettings.
+
+export const MIN_SPECIMEN_SIZE = 12;
+export const MAX_SPECIMEN_SIZE = 72;
+export const MAX_SPECIMEN_TEXT_LENGTH = 500;
+export const WATERFALL_SIZES = [12, 14, 16, 18, 24, 30, 36, 48, 60, 72];
+
+// Pangrams where the language has a well-known one, otherwise a short
+// line using its distinctive letters and diacritics
+export const LANGUAGE_SAMPLES = [
+  { id: 'en', label: 'English', text: 'The quick brown fox jumps over the lazy dog' },
+  { id: 'fr', label: 'French', text: 'Portez ce vieux whisky au juge blond qui fume' },
+  { id: 'de', label: 'German', text: 'Victor jagt zwölf Boxkämpfer quer über den großen Sylter Deich' },
+  { id: 'es', label: 'Spanish', text: 'El veloz murciélago hindú comía feliz cardillo y kiwi' },
+  { id: 'pl', label: 'Polish', text: 'Pchnąć w tę łódź jeża lub ośm skrzyń fig' },
+  { id: 'vi', label: 'Vietnamese', text: 'Trăm năm trong cõi người ta, chữ tài chữ mệnh khéo là ghét nhau' },
+  { id: 'ru', label: 'Russian', text: 'Съешь же ещё этих мягких французских булок, да выпей чаю' },
+  { id: 'el', label: 'Greek', text: 'Ξεσκεπάζω την ψυχοφθόρα βδελυγμία' }
+];
+
+export const SPECIMEN_PRESETS = [
+  { id: 'pangram', label: 'Pangram', text: 'The quick brown fox jumps over the lazy dog' },
+  { id: 'alphabet', label: 'Alphabet', text: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ abcdefghijklmnopqrstuvwxyz' },
+  { id: 'numerals', label: 'Numerals', text: '0123456789 ½ ¼ % $ € £ ¥ + − × ÷ = ( ) [ ]' },
+  {
+    id: 'paragraph',
+    label: 'Paragraph',
+    text: 'Typography is the craft of endowing human language with a durable visual form. ' +
+      'Good body text is set at a comfortable size, with enough space between lines that ' +
+      'the eye finds the start of the next one without effort.'
+  },
+  { id: 'language', label: 'Language sample' },
+  { id: 'custom', label: 'Custom text' }
+];
+
+export const DEFAULT_SPECIMEN_SETTINGS = {
+  preset: 'custom',
+  customText: 'Example Style',
+  language: 'en',
+  size: 16,
+  waterfall: false
+};
+
+// Fills in defaults and drops values that are no longer valid, e.g. settings
+// saved by an older version of the app
+export const normalizeSpecimenSettings = (settings) => {
+  const merged = { ...DEFAULT_SPECIMEN_SETTINGS, ...(settings || {}) };
+  return {
+    preset: SPECIMEN_PRESETS.some(preset => preset.id === merged.preset) ? merged.preset : DEFAULT_SPECIMEN_SETTINGS.preset,
+    customText: typeof merged.customText === 'string'
+      ? merged.customText.slice(0, MAX_SPECIMEN_TEXT_LENGTH)
+      : DEFAULT_SPECIMEN_SETTINGS.customText,
+    language: LANGUAGE_SAMPLES.some(sample => sample.id === merged.language) ? merged.language : DEFAULT_SPECIMEN_SETTINGS.language,
+    size: Number.isFinite(merged.size)
+      ? Math.min(MAX_SPECIMEN_SIZE, Math.max(MIN_SPECIMEN_SIZE, merged.size))
+      : DEFAULT_SPECIMEN_SETTINGS.size,
+    waterfall: merged.waterfall === true
+  };
+};
+
+// The text the current settings show
+export const getSpecimenText = (settings) => {
+  if (settings.preset === 'custom') {
+    return settings.customText;
+  }
+  if (settings.preset === 'language') {
+    const sample = LANGUAGE_SAMPLES.find(item => item.id === settings.language) || LANGUAGE_SAMPLES[0];
+    return sample.text;
+  }
+  const preset = SPECIMEN_PRESETS.find(item => item.id === settings.preset);
+  return preset ? preset.text : '';
+};
@@ -0,0 +1,37 @@
+// Helpers for variable font axis values, as pinned on group rows
+// ({ instance } or { axes: { tag: value } }) or set by preview sliders.
+// Mirrors resolveVariation in the server's lib/css.js.
+
+export const isVariableFont = (font) => Boolean(font && font.axes && font.axes.length > 0);
+
+// Axis tag -> value for a variation, clamped to each axis; {} when nothing is pinned
+export const getVariationCoordinates = (font, variation) => {
+  if (!variation || !isVariableFont(font)) {
+    return {};
+  }
+  let coordinates = variation.axes || {};
+  if (variation.instance) {
+    const instance = (font.instances || []).find(item => item.name === variation.instance);
+    coordinates = instance ? instance.coordinates : {};
+  }
+  const resolved = {};
+  font.axes.forEach(axis => {
+    if (typeof coordinates[axis.tag] === 'number') {
+      resolved[axis.tag] = Math.min(axis.max, Math.max(axis.min, coordinates[axis.tag]));
+    }
+  });
+  return resolved;
+};
+
+// Value for the CSS font-variation-settings property, e.g. `"wght" 650, "wdth" 90`
+export const formatVariationSettings = (coordinates) => {
+  const settings = Object.entries(coordinates).map(([tag, value]) => `"${tag}" ${value}`);
+  return settings.length > 0 ? settings.join(', ') : 'normal';
+};
+
+// Short label for a pinned variation, e.g. "Condensed Bold" or "wght 250"
+export const describeVariation = (variation) => {
+  if (!variation) return '';
+  if (variation.instance) return variation.instance;
+  return Object.entries(variation.axes || {}).map(([tag, value]) => `${tag} ${value}`).join(', ');
+};
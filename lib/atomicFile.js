@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Durable file writes. New contents go to a temporary file in the same
+// directory, which is flushed to disk and then renamed over the target.
+// rename() is atomic on POSIX file systems, so a crash leaves either the old
+// file or the new one, never a truncated mix of both.
+
+// Makes a rename or new directory entry durable. Not every platform can
+// fsync a directory, so failures are ignored.
+function syncDirectory(directory) {
+  let fd;
+  try {
+    fd = fs.openSync(directory, 'r');
+    fs.fsyncSync(fd);
+  } catch (error) {
+    // Best effort only
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+function writeAndSync(filePath, data, flags) {
+  const fd = fs.openSync(filePath, flags);
+  try {
+    fs.writeFileSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Atomically replaces `filePath` with `data`. With `overwrite: false` an
+ * existing file is left alone and an EEXIST error is thrown instead.
+ */
+function writeFileAtomic(filePath, data, { overwrite = true } = {}) {
+  const directory = path.dirname(filePath);
+  const tempPath = path.join(directory, `.${path.basename(filePath)}.${crypto.randomBytes(6).toString('hex')}.tmp`);
+  writeAndSync(tempPath, data, 'wx');
+  try {
+    if (overwrite) {
+      fs.renameSync(tempPath, filePath);
+    } else {
+      // link() fails if the target exists, unlike rename()
+      fs.linkSync(tempPath, filePath);
+      fs.unlinkSync(tempPath);
+    }
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+  syncDirectory(directory);
+}
+
+// Appends `data` and waits until it has reached the disk
+function appendFileDurable(filePath, data) {
+  writeAndSync(filePath, data, 'a');
+}
+
+module.exports = {
+  writeFileAtomic,
+  appendFileDurable
+};
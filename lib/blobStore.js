@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { writeFileAtomic } = require('./atomicFile');
+
+// Blob stores hold font binaries. Both implementations share this interface:
+//
+//   put(data, { name, hash }) -> key under which the Buffer was stored
+//   get(key)                  -> Buffer
+//   createReadStream(key)     -> readable stream of the contents
+//   stat(key)                 -> { size, mtimeMs } or null if missing
+//   delete(key)               -> true if something was removed
+//   list()                    -> all stored keys
+//
+// Callers keep the returned key and use it for every later access; how the
+// key relates to the file's name or content is up to the store.
+
+const BLOB_DRIVERS = ['disk', 'cas'];
+
+class BlobStoreError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BlobStoreError';
+  }
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function statFile(filePath) {
+  try {
+    const stats = fs.statSync(filePath);
+    return stats.isFile() ? { size: stats.size, mtimeMs: stats.mtimeMs } : null;
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// Stores each blob under its given name in one flat directory, which is how
+// uploads/fonts has always been laid out. Keys are the filenames.
+class LocalDiskBlobStore {
+  constructor(directory) {
+    this.directory = directory;
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  resolve(key) {
+    const name = path.basename(String(key));
+    if (!name || name.startsWith('.') || name !== key) {
+      throw new BlobStoreError(`Invalid blob key '${key}'`);
+    }
+    return path.join(this.directory, name);
+  }
+
+  // Refuses to overwrite: callers pick a free name first
+  put(data, { name } = {}) {
+    writeFileAtomic(this.resolve(name), data, { overwrite: false });
+    return name;
+  }
+
+  get(key) {
+    return fs.readFileSync(this.resolve(key));
+  }
+
+  createReadStream(key) {
+    return fs.createReadStream(this.resolve(key));
+  }
+
+  stat(key) {
+    return statFile(this.resolve(key));
+  }
+
+  delete(key) {
+    const filePath = this.resolve(key);
+    if (!fs.existsSync(filePath)) return false;
+    fs.unlinkSync(filePath);
+    return true;
+  }
+
+  // Dotfiles are in-progress uploads and other temporaries
+  list() {
+    return fs.readdirSync(this.directory)
+      .filter(name => !name.startsWith('.') && statFile(path.join(this.directory, name)));
+  }
+}
+
+// Stores each blob under the SHA-256 of its contents, fanned out into
+// subdirectories by the first two hex digits. Identical content is only
+// stored once and names play no part in the layout.
+class ContentAddressedBlobStore {
+  constructor(directory) {
+    this.directory = directory;
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  resolve(key) {
+    if (!/^[0-9a-f]{64}$/.test(key)) {
+      throw new BlobStoreError(`Invalid blob key '${key}'`);
+    }
+    return path.join(this.directory, key.slice(0, 2), key);
+  }
+
+  put(data, { hash } = {}) {
+    const key = sha256(data);
+    if (hash && hash !== key) {
+      throw new BlobStoreError('Blob content does not match the expected hash');
+    }
+    const filePath = this.resolve(key);
+    if (!fs.existsSync(filePath)) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      writeFileAtomic(filePath, data);
+    }
+    return key;
+  }
+
+  get(key) {
+    return fs.readFileSync(this.resolve(key));
+  }
+
+  createReadStream(key) {
+    return fs.createReadStream(this.resolve(key));
+  }
+
+  stat(key) {
+    return statFile(this.resolve(key));
+  }
+
+  delete(key) {
+    const filePath = this.resolve(key);
+    if (!fs.existsSync(filePath)) return false;
+    fs.unlinkSync(filePath);
+    return true;
+  }
+
+  list() {
+    return fs.readdirSync(this.directory)
+      .filter(prefix => /^[0-9a-f]{2}$/.test(prefix))
+      .flatMap(prefix => fs.readdirSync(path.join(this.directory, prefix)))
+      .filter(name => /^[0-9a-f]{64}$/.test(name));
+  }
+}
+
+// 'disk' (default) keeps named files in `directory`; 'cas' stores by content hash
+function createBlobStore(driver = 'disk', { directory } = {}) {
+  switch (driver) {
+    case 'disk':
+      return new LocalDiskBlobStore(directory);
+    case 'cas':
+      return new ContentAddressedBlobStore(directory);
+    default:
+      throw new BlobStoreError(`Unknown blob store '${driver}'; expected one of: ${BLOB_DRIVERS.join(', ')}`);
+  }
+}
+
+module.exports = {
+  BLOB_DRIVERS,
+  BlobStoreError,
+  LocalDiskBlobStore,
+  ContentAddressedBlobStore,
+  createBlobStore
+};
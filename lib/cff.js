@@ -0,0 +1,452 @@
+// Reader for the glyph outlines in a CFF table (OpenType fonts with the
+// 'OTTO' signature). Only what is needed to draw glyphs is decoded: the
+// CharStrings INDEX, global and local subroutines and, for CID-keyed fonts,
+// the FDArray/FDSelect that pick each glyph's local subroutines. Hints are
+// skipped and CFF2 (variable CFF) is not supported.
+
+class CffError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CffError';
+  }
+}
+
+const MAX_SUBR_DEPTH = 10;
+// Operands and operators run for one glyph, counting those in subroutines;
+// subroutines can call each other many times over, so depth alone does not
+// bound the work
+const MAX_CHARSTRING_STEPS = 100000;
+
+function readOffset(data, offset, size) {
+  let value = 0;
+  for (let i = 0; i < size; i++) {
+    value = value * 256 + data[offset + i];
+  }
+  return value;
+}
+
+// Returns { items: [Buffer], end } for the INDEX starting at `offset`
+function readIndex(data, offset) {
+  const count = data.readUInt16BE(offset);
+  if (count === 0) {
+    return { items: [], end: offset + 2 };
+  }
+  const offSize = data[offset + 2];
+  const offsetsStart = offset + 3;
+  // Offsets are 1-based from the byte before the data
+  const dataStart = offsetsStart + (count + 1) * offSize - 1;
+  const items = [];
+  for (let i = 0; i < count; i++) {
+    const start = dataStart + readOffset(data, offsetsStart + i * offSize, offSize);
+    const end = dataStart + readOffset(data, offsetsStart + (i + 1) * offSize, offSize);
+    if (end < start || end > data.length) {
+      throw new CffError('INDEX entry extends past the end of the table');
+    }
+    items.push(data.subarray(start, end));
+  }
+  const end = dataStart + readOffset(data, offsetsStart + count * offSize, offSize);
+  return { items, end };
+}
+
+function readRealOperand(data, offset) {
+  const nibbles = '0123456789.EE?-';
+  let text = '';
+  for (;;) {
+    const byte = data[offset++];
+    for (const nibble of [byte >> 4, byte & 0x0f]) {
+      if (nibble === 0x0f) {
+        return { value: parseFloat(text), offset };
+      }
+      text += nibble === 0x0c ? 'E-' : nibbles[nibble];
+    }
+  }
+}
+
+// Decodes a Top or Private DICT into { operator: [operands] }; two-byte
+// operators are keyed as "12 n"
+function parseDict(data) {
+  const dict = {};
+  let operands = [];
+  let offset = 0;
+  while (offset < data.length) {
+    const b0 = data[offset];
+    if (b0 <= 21) {
+      let key = String(b0);
+      offset++;
+      if (b0 === 12) {
+        key = `12 ${data[offset++]}`;
+      }
+      dict[key] = operands;
+      operands = [];
+    } else if (b0 === 28) {
+      operands.push(data.readInt16BE(offset + 1));
+      offset += 3;
+    } else if (b0 === 29) {
+      operands.push(data.readInt32BE(offset + 1));
+      offset += 5;
+    } else if (b0 === 30) {
+      const real = readRealOperand(data, offset + 1);
+      operands.push(real.value);
+      offset = real.offset;
+    } else if (b0 >= 32 && b0 <= 246) {
+      operands.push(b0 - 139);
+      offset++;
+    } else if (b0 >= 247 && b0 <= 250) {
+      operands.push((b0 - 247) * 256 + data[offset + 1] + 108);
+      offset += 2;
+    } else if (b0 >= 251 && b0 <= 254) {
+      operands.push(-(b0 - 251) * 256 - data[offset + 1] - 108);
+      offset += 2;
+    } else {
+      throw new CffError(`Unexpected byte ${b0} in DICT`);
+    }
+  }
+  return dict;
+}
+
+// Local subroutines of a Private DICT, whose Subrs offset is relative to
+// the Private DICT itself
+function readPrivateSubrs(table, privateEntry) {
+  if (!privateEntry || privateEntry.length < 2) {
+    return [];
+  }
+  const [size, offset] = privateEntry;
+  const privateDict = parseDict(table.subarray(offset, offset + size));
+  return privateDict['19'] ? readIndex(table, offset + privateDict['19'][0]).items : [];
+}
+
+function readFdSelect(table, offset, glyphCount) {
+  const format = table[offset];
+  const fds = new Uint8Array(glyphCount);
+  if (format === 0) {
+    for (let glyph = 0; glyph < glyphCount; glyph++) {
+      fds[glyph] = table[offset + 1 + glyph];
+    }
+  } else if (format === 3) {
+    const rangeCount = table.readUInt16BE(offset + 1);
+    for (let i = 0; i < rangeCount; i++) {
+      const range = offset + 3 + i * 3;
+      const first = table.readUInt16BE(range);
+      const next = table.readUInt16BE(range + 3);
+      fds.fill(table[range + 2], first, Math.min(next, glyphCount));
+    }
+  } else {
+    throw new CffError(`Unsupported FDSelect format ${format}`);
+  }
+  return fds;
+}
+
+function getSubrBias(subrs) {
+  if (subrs.length < 1240) return 107;
+  if (subrs.length < 33900) return 1131;
+  return 32768;
+}
+
+/**
+ * Runs a Type 2 charstring and returns its outline as a list of path
+ * commands in font units: ['M', x, y], ['L', x, y],
+ * ['C', x1, y1, x2, y2, x, y] and ['Z'].
+ */
+function executeCharString(code, globalSubrs, localSubrs) {
+  const commands = [];
+  const stack = [];
+  let x = 0;
+  let y = 0;
+  let stemCount = 0;
+  let widthSeen = false;
+  let open = false;
+  let done = false;
+  let steps = 0;
+
+  const closePath = () => {
+    if (open) commands.push(['Z']);
+    open = false;
+  };
+  const moveTo = (dx, dy) => {
+    closePath();
+    x += dx;
+    y += dy;
+    commands.push(['M', x, y]);
+    open = true;
+  };
+  const lineTo = (dx, dy) => {
+    x += dx;
+    y += dy;
+    commands.push(['L', x, y]);
+  };
+  const curveTo = (dx1, dy1, dx2, dy2, dx3, dy3) => {
+    const x1 = x + dx1;
+    const y1 = y + dy1;
+    const x2 = x1 + dx2;
+    const y2 = y1 + dy2;
+    x = x2 + dx3;
+    y = y2 + dy3;
+    commands.push(['C', x1, y1, x2, y2, x, y]);
+  };
+  // The advance width may precede the first stack-clearing operator; widths
+  // come from hmtx instead, so it is only dropped here
+  const dropWidth = (hasWidth) => {
+    if (!widthSeen && hasWidth) stack.shift();
+    widthSeen = true;
+  };
+  const addStems = () => {
+    dropWidth(stack.length % 2 === 1);
+    stemCount += stack.length >> 1;
+    stack.length = 0;
+  };
+
+  const run = (program, depth) => {
+    if (depth > MAX_SUBR_DEPTH) {
+      throw new CffError('Subroutines nest too deeply');
+    }
+    let i = 0;
+    while (i < program.length && !done) {
+      if (++steps > MAX_CHARSTRING_STEPS) {
+        throw new CffError('Charstring runs too long');
+      }
+      const b0 = program[i++];
+      if (b0 >= 32) {
+        if (b0 <= 246) {
+          stack.push(b0 - 139);
+        } else if (b0 <= 250) {
+          stack.push((b0 - 247) * 256 + program[i++] + 108);
+        } else if (b0 <= 254) {
+          stack.push(-(b0 - 251) * 256 - program[i++] - 108);
+        } else {
+          stack.push(program.readInt32BE(i) / 65536);
+          i += 4;
+        }
+        continue;
+      }
+      switch (b0) {
+        case 28:
+          stack.push(program.readInt16BE(i));
+          i += 2;
+          break;
+        case 1: // hstem
+        case 3: // vstem
+        case 18: // hstemhm
+        case 23: // vstemhm
+          addStems();
+          break;
+        case 19: // hintmask
+        case 20: // cntrmask
+          // Arguments here are an implicit vstemhm
+          addStems();
+          i += (stemCount + 7) >> 3;
+          break;
+        case 21: // rmoveto
+          dropWidth(stack.length > 2);
+          moveTo(stack[0], stack[1]);
+          stack.length = 0;
+          break;
+        case 22: // hmoveto
+          dropWidth(stack.length > 1);
+          moveTo(stack[0], 0);
+          stack.length = 0;
+          break;
+        case 4: // vmoveto
+          dropWidth(stack.length > 1);
+          moveTo(0, stack[0]);
+          stack.length = 0;
+          break;
+        case 5: // rlineto
+          for (let k = 0; k + 1 < stack.length; k += 2) {
+            lineTo(stack[k], stack[k + 1]);
+          }
+          stack.length = 0;
+          break;
+        case 6: // hlineto
+        case 7: { // vlineto
+          let horizontal = b0 === 6;
+          stack.forEach(delta => {
+            if (horizontal) lineTo(delta, 0);
+            else lineTo(0, delta);
+            horizontal = !horizontal;
+          });
+          stack.length = 0;
+          break;
+        }
+        case 8: // rrcurveto
+          for (let k = 0; k + 5 < stack.length; k += 6) {
+            curveTo(...stack.slice(k, k + 6));
+          }
+          stack.length = 0;
+          break;
+        case 24: { // rcurveline
+          let k = 0;
+          for (; k + 5 < stack.length - 2; k += 6) {
+            curveTo(...stack.slice(k, k + 6));
+          }
+          lineTo(stack[k], stack[k + 1]);
+          stack.length = 0;
+          break;
+        }
+        case 25: { // rlinecurve
+          let k = 0;
+          for (; k + 1 < stack.length - 6; k += 2) {
+            lineTo(stack[k], stack[k + 1]);
+          }
+          curveTo(...stack.slice(k, k + 6));
+          stack.length = 0;
+          break;
+        }
+        case 26: { // vvcurveto
+          let k = 0;
+          let dx1 = 0;
+          if (stack.length % 2 === 1) {
+            dx1 = stack[0];
+            k = 1;
+          }
+          for (; k + 3 < stack.length; k += 4) {
+            curveTo(dx1, stack[k], stack[k + 1], stack[k + 2], 0, stack[k + 3]);
+            dx1 = 0;
+          }
+          stack.length = 0;
+          break;
+        }
+        case 27: { // hhcurveto
+          let k = 0;
+          let dy1 = 0;
+          if (stack.length % 2 === 1) {
+            dy1 = stack[0];
+            k = 1;
+          }
+          for (; k + 3 < stack.length; k += 4) {
+            curveTo(stack[k], dy1, stack[k + 1], stack[k + 2], stack[k + 3], 0);
+            dy1 = 0;
+          }
+          stack.length = 0;
+          break;
+        }
+        case 30: // vhcurveto
+        case 31: { // hvcurveto
+          let horizontal = b0 === 31;
+          for (let k = 0; k + 3 < stack.length; k += 4) {
+            // The last curve may carry a fifth argument for its final delta
+            const last = stack.length - k === 5 ? stack[k + 4] : 0;
+            if (horizontal) {
+              curveTo(stack[k], 0, stack[k + 1], stack[k + 2], last, stack[k + 3]);
+            } else {
+              curveTo(0, stack[k], stack[k + 1], stack[k + 2], stack[k + 3], last);
+            }
+            horizontal = !horizontal;
+          }
+          stack.length = 0;
+          break;
+        }
+        case 10: // callsubr
+        case 29: { // callgsubr
+          const subrs = b0 === 10 ? localSubrs : globalSubrs;
+          const index = stack.pop() + getSubrBias(subrs);
+          if (!subrs[index]) {
+            throw new CffError(`Missing subroutine ${index}`);
+          }
+          run(subrs[index], depth + 1);
+          break;
+        }
+        case 11: // return
+          return;
+        case 14: // endchar
+          dropWidth(stack.length > 0 && stack.length !== 4);
+          closePath();
+          done = true;
+          break;
+        case 12:
+          runEscape(program[i++]);
+          break;
+        default:
+          // Reserved operators: discard their operands
+          stack.length = 0;
+      }
+    }
+  };
+
+  const runEscape = (operator) => {
+    const s = stack;
+    switch (operator) {
+      case 35: // flex
+        curveTo(s[0], s[1], s[2], s[3], s[4], s[5]);
+        curveTo(s[6], s[7], s[8], s[9], s[10], s[11]);
+        break;
+      case 34: // hflex
+        curveTo(s[0], 0, s[1], s[2], s[3], 0);
+        curveTo(s[4], 0, s[5], -s[2], s[6], 0);
+        break;
+      case 36: // hflex1
+        curveTo(s[0], s[1], s[2], s[3], s[4], 0);
+        curveTo(s[5], 0, s[6], s[7], s[8], -(s[1] + s[3] + s[7]));
+        break;
+      case 37: { // flex1
+        const dx = s[0] + s[2] + s[4] + s[6] + s[8];
+        const dy = s[1] + s[3] + s[5] + s[7] + s[9];
+        const horizontal = Math.abs(dx) > Math.abs(dy);
+        curveTo(s[0], s[1], s[2], s[3], s[4], s[5]);
+        curveTo(s[6], s[7], s[8], s[9], horizontal ? s[10] : -dx, horizontal ? -dy : s[10]);
+        break;
+      }
+      default:
+        // Arithmetic and storage operators are deprecated and unused in
+        // practice; their results are not needed to draw the outline
+        break;
+    }
+    stack.length = 0;
+  };
+
+  run(code, 0);
+  closePath();
+  return commands;
+}
+
+/**
+ * Parses a CFF table and returns { glyphCount, getPath(glyphId) }, where
+ * getPath returns path commands as described for executeCharString.
+ */
+function parseCffTable(table) {
+  if (table[0] !== 1) {
+    throw new CffError(`Unsupported CFF version ${table[0]}`);
+  }
+  const nameIndex = readIndex(table, table[2]);
+  const topDictIndex = readIndex(table, nameIndex.end);
+  const stringIndex = readIndex(table, topDictIndex.end);
+  const globalSubrs = readIndex(table, stringIndex.end).items;
+  if (topDictIndex.items.length === 0) {
+    throw new CffError('CFF table has no fonts');
+  }
+
+  const topDict = parseDict(topDictIndex.items[0]);
+  if (topDict['12 6'] && topDict['12 6'][0] !== 2) {
+    throw new CffError('Only Type 2 charstrings are supported');
+  }
+  if (!topDict['17']) {
+    throw new CffError('CFF font has no CharStrings');
+  }
+  const charStrings = readIndex(table, topDict['17'][0]).items;
+
+  let getLocalSubrs;
+  if (topDict['12 36'] && topDict['12 37']) {
+    // CID-keyed: each glyph's font DICT has its own Private DICT
+    const fdSubrs = readIndex(table, topDict['12 36'][0]).items
+      .map(fontDict => readPrivateSubrs(table, parseDict(fontDict)['18']));
+    const fdSelect = readFdSelect(table, topDict['12 37'][0], charStrings.length);
+    getLocalSubrs = (glyphId) => fdSubrs[fdSelect[glyphId]] || [];
+  } else {
+    const localSubrs = readPrivateSubrs(table, topDict['18']);
+    getLocalSubrs = () => localSubrs;
+  }
+
+  return {
+    glyphCount: charStrings.length,
+    getPath(glyphId) {
+      if (!charStrings[glyphId]) {
+        return [];
+      }
+      return executeCharString(charStrings[glyphId], globalSubrs, getLocalSubrs(glyphId));
+    }
+  };
+}
+
+module.exports = {
+  CffError,
+  parseCffTable
+};
@@ -0,0 +1,69 @@
+// Derives suggested tags from the classification fields fonts carry in their
+// OS/2 table: the PANOSE digits and the IBM font class in sFamilyClass, plus
+// the fixed-pitch flag from the post table. Many fonts leave both fields
+// zeroed, so an empty list just means "no suggestion".
+
+// PANOSE digit 0 (family kind)
+const PANOSE_FAMILY_TAGS = {
+  3: 'script', // Latin hand written
+  4: 'display', // Latin decorative
+  5: 'symbol' // Latin symbol
+};
+const PANOSE_LATIN_TEXT = 2;
+// Digit 1 for Latin text: 2-10 are kinds of serif, 11-13 are the sans serif
+// styles and 14-15 (flared, rounded) are sans faces too, e.g. Optima
+const PANOSE_SANS_STYLES = [11, 12, 13, 14, 15];
+// Digit 3 for Latin text
+const PANOSE_MONOSPACED = 9;
+
+// High byte of sFamilyClass
+const FAMILY_CLASS_TAGS = {
+  1: 'serif', // oldstyle
+  2: 'serif', // transitional
+  3: 'serif', // modern
+  4: 'serif', // clarendon
+  5: 'serif', // slab
+  7: 'serif', // freeform
+  8: 'sans',
+  9: 'display', // ornamentals
+  10: 'script',
+  12: 'symbol'
+};
+
+function getPanoseStyleTag(panose) {
+  if (!Array.isArray(panose) || panose.length < 4) {
+    return null;
+  }
+  const [familyKind, serifStyle] = panose;
+  if (familyKind !== PANOSE_LATIN_TEXT) {
+    return PANOSE_FAMILY_TAGS[familyKind] || null;
+  }
+  if (PANOSE_SANS_STYLES.includes(serifStyle)) {
+    return 'sans';
+  }
+  return serifStyle >= 2 && serifStyle <= 10 ? 'serif' : null;
+}
+
+/**
+ * Returns the tags suggested by a font's metadata (see readFontMetadata), in
+ * a stable order: the style first, then 'mono' for fixed-pitch fonts. PANOSE
+ * wins over sFamilyClass when both classify the style.
+ */
+function suggestTags({ panose = null, familyClass = null, isFixedPitch = null } = {}) {
+  const tags = [];
+  const styleTag = getPanoseStyleTag(panose) ||
+    (familyClass ? FAMILY_CLASS_TAGS[(familyClass >> 8) & 0xff] || null : null);
+  if (styleTag) {
+    tags.push(styleTag);
+  }
+  const panoseMonospaced = Array.isArray(panose) &&
+    panose[0] === PANOSE_LATIN_TEXT && panose[3] === PANOSE_MONOSPACED;
+  if (isFixedPitch || panoseMonospaced) {
+    tags.push('mono');
+  }
+  return tags;
+}
+
+module.exports = {
+  suggestTags
+};
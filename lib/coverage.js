@@ -0,0 +1,308 @@
+// Character coverage reports: how much of each character set, script and
+// Unicode block a font's cmap covers, and which characters are missing.
+// Script membership and "assigned" come from the regular expression engine's
+// Unicode data, so totals follow the Unicode version Node ships with.
+
+class CoverageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CoverageError';
+    this.statusCode = 400;
+  }
+}
+
+function range(start, end) {
+  const codepoints = [];
+  for (let code = start; code <= end; code++) {
+    codepoints.push(code);
+  }
+  return codepoints;
+}
+
+// The Windows-1252 additions to ISO 8859-1, which is what "Latin-1"
+// usually means for fonts: curly quotes, dashes, the euro sign and so on
+const CP1252_EXTRAS = [
+  0x20AC, 0x201A, 0x0192, 0x201E, 0x2026, 0x2020, 0x2021, 0x02C6, 0x2030, 0x0160, 0x2039, 0x0152, 0x017D,
+  0x2018, 0x2019, 0x201C, 0x201D, 0x2022, 0x2013, 0x2014, 0x02DC, 0x2122, 0x0161, 0x203A, 0x0153, 0x017E, 0x0178
+];
+
+// Accented capitals and lowercase Vietnamese shares with Latin-1
+const VIETNAMESE_LATIN_1 = [
+  0xC0, 0xC1, 0xC2, 0xC3, 0xC8, 0xC9, 0xCA, 0xCC, 0xCD, 0xD2, 0xD3, 0xD4, 0xD5, 0xD9, 0xDA, 0xDD,
+  0xE0, 0xE1, 0xE2, 0xE3, 0xE8, 0xE9, 0xEA, 0xEC, 0xED, 0xF2, 0xF3, 0xF4, 0xF5, 0xF9, 0xFA, 0xFD
+];
+
+const CHARACTER_SETS = {
+  'latin-1': {
+    name: 'Latin-1',
+    codepoints: [...range(0x20, 0x7E), ...range(0xA0, 0xFF), ...CP1252_EXTRAS]
+  },
+  'latin-ext-a': {
+    name: 'Latin Extended-A',
+    codepoints: range(0x0100, 0x017F)
+  },
+  vietnamese: {
+    name: 'Vietnamese',
+    codepoints: [
+      ...VIETNAMESE_LATIN_1,
+      0x0102, 0x0103, 0x0110, 0x0111, 0x0128, 0x0129, 0x0168, 0x0169, 0x01A0, 0x01A1, 0x01AF, 0x01B0,
+      ...range(0x1EA0, 0x1EF9),
+      0x0300, 0x0301, 0x0303, 0x0309, 0x0323, // combining tone marks
+      0x20AB // dong sign
+    ]
+  },
+  cyrillic: {
+    name: 'Cyrillic',
+    codepoints: [...range(0x0400, 0x045F), 0x0490, 0x0491, 0x2116]
+  },
+  greek: {
+    name: 'Greek',
+    codepoints: [...range(0x0384, 0x038A), 0x038C, ...range(0x038E, 0x03A1), ...range(0x03A3, 0x03CE)]
+  }
+};
+
+const SCRIPTS = [
+  'Latin', 'Greek', 'Cyrillic', 'Armenian', 'Hebrew', 'Arabic', 'Syriac', 'Thaana', 'Devanagari', 'Bengali',
+  'Gurmukhi', 'Gujarati', 'Oriya', 'Tamil', 'Telugu', 'Kannada', 'Malayalam', 'Sinhala', 'Thai', 'Lao',
+  'Tibetan', 'Myanmar', 'Georgian', 'Hangul', 'Ethiopic', 'Cherokee', 'Khmer', 'Mongolian', 'Hiragana',
+  'Katakana', 'Bopomofo', 'Han'
+];
+
+const BLOCKS = [
+  ['Basic Latin', 0x0000, 0x007F],
+  ['Latin-1 Supplement', 0x0080, 0x00FF],
+  ['Latin Extended-A', 0x0100, 0x017F],
+  ['Latin Extended-B', 0x0180, 0x024F],
+  ['IPA Extensions', 0x0250, 0x02AF],
+  ['Spacing Modifier Letters', 0x02B0, 0x02FF],
+  ['Combining Diacritical Marks', 0x0300, 0x036F],
+  ['Greek and Coptic', 0x0370, 0x03FF],
+  ['Cyrillic', 0x0400, 0x04FF],
+  ['Cyrillic Supplement', 0x0500, 0x052F],
+  ['Armenian', 0x0530, 0x058F],
+  ['Hebrew', 0x0590, 0x05FF],
+  ['Arabic', 0x0600, 0x06FF],
+  ['Devanagari', 0x0900, 0x097F],
+  ['Bengali', 0x0980, 0x09FF],
+  ['Tamil', 0x0B80, 0x0BFF],
+  ['Thai', 0x0E00, 0x0E7F],
+  ['Georgian', 0x10A0, 0x10FF],
+  ['Hangul Jamo', 0x1100, 0x11FF],
+  ['Cyrillic Extended-C', 0x1C80, 0x1C8F],
+  ['Phonetic Extensions', 0x1D00, 0x1D7F],
+  ['Latin Extended Additional', 0x1E00, 0x1EFF],
+  ['Greek Extended', 0x1F00, 0x1FFF],
+  ['General Punctuation', 0x2000, 0x206F],
+  ['Superscripts and Subscripts', 0x2070, 0x209F],
+  ['Currency Symbols', 0x20A0, 0x20CF],
+  ['Combining Diacritical Marks for Symbols', 0x20D0, 0x20FF],
+  ['Letterlike Symbols', 0x2100, 0x214F],
+  ['Number Forms', 0x2150, 0x218F],
+  ['Arrows', 0x2190, 0x21FF],
+  ['Mathematical Operators', 0x2200, 0x22FF],
+  ['Miscellaneous Technical', 0x2300, 0x23FF],
+  ['Box Drawing', 0x2500, 0x257F],
+  ['Block Elements', 0x2580, 0x259F],
+  ['Geometric Shapes', 0x25A0, 0x25FF],
+  ['Miscellaneous Symbols', 0x2600, 0x26FF],
+  ['Dingbats', 0x2700, 0x27BF],
+  ['Cyrillic Extended-A', 0x2DE0, 0x2DFF],
+  ['Supplemental Punctuation', 0x2E00, 0x2E7F],
+  ['CJK Symbols and Punctuation', 0x3000, 0x303F],
+  ['Hiragana', 0x3040, 0x309F],
+  ['Katakana', 0x30A0, 0x30FF],
+  ['CJK Unified Ideographs', 0x4E00, 0x9FFF],
+  ['Cyrillic Extended-B', 0xA640, 0xA69F],
+  ['Latin Extended-C', 0x2C60, 0x2C7F],
+  ['Latin Extended-D', 0xA720, 0xA7FF],
+  ['Hangul Syllables', 0xAC00, 0xD7AF],
+  ['Private Use Area', 0xE000, 0xF8FF],
+  ['Alphabetic Presentation Forms', 0xFB00, 0xFB4F],
+  ['Halfwidth and Fullwidth Forms', 0xFF00, 0xFFEF],
+  ['Specials', 0xFFF0, 0xFFFF]
+].map(([name, start, end]) => ({ name, start, end })).sort((a, b) => a.start - b.start);
+
+const ASSIGNED = /^\p{Assigned}$/u;
+const SCRIPT_PATTERNS = SCRIPTS.map(script => [script, new RegExp(`^\\p{Script=${script}}$`, 'u')]);
+// Covers the BMP and the supplementary planes holding Han extensions
+const SCAN_LIMIT = 0x2FFFF;
+
+let scriptTotals = null;
+const blockTotals = new Map();
+
+function isAssigned(code) {
+  return (code < 0xD800 || code > 0xDFFF) && ASSIGNED.test(String.fromCodePoint(code));
+}
+
+function getScript(code) {
+  const char = String.fromCodePoint(code);
+  const match = SCRIPT_PATTERNS.find(([, pattern]) => pattern.test(char));
+  return match ? match[0] : null;
+}
+
+// Number of assigned code points per script; worked out once, on first use
+function getScriptTotals() {
+  if (!scriptTotals) {
+    scriptTotals = {};
+    for (let code = 0; code <= SCAN_LIMIT; code++) {
+      if (!isAssigned(code)) continue;
+      const script = getScript(code);
+      if (script) scriptTotals[script] = (scriptTotals[script] || 0) + 1;
+    }
+  }
+  return scriptTotals;
+}
+
+// Private use code points count as assigned, so the PUA total is its size
+function getBlockTotal(block) {
+  if (!blockTotals.has(block.name)) {
+    let total = 0;
+    for (let code = block.start; code <= block.end; code++) {
+      if (isAssigned(code)) total++;
+    }
+    blockTotals.set(block.name, total);
+  }
+  return blockTotals.get(block.name);
+}
+
+function formatCodepoint(code) {
+  return `U+${code.toString(16).toUpperCase().padStart(4, '0')}`;
+}
+
+function toCharacter(code) {
+  return { codepoint: formatCodepoint(code), char: String.fromCodePoint(code) };
+}
+
+function percent(covered, total) {
+  return total === 0 ? 100 : Math.round((covered / total) * 1000) / 10;
+}
+
+/**
+ * Resolves the requested sets: `ids` picks named sets (all of them when
+ * null) and `chars` adds a 'custom' set of those characters. Throws a
+ * CoverageError for unknown set names.
+ */
+function resolveCharacterSets(ids = null, chars = null) {
+  const unknown = (ids || []).filter(id => !CHARACTER_SETS[id]);
+  if (unknown.length > 0) {
+    throw new CoverageError(
+      `Unknown character set: ${unknown.join(', ')}; expected one of: ${Object.keys(CHARACTER_SETS).join(', ')}`
+    );
+  }
+  const sets = (ids || Object.keys(CHARACTER_SETS)).map(id => ({ id, ...CHARACTER_SETS[id] }));
+  if (chars) {
+    const codepoints = Array.from(new Set(Array.from(chars).map(char => char.codePointAt(0))));
+    sets.push({ id: 'custom', name: 'Custom', codepoints });
+  }
+  return sets.map(set => ({ ...set, codepoints: Array.from(new Set(set.codepoints)).sort((a, b) => a - b) }));
+}
+
+/**
+ * Coverage of one font. `codepoints` is the font's cmap as returned by
+ * readCodepoints; `sets` comes from resolveCharacterSets. Scripts and
+ * blocks are only listed when the font has at least one character in them.
+ */
+function analyzeCoverage(codepoints, sets) {
+  const covered = new Set(codepoints);
+
+  const setReports = sets.map(set => {
+    const missing = set.codepoints.filter(code => !covered.has(code));
+    return {
+      id: set.id,
+      name: set.name,
+      total: set.codepoints.length,
+      covered: set.codepoints.length - missing.length,
+      percent: percent(set.codepoints.length - missing.length, set.codepoints.length),
+      missing: missing.map(toCharacter)
+    };
+  });
+
+  const totals = getScriptTotals();
+  const scriptCounts = {};
+  codepoints.forEach(code => {
+    if (code > SCAN_LIMIT) return;
+    const script = getScript(code);
+    if (script) scriptCounts[script] = (scriptCounts[script] || 0) + 1;
+  });
+  const scripts = SCRIPTS
+    .filter(script => scriptCounts[script])
+    .map(script => ({
+      script,
+      covered: scriptCounts[script],
+      total: totals[script],
+      percent: percent(scriptCounts[script], totals[script])
+    }));
+
+  const blocks = BLOCKS
+    .map(block => {
+      const count = codepoints.filter(code => code >= block.start && code <= block.end && isAssigned(code)).length;
+      return { block, count };
+    })
+    .filter(({ count }) => count > 0)
+    .map(({ block, count }) => ({
+      name: block.name,
+      start: formatCodepoint(block.start),
+      end: formatCodepoint(block.end),
+      covered: count,
+      total: getBlockTotal(block),
+      percent: percent(count, getBlockTotal(block))
+    }));
+
+  return { codepointCount: codepoints.length, sets: setReports, scripts, blocks };
+}
+
+/**
+ * Combines several fonts' coverage for a group. `fonts` is a list of
+ * `{ id, name, codepoints }`. For each set, `covered` counts characters every
+ * font has (the intersection) and `gaps` lists characters at least one font
+ * lacks, with the IDs of the fonts missing each.
+ */
+function analyzeGroupCoverage(fonts, sets) {
+  const coveredSets = fonts.map(font => new Set(font.codepoints));
+
+  const setReports = sets.map(set => {
+    const gaps = [];
+    set.codepoints.forEach(code => {
+      const missingFrom = fonts.filter((font, index) => !coveredSets[index].has(code)).map(font => font.id);
+      if (missingFrom.length > 0) {
+        gaps.push({ ...toCharacter(code), missingFrom });
+      }
+    });
+    return {
+      id: set.id,
+      name: set.name,
+      total: set.codepoints.length,
+      covered: set.codepoints.length - gaps.length,
+      percent: percent(set.codepoints.length - gaps.length, set.codepoints.length),
+      gaps
+    };
+  });
+
+  const fontReports = fonts.map(font => {
+    const report = analyzeCoverage(font.codepoints, sets);
+    return {
+      id: font.id,
+      name: font.name,
+      sets: report.sets.map(({ missing, ...set }) => ({ ...set, missingCount: missing.length })),
+      scripts: report.scripts
+    };
+  });
+
+  // Scripts every font has at least some of, with the weakest font's share
+  const scripts = SCRIPTS
+    .filter(script => fontReports.every(font => font.scripts.some(item => item.script === script)))
+    .map(script => ({
+      script,
+      percent: Math.min(...fontReports.map(font => font.scripts.find(item => item.script === script).percent))
+    }));
+
+  return { sets: setReports, scripts, fonts: fontReports };
+}
+
+module.exports = {
+  CoverageError,
+  CHARACTER_SETS,
+  resolveCharacterSets,
+  analyzeCoverage,
+  analyzeGroupCoverage
+};
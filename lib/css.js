@@ -0,0 +1,312 @@
+// Builds @font-face stylesheets for font groups from font records as
+// returned by FontService.
+
+const { FALLBACK_FONTS, pickFallbackFont } = require('./metrics');
+
+const FONT_DISPLAY_VALUES = ['auto', 'block', 'swap', 'fallback', 'optional'];
+
+// Most preferred first; browsers take the first src they support
+const FORMAT_PREFERENCE = ['woff2', 'woff', 'otf', 'ttf'];
+
+// Optional role of a group row. A group has at most one font in each role
+// except fallback, which may list several in order of preference.
+const GROUP_ROLES = ['heading', 'body', 'caption', 'monospace', 'fallback'];
+const SINGLE_FONT_ROLES = ['heading', 'body', 'caption', 'monospace'];
+
+const CSS_FORMATS = {
+  ttf: 'truetype',
+  otf: 'opentype',
+  woff: 'woff',
+  woff2: 'woff2'
+};
+
+function cssString(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, ' ')}"`;
+}
+
+function slugify(value) {
+  return String(value)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'group';
+}
+
+function getFamilyName(font) {
+  return font.familyName || font.name;
+}
+
+function findAxis(font, tag) {
+  return (font.axes || []).find(axis => axis.tag === tag) || null;
+}
+
+// Variable fonts declare the weight and width ranges their axes cover, so
+// one face serves every weight in between
+function getFaceDescriptors(font) {
+  const weightAxis = findAxis(font, 'wght');
+  const widthAxis = findAxis(font, 'wdth');
+  return {
+    family: getFamilyName(font),
+    weight: weightAxis ? `${weightAxis.min} ${weightAxis.max}` : font.weightClass || 400,
+    stretch: widthAxis ? `${widthAxis.min}% ${widthAxis.max}%` : null,
+    style: font.italic ? 'italic' : 'normal'
+  };
+}
+
+/**
+ * Axis values for a group row's `variation`: `{ instance }` names one of the
+ * font's named instances and `{ axes }` maps axis tags to values. Values are
+ * clamped to the axis range and unknown axes dropped. Returns null when the
+ * row pins nothing or the font is not variable.
+ */
+function resolveVariation(font, variation) {
+  if (!variation || !font.axes || font.axes.length === 0) {
+    return null;
+  }
+  let coordinates = variation.axes || {};
+  if (variation.instance) {
+    const instance = (font.instances || []).find(item => item.name === variation.instance);
+    coordinates = instance ? instance.coordinates : {};
+  }
+  const resolved = {};
+  font.axes.forEach(axis => {
+    const value = Number(coordinates[axis.tag]);
+    if (coordinates[axis.tag] !== undefined && Number.isFinite(value)) {
+      resolved[axis.tag] = Math.min(axis.max, Math.max(axis.min, value));
+    }
+  });
+  return Object.keys(resolved).length > 0 ? resolved : null;
+}
+
+// `"wght" 650, "wdth" 90`
+function formatVariationSettings(coordinates) {
+  return Object.entries(coordinates)
+    .map(([tag, value]) => `${cssString(tag)} ${value}`)
+    .join(', ');
+}
+
+// The same face can be uploaded in several formats; collect all of them so
+// the rule can offer the smallest one first
+function findAlternateFormats(font, allFonts) {
+  const face = getFaceDescriptors(font);
+  const matches = allFonts.filter(candidate => {
+    const other = getFaceDescriptors(candidate);
+    return candidate.format &&
+      other.family === face.family &&
+      other.weight === face.weight &&
+      other.stretch === face.stretch &&
+      other.style === face.style;
+  });
+  if (!matches.some(candidate => candidate.id === font.id)) {
+    matches.push(font);
+  }
+
+  const byFormat = new Map();
+  matches.forEach(candidate => {
+    if (!byFormat.has(candidate.format) || candidate.id === font.id) {
+      byFormat.set(candidate.format, candidate);
+    }
+  });
+  return FORMAT_PREFERENCE
+    .filter(format => byFormat.has(format))
+    .map(format => byFormat.get(format));
+}
+
+function buildSrc(sources, baseUrl) {
+  return sources
+    .map(source => {
+      const url = `url(${cssString(`${baseUrl}${encodeURI(source.path)}`)})`;
+      return CSS_FORMATS[source.format] ? `${url} format(${cssString(CSS_FORMATS[source.format])})` : url;
+    })
+    .join(',\n       ');
+}
+
+function buildFontFaceRule(font, allFonts, options) {
+  const face = getFaceDescriptors(font);
+  return [
+    '@font-face {',
+    `  font-family: ${cssString(face.family)};`,
+    `  src: ${buildSrc(findAlternateFormats(font, allFonts), options.baseUrl)};`,
+    `  font-weight: ${face.weight};`,
+    ...(face.stretch ? [`  font-stretch: ${face.stretch};`] : []),
+    `  font-style: ${face.style};`,
+    `  font-display: ${options.display};`,
+    '}'
+  ].join('\n');
+}
+
+// Weight and width map onto their CSS properties; any other axis can only
+// be set through font-variation-settings
+function buildVariationRule(selector, font, coordinates) {
+  const { wght, wdth, ...otherAxes } = coordinates;
+  return [
+    `${selector} {`,
+    `  font-family: ${cssString(getFamilyName(font))};`,
+    ...(wght !== undefined ? [`  font-weight: ${wght};`] : []),
+    ...(wdth !== undefined ? [`  font-stretch: ${wdth}%;`] : []),
+    ...(Object.keys(otherAxes).length > 0 ? [`  font-variation-settings: ${formatVariationSettings(otherAxes)};`] : []),
+    '}'
+  ].join('\n');
+}
+
+// One class per row that pins axis values, named after the group and row
+function buildVariationRules(group, groupFonts) {
+  const prefix = `font-group-${slugify(group.title)}`;
+  const usedSelectors = new Set();
+  const rules = [];
+  (group.fonts || []).forEach(row => {
+    const font = groupFonts.find(item => item.id === row.selectedFont);
+    const coordinates = font && resolveVariation(font, row.variation);
+    if (!coordinates) return;
+
+    const base = `.${prefix}-${slugify(row.name || font.name)}`;
+    let selector = base;
+    for (let suffix = 2; usedSelectors.has(selector); suffix++) {
+      selector = `${base}-${suffix}`;
+    }
+    usedSelectors.add(selector);
+    rules.push(buildVariationRule(selector, font, coordinates));
+  });
+  return rules;
+}
+
+// The generic family (serif, sans-serif or monospace) a font's
+// classification points to, as used for its metric-matched fallback
+function getGenericFamily(font) {
+  return FALLBACK_FONTS[pickFallbackFont(font)].generic;
+}
+
+/**
+ * The font-family stacks for a group, as [property suffix, families]
+ * pairs. The first is the group's text stack: every row but the monospace
+ * one in row order, ending in the generic family of the body font (or the
+ * heading font, or the first row). After it comes one stack per role in
+ * use: that role's family, then the fallback rows in row order, then the
+ * generic family of the role's font (always `monospace` for the monospace
+ * role).
+ */
+function buildFamilyStacks(group, groupFonts) {
+  const rows = (group.fonts || [])
+    .map(row => ({ role: row.role || null, font: groupFonts.find(item => item.id === row.selectedFont) }))
+    .filter(row => row.font);
+  const unique = (values) => Array.from(new Set(values));
+  const fallbackFamilies = rows.filter(row => row.role === 'fallback').map(row => getFamilyName(row.font));
+
+  const textRows = rows.filter(row => row.role !== 'monospace');
+  const primaryRow = textRows.find(row => row.role === 'body') ||
+    textRows.find(row => row.role === 'heading') ||
+    textRows[0];
+  const stacks = [['', [
+    ...unique(textRows.map(row => getFamilyName(row.font))).map(cssString),
+    primaryRow ? getGenericFamily(primaryRow.font) : 'sans-serif'
+  ]]];
+  SINGLE_FONT_ROLES.forEach(role => {
+    const row = rows.find(item => item.role === role);
+    if (!row) return;
+    const families = unique([getFamilyName(row.font), ...fallbackFamilies]).map(cssString);
+    stacks.push([`-${role}`, [...families, role === 'monospace' ? 'monospace' : getGenericFamily(row.font)]]);
+  });
+  return stacks;
+}
+
+/**
+ * Generates the stylesheet for a group.
+ *
+ * `groupFonts` are the font records for the group's rows; `allFonts` is the
+ * whole library, used to find other formats of a face. The group gets a
+ * custom property holding its families in row order, plus one per role
+ * assigned in it, e.g. `--font-group-<title>-heading` (see
+ * buildFamilyStacks). Rows that pin variable font axes also get a class
+ * applying those values.
+ * Options: `baseUrl` is prefixed to font paths, `display` is the
+ * font-display value (defaults to swap).
+ */
+function buildGroupStylesheet(group, groupFonts, allFonts, options = {}) {
+  const settings = {
+    baseUrl: options.baseUrl || '',
+    display: FONT_DISPLAY_VALUES.includes(options.display) ? options.display : 'swap'
+  };
+
+  const seenFaces = new Set();
+  const rules = [];
+  groupFonts.forEach(font => {
+    const face = getFaceDescriptors(font);
+    const key = `${face.family}|${face.weight}|${face.stretch}|${face.style}`;
+    if (seenFaces.has(key)) return;
+    seenFaces.add(key);
+    rules.push(buildFontFaceRule(font, allFonts, settings));
+  });
+
+  const property = `--font-group-${slugify(group.title)}`;
+
+  return [
+    `/* Font group: ${String(group.title).replace(/\*\//g, '* /')} */`,
+    '',
+    ...rules.map(rule => `${rule}\n`),
+    ':root {',
+    ...buildFamilyStacks(group, groupFonts).map(([suffix, families]) => `  ${property}${suffix}: ${families.join(', ')};`),
+    '}',
+    ...buildVariationRules(group, groupFonts).map(rule => `\n${rule}`),
+    ''
+  ].join('\n');
+}
+
+function getFallbackFamily(font) {
+  return `${getFamilyName(font)} Fallback`;
+}
+
+// `"Lato", "Lato Fallback", sans-serif`
+function buildFallbackStack(font, fallback) {
+  return [cssString(getFamilyName(font)), cssString(getFallbackFamily(font)), fallback.generic].join(', ');
+}
+
+/**
+ * Generates @font-face rules for metric-matched local fallbacks.
+ *
+ * `entries` are { font, fallback, overrides }: `fallback` is one of the
+ * system fonts in lib/metrics.js and `overrides` comes from
+ * computeFallbackOverrides. Each face gets a rule under the family name
+ * "<family> Fallback", meant to follow the web font in a font stack.
+ */
+function buildFallbackStylesheet(group, entries) {
+  const seenFaces = new Set();
+  const rules = [];
+  entries.forEach(({ font, fallback, overrides }) => {
+    const face = getFaceDescriptors(font);
+    const key = `${face.family}|${face.weight}|${face.stretch}|${face.style}`;
+    if (seenFaces.has(key)) return;
+    seenFaces.add(key);
+    rules.push([
+      '@font-face {',
+      `  font-family: ${cssString(getFallbackFamily(font))};`,
+      `  src: local(${cssString(fallback.name)});`,
+      `  font-weight: ${face.weight};`,
+      `  font-style: ${face.style};`,
+      `  size-adjust: ${overrides.sizeAdjust}%;`,
+      `  ascent-override: ${overrides.ascentOverride}%;`,
+      `  descent-override: ${overrides.descentOverride}%;`,
+      `  line-gap-override: ${overrides.lineGapOverride}%;`,
+      '}'
+    ].join('\n'));
+  });
+
+  return [
+    `/* Metric-matched fallbacks for font group: ${String(group.title).replace(/\*\//g, '* /')} */`,
+    '',
+    ...rules.map(rule => `${rule}\n`)
+  ].join('\n');
+}
+
+module.exports = {
+  FONT_DISPLAY_VALUES,
+  GROUP_ROLES,
+  SINGLE_FONT_ROLES,
+  FORMAT_PREFERENCE,
+  CSS_FORMATS,
+  cssString,
+  slugify,
+  resolveVariation,
+  formatVariationSettings,
+  buildGroupStylesheet,
+  buildFallbackStack,
+  buildFallbackStylesheet
+};
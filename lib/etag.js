@@ -0,0 +1,30 @@
+// Entity tags for versioned records. A record's ETag is its version number
+// in quotes, and If-Match is compared strongly as HTTP requires.
+
+class PreconditionFailedError extends Error {
+  constructor(message, current) {
+    super(message);
+    this.name = 'PreconditionFailedError';
+    this.statusCode = 412;
+    this.current = current;
+  }
+}
+
+function formatETag(version) {
+  return `"${version}"`;
+}
+
+// True when there is no If-Match header, or when it is '*' or lists the tag
+function ifMatchSatisfied(header, version) {
+  if (header === undefined || header === null) {
+    return true;
+  }
+  const tags = String(header).split(',').map(tag => tag.trim());
+  return tags.includes('*') || tags.includes(formatETag(version));
+}
+
+module.exports = {
+  PreconditionFailedError,
+  formatETag,
+  ifMatchSatisfied
+};
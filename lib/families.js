@@ -0,0 +1,113 @@
+// Clusters font records (as returned by FontService) into typographic
+// families and proposes a group for each family with more than one face.
+// The family comes from name ID 16 with a fallback to ID 1 (see
+// readFontMetadata); faces are told apart by weight class and the italic
+// bits, which are more reliable than the free-form style names.
+
+const { FORMAT_PREFERENCE } = require('./css');
+
+const WEIGHT_NAMES = {
+  100: 'Thin',
+  200: 'ExtraLight',
+  300: 'Light',
+  400: 'Regular',
+  500: 'Medium',
+  600: 'SemiBold',
+  700: 'Bold',
+  800: 'ExtraBold',
+  900: 'Black'
+};
+
+// Fonts without a typographic family name (ID 16) often carry the weight in
+// the legacy family name instead, e.g. "Lato Light" with style "Italic"
+const TRAILING_WEIGHT = new RegExp(
+  `\\s+(${['Hairline', 'Thin', 'Extra ?Light', 'Ultra ?Light', 'Light', 'Book', 'Medium', 'Semi ?Bold', 'Demi ?Bold',
+    'Extra ?Bold', 'Ultra ?Bold', 'Heavy', 'Black'].join('|')})$`,
+  'i'
+);
+
+function getFamilyKey(font) {
+  const family = String(font.familyName || font.name).trim();
+  const stripped = family.replace(TRAILING_WEIGHT, '');
+  return stripped || family;
+}
+
+function getWeight(font) {
+  const weight = Math.round((font.weightClass || 400) / 100) * 100;
+  return Math.min(900, Math.max(100, weight));
+}
+
+// "Regular", "Italic", "Bold", "Light Italic", ...
+function getStyleLabel(font) {
+  const weightName = WEIGHT_NAMES[getWeight(font)];
+  if (!font.italic) {
+    return weightName;
+  }
+  return weightName === 'Regular' ? 'Italic' : `${weightName} Italic`;
+}
+
+// Same weight, slope and style name means the same face in another format
+function getFaceKey(font) {
+  return `${getWeight(font)}|${Boolean(font.italic)}|${String(font.styleName || '').toLowerCase()}`;
+}
+
+function pickPreferredFormat(fonts) {
+  return fonts.slice().sort((a, b) => {
+    const rank = (font) => {
+      const index = FORMAT_PREFERENCE.indexOf(font.format);
+      return index === -1 ? FORMAT_PREFERENCE.length : index;
+    };
+    return rank(a) - rank(b);
+  })[0];
+}
+
+/**
+ * Proposes one group per family with at least two distinct faces. Each
+ * suggestion is { family, title, fonts: [{ fontId, name, weight, italic }],
+ * existingGroupIds }, with fonts ordered by weight, upright before italic,
+ * and named "<family> <style>". existingGroupIds lists the groups that
+ * already hold every suggested font. Suggestions are sorted by family.
+ */
+function suggestFamilyGroups(fonts, groups = []) {
+  const families = new Map();
+  fonts.forEach(font => {
+    const family = getFamilyKey(font);
+    const key = family.toLowerCase();
+    if (!families.has(key)) {
+      families.set(key, { family, faces: new Map() });
+    }
+    const faces = families.get(key).faces;
+    const faceKey = getFaceKey(font);
+    faces.set(faceKey, [...(faces.get(faceKey) || []), font]);
+  });
+
+  const suggestions = [];
+  families.forEach(({ family, faces }) => {
+    if (faces.size < 2) return;
+
+    const members = Array.from(faces.values())
+      .map(pickPreferredFormat)
+      .sort((a, b) => getWeight(a) - getWeight(b) || Number(Boolean(a.italic)) - Number(Boolean(b.italic)));
+    // Faces that only differ in ways the label does not capture, such as
+    // width, keep their own style name instead
+    const labels = members.map(getStyleLabel);
+    const rows = members.map((font, index) => {
+      const isAmbiguous = labels.indexOf(labels[index]) !== labels.lastIndexOf(labels[index]);
+      const label = isAmbiguous && font.styleName ? font.styleName : labels[index];
+      return { fontId: font.id, name: `${family} ${label}`, weight: getWeight(font), italic: Boolean(font.italic) };
+    });
+
+    const fontIds = rows.map(row => row.fontId);
+    const existingGroupIds = groups
+      .filter(group => fontIds.every(id => (group.fonts || []).some(row => row.selectedFont === id)))
+      .map(group => group.id);
+
+    suggestions.push({ family, title: family, fonts: rows, existingGroupIds });
+  });
+
+  return suggestions.sort((a, b) => a.family.localeCompare(b.family));
+}
+
+module.exports = {
+  suggestFamilyGroups
+};
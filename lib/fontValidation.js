@@ -0,0 +1,214 @@
+const { detectFormat, readTableDirectory, readFontTables, readFontMetadata } = require('./sfnt');
+
+// Structural checks run on uploaded fonts before they are accepted.
+// Problems are split into errors, which make a font unusable and reject the
+// upload, and warnings, which describe files that browsers will probably
+// still load but that deserve a closer look before being published.
+
+const REQUIRED_TABLES = ['cmap', 'head', 'hhea', 'hmtx', 'maxp', 'name'];
+const HEAD_MAGIC_NUMBER = 0x5F0F3CF5;
+const CHECKSUM_MAGIC = 0xB1B0AFBA;
+
+function problem(code, message, table) {
+  return table ? { code, message, table } : { code, message };
+}
+
+function calculateChecksum(data, isHead) {
+  let sum = 0;
+  const paddedLength = Math.ceil(data.length / 4) * 4;
+  for (let offset = 0; offset < paddedLength; offset += 4) {
+    let word = 0;
+    for (let i = 0; i < 4; i++) {
+      const index = offset + i;
+      // head.checkSumAdjustment (bytes 8-11) is treated as zero
+      const byte = index < data.length && !(isHead && index >= 8 && index < 12) ? data[index] : 0;
+      word = (word * 256) + byte;
+    }
+    sum = (sum + word) % 0x100000000;
+  }
+  return sum;
+}
+
+function checkDirectory(buffer, errors, warnings) {
+  const directory = readTableDirectory(buffer);
+  const { numTables } = directory;
+
+  if (numTables === 0) {
+    errors.push(problem('EMPTY_DIRECTORY', 'Table directory lists no tables'));
+    return;
+  }
+  if (Object.keys(directory.tables).length !== numTables) {
+    errors.push(problem('DUPLICATE_TABLE', 'Table directory lists the same table more than once'));
+  }
+
+  const maxPower = 2 ** Math.floor(Math.log2(numTables));
+  if (buffer.readUInt16BE(6) !== maxPower * 16 ||
+      buffer.readUInt16BE(8) !== Math.log2(maxPower) ||
+      buffer.readUInt16BE(10) !== numTables * 16 - maxPower * 16) {
+    warnings.push(problem('BAD_SEARCH_PARAMS', 'searchRange, entrySelector or rangeShift do not match the table count'));
+  }
+
+  const entries = [];
+  for (let i = 0; i < numTables; i++) {
+    const entry = 12 + i * 16;
+    entries.push(directory.tables[buffer.toString('latin1', entry, entry + 4)]);
+  }
+  const tags = entries.map(entry => entry.tag);
+  if (tags.some((tag, i) => i > 0 && tags[i - 1] > tag)) {
+    warnings.push(problem('UNSORTED_DIRECTORY', 'Table directory is not sorted by tag'));
+  }
+
+  const directoryEnd = 12 + numTables * 16;
+  const ranges = [];
+  Object.values(directory.tables).forEach(entry => {
+    if (entry.offset < directoryEnd || entry.offset + entry.length > buffer.length) {
+      errors.push(problem('TABLE_OUT_OF_BOUNDS', `Table '${entry.tag}' lies outside the file`, entry.tag));
+      return;
+    }
+    if (entry.offset % 4 !== 0) {
+      warnings.push(problem('MISALIGNED_TABLE', `Table '${entry.tag}' does not start on a 4-byte boundary`, entry.tag));
+    }
+    ranges.push(entry);
+  });
+
+  ranges.sort((a, b) => a.offset - b.offset);
+  for (let i = 1; i < ranges.length; i++) {
+    const previous = ranges[i - 1];
+    if (ranges[i].offset < previous.offset + previous.length) {
+      warnings.push(problem('OVERLAPPING_TABLES', `Tables '${previous.tag}' and '${ranges[i].tag}' overlap`, ranges[i].tag));
+    }
+  }
+}
+
+function checkChecksums(font, buffer, format, warnings) {
+  Object.values(font.tables).forEach(table => {
+    if (table.checksum === null || table.transformed) return;
+    const actual = calculateChecksum(table.data, table.tag === 'head');
+    if (actual !== table.checksum) {
+      warnings.push(problem('CHECKSUM_MISMATCH', `Table '${table.tag}' checksum does not match its contents`, table.tag));
+    }
+  });
+
+  // The whole-file adjustment only applies to plain sfnt files
+  const head = font.tables.head;
+  if ((format === 'ttf' || format === 'otf') && head && head.data.length >= 12) {
+    // The file sum includes the stored adjustment, so add it back to get
+    // the sum the adjustment was computed from
+    const stored = head.data.readUInt32BE(8);
+    const expected = (CHECKSUM_MAGIC - calculateChecksum(buffer, false) + stored + 0x100000000) % 0x100000000;
+    if (expected !== stored) {
+      warnings.push(problem('CHECKSUM_ADJUSTMENT_MISMATCH', 'head.checkSumAdjustment does not match the file contents', 'head'));
+    }
+  }
+}
+
+function checkRequiredTables(font, errors) {
+  REQUIRED_TABLES.forEach(tag => {
+    if (!font.tables[tag]) {
+      errors.push(problem('MISSING_TABLE', `Required table '${tag}' is missing`, tag));
+    }
+  });
+
+  const hasTrueTypeOutlines = font.tables.glyf && font.tables.loca;
+  const hasCffOutlines = font.tables['CFF '] || font.tables.CFF2;
+  if (!hasTrueTypeOutlines && !hasCffOutlines) {
+    errors.push(problem('MISSING_OUTLINES', 'Font has neither glyf/loca nor CFF outline tables'));
+  }
+}
+
+function checkCoreTables(font, errors) {
+  const head = font.tables.head;
+  if (head && !head.transformed) {
+    if (head.data.length < 54) {
+      errors.push(problem('TABLE_TOO_SHORT', "Table 'head' is truncated", 'head'));
+    } else {
+      if (head.data.readUInt32BE(12) !== HEAD_MAGIC_NUMBER) {
+        errors.push(problem('BAD_HEAD_MAGIC', "Table 'head' has an invalid magic number", 'head'));
+      }
+      const unitsPerEm = head.data.readUInt16BE(18);
+      if (unitsPerEm < 16 || unitsPerEm > 16384) {
+        errors.push(problem('BAD_UNITS_PER_EM', `unitsPerEm ${unitsPerEm} is outside the valid range 16-16384`, 'head'));
+      }
+    }
+  }
+
+  const maxp = font.tables.maxp;
+  let numGlyphs = null;
+  if (maxp && !maxp.transformed) {
+    if (maxp.data.length < 6) {
+      errors.push(problem('TABLE_TOO_SHORT', "Table 'maxp' is truncated", 'maxp'));
+    } else {
+      numGlyphs = maxp.data.readUInt16BE(4);
+      if (numGlyphs === 0) {
+        errors.push(problem('NO_GLYPHS', 'Font contains no glyphs', 'maxp'));
+      }
+    }
+  }
+
+  const hhea = font.tables.hhea;
+  if (hhea && !hhea.transformed) {
+    if (hhea.data.length < 36) {
+      errors.push(problem('TABLE_TOO_SHORT', "Table 'hhea' is truncated", 'hhea'));
+    } else if (numGlyphs !== null) {
+      const numberOfHMetrics = hhea.data.readUInt16BE(34);
+      const hmtx = font.tables.hmtx;
+      if (numberOfHMetrics === 0 || numberOfHMetrics > numGlyphs) {
+        errors.push(problem('BAD_HMETRICS_COUNT', `hhea.numberOfHMetrics ${numberOfHMetrics} is invalid for ${numGlyphs} glyphs`, 'hhea'));
+      } else if (hmtx && !hmtx.transformed && hmtx.data.length < numberOfHMetrics * 4 + (numGlyphs - numberOfHMetrics) * 2) {
+        errors.push(problem('TABLE_TOO_SHORT', "Table 'hmtx' is shorter than hhea and maxp require", 'hmtx'));
+      }
+    }
+  }
+}
+
+/**
+ * Validates a font buffer and returns `{ format, errors, warnings }`.
+ * Each problem is `{ code, message, table? }`. A font with errors should be
+ * rejected; one with only warnings is loadable but suspicious.
+ */
+function validateFont(buffer) {
+  const errors = [];
+  const warnings = [];
+  const format = detectFormat(buffer);
+
+  if (!format) {
+    errors.push(problem('UNKNOWN_SIGNATURE', 'File does not start with a TrueType, OpenType, WOFF or WOFF2 signature'));
+    return { format, errors, warnings };
+  }
+
+  let font;
+  try {
+    if (format === 'ttf' || format === 'otf') {
+      checkDirectory(buffer, errors, warnings);
+      if (errors.length > 0) {
+        return { format, errors, warnings };
+      }
+    } else if (format === 'woff' && buffer.readUInt32BE(8) !== buffer.length) {
+      warnings.push(problem('BAD_WOFF_LENGTH', 'WOFF header length does not match the file size'));
+    }
+    font = readFontTables(buffer);
+  } catch (error) {
+    errors.push(problem('MALFORMED_CONTAINER', error.message));
+    return { format, errors, warnings };
+  }
+
+  checkRequiredTables(font, errors);
+  checkCoreTables(font, errors);
+  checkChecksums(font, buffer, format, warnings);
+
+  if (errors.length === 0) {
+    try {
+      readFontMetadata(buffer);
+    } catch (error) {
+      errors.push(problem('MALFORMED_TABLE', error.message));
+    }
+  }
+
+  return { format, errors, warnings };
+}
+
+module.exports = {
+  REQUIRED_TABLES,
+  calculateChecksum,
+  validateFont
+};
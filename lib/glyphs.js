@@ -0,0 +1,314 @@
+const { SfntError, readFontTables, getTableData, parseHeadTable, parseCmapGlyphs } = require('./sfnt');
+const { parseCffTable } = require('./cff');
+
+// Glyph access for rendering: code point to glyph mapping, advance widths
+// from hmtx, pair kerning from the legacy 'kern' table and outlines from
+// either 'glyf' or 'CFF '. Outlines are the default master only; variable
+// font deltas (gvar) and GPOS kerning are not applied.
+
+const MAX_COMPONENT_DEPTH = 8;
+// Components drawn for one glyph, counting every nested one; components can
+// reuse each other, so depth alone does not bound the work
+const MAX_COMPONENTS_PER_GLYPH = 1000;
+
+// Simple glyph flags
+const ON_CURVE = 0x01;
+const X_SHORT = 0x02;
+const Y_SHORT = 0x04;
+const REPEAT = 0x08;
+const X_SAME_OR_POSITIVE = 0x10;
+const Y_SAME_OR_POSITIVE = 0x20;
+
+// Composite glyph flags
+const ARGS_ARE_WORDS = 0x0001;
+const ARGS_ARE_XY_VALUES = 0x0002;
+const HAVE_SCALE = 0x0008;
+const MORE_COMPONENTS = 0x0020;
+const HAVE_XY_SCALE = 0x0040;
+const HAVE_TWO_BY_TWO = 0x0080;
+
+function readF2Dot14(data, offset) {
+  return data.readInt16BE(offset) / 16384;
+}
+
+function readCoordinates(data, offset, flags, shortFlag, sameFlag) {
+  const values = new Array(flags.length);
+  let value = 0;
+  for (let i = 0; i < flags.length; i++) {
+    const flag = flags[i];
+    if (flag & shortFlag) {
+      const delta = data[offset++];
+      value += flag & sameFlag ? delta : -delta;
+    } else if (!(flag & sameFlag)) {
+      value += data.readInt16BE(offset);
+      offset += 2;
+    }
+    values[i] = value;
+  }
+  return { values, offset };
+}
+
+// Turns one TrueType contour into path commands. Two off-curve points in a
+// row imply an on-curve point halfway between them.
+function contourToPath(points) {
+  if (points.length === 0) {
+    return [];
+  }
+  const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, onCurve: true });
+  const firstOn = points.findIndex(point => point.onCurve);
+  // Start on an on-curve point, inventing one if the contour has none
+  const start = firstOn >= 0 ? points[firstOn] : midpoint(points[0], points[points.length - 1]);
+  const ordered = firstOn >= 0
+    ? [...points.slice(firstOn + 1), ...points.slice(0, firstOn)]
+    : points;
+
+  const commands = [['M', start.x, start.y]];
+  let control = null;
+  [...ordered, start].forEach(point => {
+    if (point.onCurve) {
+      commands.push(control ? ['Q', control.x, control.y, point.x, point.y] : ['L', point.x, point.y]);
+      control = null;
+    } else {
+      if (control) {
+        const implied = midpoint(control, point);
+        commands.push(['Q', control.x, control.y, implied.x, implied.y]);
+      }
+      control = point;
+    }
+  });
+  commands.push(['Z']);
+  return commands;
+}
+
+function transformPath(commands, [a, b, c, d, e, f]) {
+  return commands.map(([op, ...coords]) => {
+    const mapped = [];
+    for (let i = 0; i < coords.length; i += 2) {
+      mapped.push(a * coords[i] + c * coords[i + 1] + e, b * coords[i] + d * coords[i + 1] + f);
+    }
+    return [op, ...mapped];
+  });
+}
+
+function readGlyfOutlines(font, glyphCount) {
+  const head = getTableData(font, 'head');
+  const loca = getTableData(font, 'loca');
+  const glyf = getTableData(font, 'glyf');
+  if (!loca || !glyf) {
+    throw new SfntError('Glyph outlines are not available (missing or transformed glyf/loca)');
+  }
+  const longOffsets = head.readInt16BE(50) === 1;
+  const getRange = (glyphId) => {
+    if (glyphId < 0 || glyphId >= glyphCount) return null;
+    const start = longOffsets ? loca.readUInt32BE(glyphId * 4) : loca.readUInt16BE(glyphId * 2) * 2;
+    const end = longOffsets ? loca.readUInt32BE(glyphId * 4 + 4) : loca.readUInt16BE(glyphId * 2 + 2) * 2;
+    return end > start && end <= glyf.length ? glyf.subarray(start, end) : null;
+  };
+
+  const readSimple = (data, contourCount) => {
+    const endPoints = [];
+    for (let i = 0; i < contourCount; i++) {
+      endPoints.push(data.readUInt16BE(10 + i * 2));
+    }
+    const pointCount = contourCount > 0 ? endPoints[contourCount - 1] + 1 : 0;
+    let offset = 10 + contourCount * 2;
+    offset += 2 + data.readUInt16BE(offset); // skip instructions
+
+    const flags = [];
+    while (flags.length < pointCount) {
+      const flag = data[offset++];
+      flags.push(flag);
+      if (flag & REPEAT) {
+        for (let count = data[offset++]; count > 0; count--) {
+          flags.push(flag);
+        }
+      }
+    }
+    const xs = readCoordinates(data, offset, flags, X_SHORT, X_SAME_OR_POSITIVE);
+    const ys = readCoordinates(data, xs.offset, flags, Y_SHORT, Y_SAME_OR_POSITIVE);
+
+    const commands = [];
+    let start = 0;
+    endPoints.forEach(end => {
+      const points = [];
+      for (let i = start; i <= end; i++) {
+        points.push({ x: xs.values[i], y: ys.values[i], onCurve: (flags[i] & ON_CURVE) !== 0 });
+      }
+      commands.push(...contourToPath(points));
+      start = end + 1;
+    });
+    return commands;
+  };
+
+  // `visited` counts the components drawn so far for the outermost glyph
+  const readGlyph = (glyphId, depth, visited) => {
+    const data = getRange(glyphId);
+    if (!data) {
+      return [];
+    }
+    const contourCount = data.readInt16BE(0);
+    if (contourCount >= 0) {
+      return readSimple(data, contourCount);
+    }
+    if (depth >= MAX_COMPONENT_DEPTH) {
+      throw new SfntError('Composite glyphs nest too deeply');
+    }
+
+    const commands = [];
+    let offset = 10;
+    let flags;
+    do {
+      flags = data.readUInt16BE(offset);
+      const componentId = data.readUInt16BE(offset + 2);
+      offset += 4;
+      if (++visited.count > MAX_COMPONENTS_PER_GLYPH) {
+        throw new SfntError('Composite glyph has too many components');
+      }
+      let arg1;
+      let arg2;
+      if (flags & ARGS_ARE_WORDS) {
+        arg1 = data.readInt16BE(offset);
+        arg2 = data.readInt16BE(offset + 2);
+        offset += 4;
+      } else {
+        arg1 = data.readInt8(offset);
+        arg2 = data.readInt8(offset + 1);
+        offset += 2;
+      }
+      let matrix = [1, 0, 0, 1];
+      if (flags & HAVE_SCALE) {
+        const scale = readF2Dot14(data, offset);
+        matrix = [scale, 0, 0, scale];
+        offset += 2;
+      } else if (flags & HAVE_XY_SCALE) {
+        matrix = [readF2Dot14(data, offset), 0, 0, readF2Dot14(data, offset + 2)];
+        offset += 4;
+      } else if (flags & HAVE_TWO_BY_TWO) {
+        matrix = [0, 2, 4, 6].map(delta => readF2Dot14(data, offset + delta));
+        offset += 8;
+      }
+      // Components positioned by matching point numbers are rare; they are
+      // drawn unshifted rather than resolving the points
+      const [dx, dy] = flags & ARGS_ARE_XY_VALUES ? [arg1, arg2] : [0, 0];
+      commands.push(...transformPath(readGlyph(componentId, depth + 1, visited), [...matrix, dx, dy]));
+    } while (flags & MORE_COMPONENTS);
+    return commands;
+  };
+
+  return (glyphId) => readGlyph(glyphId, 0, { count: 0 });
+}
+
+// Returns glyphId => advance width in font units
+function readAdvances(font) {
+  const hhea = getTableData(font, 'hhea');
+  const hmtx = getTableData(font, 'hmtx');
+  if (!hhea || !hmtx) {
+    throw new SfntError("Font has no 'hhea' or 'hmtx' table");
+  }
+  const metricCount = Math.min(hhea.readUInt16BE(34), hmtx.length >> 2);
+  // Glyphs past the last long metric share its advance
+  return (glyphId) => {
+    if (metricCount === 0) return 0;
+    const index = Math.min(Math.max(glyphId, 0), metricCount - 1);
+    return hmtx.readUInt16BE(index * 4);
+  };
+}
+
+// Horizontal format 0 pairs from a Microsoft-style (version 0) kern table,
+// keyed by (left << 16) | right. Apple's version 1 tables are ignored.
+function readKerningPairs(table) {
+  const pairs = new Map();
+  if (!table || table.length < 4 || table.readUInt16BE(0) !== 0) {
+    return pairs;
+  }
+  const subtableCount = table.readUInt16BE(2);
+  let offset = 4;
+  for (let i = 0; i < subtableCount && offset + 6 <= table.length; i++) {
+    const length = table.readUInt16BE(offset + 2);
+    const coverage = table.readUInt16BE(offset + 4);
+    const format = coverage >> 8;
+    // Bit 0: horizontal, bit 1: minimum values, bit 2: cross-stream
+    if (format === 0 && (coverage & 0x07) === 0x01) {
+      const pairCount = table.readUInt16BE(offset + 6);
+      for (let p = 0; p < pairCount; p++) {
+        const pair = offset + 14 + p * 6;
+        if (pair + 6 > table.length) break;
+        const key = table.readUInt16BE(pair) * 0x10000 + table.readUInt16BE(pair + 2);
+        pairs.set(key, (pairs.get(key) || 0) + table.readInt16BE(pair + 4));
+      }
+    }
+    offset += length || table.length;
+  }
+  return pairs;
+}
+
+/**
+ * Opens a font buffer in any supported format for drawing text. Returns
+ * { unitsPerEm, ascender, descender, lineGap, getGlyphId(codepoint),
+ * getAdvance(glyphId), getKerning(left, right), getPath(glyphId) }, where
+ * paths are lists of commands in font units with y pointing up:
+ * ['M', x, y], ['L', x, y], ['Q', cx, cy, x, y], ['C', ...] and ['Z'].
+ * Unmapped code points give glyph 0 (.notdef). Throws SfntError when the
+ * font has no outlines this module can read.
+ */
+function readGlyphSet(buffer) {
+  const font = readFontTables(buffer);
+  const head = getTableData(font, 'head');
+  const hhea = getTableData(font, 'hhea');
+  const maxp = getTableData(font, 'maxp');
+  const cmap = getTableData(font, 'cmap');
+  if (!head || !hhea || !maxp || !cmap) {
+    throw new SfntError('Font is missing one of the head, hhea, maxp or cmap tables');
+  }
+
+  try {
+    const glyphCount = maxp.readUInt16BE(4);
+    const glyphIds = parseCmapGlyphs(cmap);
+    const getAdvance = readAdvances(font);
+    const kerning = readKerningPairs(getTableData(font, 'kern'));
+
+    let readPath;
+    if (font.tables['CFF ']) {
+      const cff = getTableData(font, 'CFF ');
+      readPath = cff ? parseCffTable(cff).getPath : null;
+    } else if (font.tables.CFF2) {
+      throw new SfntError('CFF2 outlines are not supported');
+    } else {
+      readPath = readGlyfOutlines(font, glyphCount);
+    }
+    if (!readPath) {
+      throw new SfntError('Glyph outlines are not available');
+    }
+
+    const paths = new Map();
+    return {
+      unitsPerEm: parseHeadTable(head).unitsPerEm || 1000,
+      ascender: hhea.readInt16BE(4),
+      descender: hhea.readInt16BE(6),
+      lineGap: hhea.readInt16BE(8),
+      getGlyphId: (codepoint) => glyphIds.get(codepoint) || 0,
+      getAdvance,
+      getKerning: (left, right) => kerning.get(left * 0x10000 + right) || 0,
+      getPath(glyphId) {
+        if (!paths.has(glyphId)) {
+          try {
+            paths.set(glyphId, readPath(glyphId));
+          } catch (error) {
+            throw error instanceof SfntError ? error : new SfntError(`Glyph ${glyphId} is malformed: ${error.message}`);
+          }
+        }
+        return paths.get(glyphId);
+      }
+    };
+  } catch (error) {
+    if (error instanceof SfntError) {
+      throw error;
+    }
+    throw new SfntError(`Glyph data is malformed: ${error.message}`);
+  }
+}
+
+module.exports = {
+  readAdvances,
+  readGlyphSet
+};
@@ -0,0 +1,196 @@
+// License checks for font records (as returned by FontService). Two sources
+// feed them: what the font file declares, i.e. the OS/2 fsType embedding
+// bits and the license description and URL from the name table, and the
+// license record kept for the font in the catalog. A font is restricted
+// when either says it may not be used on the web; recording an override
+// for the font lets it be used anyway.
+
+// Usage the license record can allow
+const LICENSE_MEDIA = ['web', 'desktop', 'app', 'ebook', 'video'];
+
+const MAX_LICENSEE_LENGTH = 200;
+const MAX_NOTES_LENGTH = 2000;
+const MAX_OVERRIDE_REASON_LENGTH = 500;
+
+// fsType bits 0-3 give the embedding level, bit 8 forbids subsetting and
+// bit 9 only allows bitmaps to be embedded
+const FS_TYPE_RESTRICTED = 0x0002;
+const FS_TYPE_PREVIEW_AND_PRINT = 0x0004;
+const FS_TYPE_EDITABLE = 0x0008;
+const FS_TYPE_NO_SUBSETTING = 0x0100;
+const FS_TYPE_BITMAP_ONLY = 0x0200;
+
+// Worst first; a group takes the status of its worst font
+const STATUS_ORDER = ['restricted', 'unknown', 'overridden', 'ok'];
+
+class LicenseError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'LicenseError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Interprets an OS/2 fsType value as { fsType, level, noSubsetting,
+ * bitmapOnly }, where level is 'installable', 'restricted', 'preview' or
+ * 'editable'. Fonts that set several level bits get the least restrictive
+ * one, as the OpenType spec asks. Returns null without an fsType.
+ */
+function describeEmbedding(fsType) {
+  if (fsType === null || fsType === undefined) {
+    return null;
+  }
+  let level = 'installable';
+  if (fsType & FS_TYPE_EDITABLE) {
+    level = 'editable';
+  } else if (fsType & FS_TYPE_PREVIEW_AND_PRINT) {
+    level = 'preview';
+  } else if (fsType & FS_TYPE_RESTRICTED) {
+    level = 'restricted';
+  }
+  return {
+    fsType,
+    level,
+    noSubsetting: Boolean(fsType & FS_TYPE_NO_SUBSETTING),
+    bitmapOnly: Boolean(fsType & FS_TYPE_BITMAP_ONLY)
+  };
+}
+
+function optionalString(input, field, maxLength) {
+  const value = input[field];
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value !== 'string') {
+    throw new LicenseError(`${field} must be a string`);
+  }
+  if (value.length > maxLength) {
+    throw new LicenseError(`${field} can be at most ${maxLength} characters`);
+  }
+  return value.trim() || null;
+}
+
+/**
+ * Validates a license record as sent by a client and returns it normalised:
+ * { licensee, seats, expiresAt, media, notes }. seats is a positive integer,
+ * expiresAt a YYYY-MM-DD date and media a list of LICENSE_MEDIA; every
+ * field may be null (media: empty) when unknown. Throws LicenseError.
+ */
+function normalizeLicenseRecord(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new LicenseError('License record must be an object');
+  }
+  const unknown = Object.keys(input).filter(field => !['licensee', 'seats', 'expiresAt', 'media', 'notes'].includes(field));
+  if (unknown.length > 0) {
+    throw new LicenseError(`License record has unknown fields: ${unknown.join(', ')}`);
+  }
+
+  const seats = input.seats === undefined ? null : input.seats;
+  if (seats !== null && (!Number.isInteger(seats) || seats < 1)) {
+    throw new LicenseError('seats must be a positive whole number');
+  }
+
+  const expiresAt = optionalString(input, 'expiresAt', 10);
+  if (expiresAt !== null && (!/^\d{4}-\d{2}-\d{2}$/.test(expiresAt) || Number.isNaN(Date.parse(expiresAt)))) {
+    throw new LicenseError('expiresAt must be a date in the form YYYY-MM-DD');
+  }
+
+  const media = input.media === undefined || input.media === null ? [] : input.media;
+  if (!Array.isArray(media) || media.some(item => !LICENSE_MEDIA.includes(item))) {
+    throw new LicenseError(`media must be a list of: ${LICENSE_MEDIA.join(', ')}`);
+  }
+
+  return {
+    licensee: optionalString(input, 'licensee', MAX_LICENSEE_LENGTH),
+    seats,
+    expiresAt,
+    media: LICENSE_MEDIA.filter(item => media.includes(item)),
+    notes: optionalString(input, 'notes', MAX_NOTES_LENGTH)
+  };
+}
+
+// The override's reason, which is required so the decision can be audited later
+function normalizeOverrideReason(input) {
+  const reason = input && typeof input.reason === 'string' ? input.reason.trim() : '';
+  if (!reason) {
+    throw new LicenseError('An override needs a reason');
+  }
+  if (reason.length > MAX_OVERRIDE_REASON_LENGTH) {
+    throw new LicenseError(`reason can be at most ${MAX_OVERRIDE_REASON_LENGTH} characters`);
+  }
+  return reason;
+}
+
+/**
+ * Works out whether a font may be used on the web. `font` is a font record
+ * with `embedding`, `license`, `licenseUrl`, `licenseRecord`,
+ * `licenseDocument` and `licenseOverride`. Returns { status, problems,
+ * warnings }: problems are the reasons the font is restricted and warnings
+ * do not block anything. status is 'restricted', 'overridden' (restricted,
+ * but an override is recorded), 'unknown' (nothing says what the license
+ * is) or 'ok'. Expiry is checked against `now`.
+ */
+function getLicenseStatus(font, now = new Date()) {
+  const problems = [];
+  const warnings = [];
+  const embedding = font.embedding;
+  const record = font.licenseRecord;
+
+  if (embedding && embedding.level === 'restricted') {
+    problems.push('The font file does not allow embedding (fsType restricted license)');
+  }
+  if (record && record.media.length > 0 && !record.media.includes('web')) {
+    problems.push(`Licensed for ${record.media.join(', ')} use only, not web`);
+  }
+  if (record && record.expiresAt && record.expiresAt < now.toISOString().slice(0, 10)) {
+    problems.push(`License expired on ${record.expiresAt}`);
+  }
+
+  if (embedding && embedding.noSubsetting) {
+    warnings.push('The font file does not allow subsetting');
+  }
+  if (embedding && embedding.bitmapOnly) {
+    warnings.push('The font file only allows bitmaps to be embedded');
+  }
+  const hasLicenseInfo = Boolean(font.license || font.licenseUrl || record || font.licenseDocument);
+  if (!hasLicenseInfo) {
+    warnings.push('No license information in the font file or on record');
+  }
+
+  let status = 'ok';
+  if (problems.length > 0) {
+    status = font.licenseOverride ? 'overridden' : 'restricted';
+  } else if (!hasLicenseInfo) {
+    status = 'unknown';
+  }
+  return { status, problems, warnings };
+}
+
+/**
+ * Combines the license statuses of a group's fonts. Returns { status,
+ * fonts }, with status the worst of the fonts' (see STATUS_ORDER) and fonts
+ * listing { fontId, name, status, problems, warnings } for each font.
+ */
+function summarizeLicenses(fonts) {
+  const entries = fonts.map(font => ({
+    fontId: font.id,
+    name: font.name,
+    ...font.licenseStatus
+  }));
+  const worst = entries.reduce(
+    (current, entry) => Math.min(current, STATUS_ORDER.indexOf(entry.status)),
+    STATUS_ORDER.length - 1
+  );
+  return { status: STATUS_ORDER[worst], fonts: entries };
+}
+
+module.exports = {
+  LICENSE_MEDIA,
+  LicenseError,
+  describeEmbedding,
+  normalizeLicenseRecord,
+  normalizeOverrideReason,
+  getLicenseStatus,
+  summarizeLicenses
+};
@@ -0,0 +1,188 @@
+// Sorting, filtering and cursor pagination for list endpoints. Lists are
+// sorted in memory and paged with keyset cursors: a cursor holds the sort
+// value and ID of the last item returned, so the next page starts right
+// after it even if items were added or removed in between.
+
+const MAX_LIMIT = 200;
+
+class ListQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ListQueryError';
+    this.statusCode = 400;
+  }
+}
+
+// A query parameter that may only be given once, or undefined
+function getSingle(query, name) {
+  const value = query[name];
+  if (Array.isArray(value)) {
+    throw new ListQueryError(`${name} may only be given once`);
+  }
+  return value === '' ? undefined : value;
+}
+
+// Repeated and comma-separated values, e.g. format=ttf,otf&format=woff
+function parseList(query, name) {
+  const value = query[name];
+  if (value === undefined) {
+    return null;
+  }
+  const values = [].concat(value).flatMap(item => item.split(',')).map(item => item.trim()).filter(Boolean);
+  return values.length > 0 ? values : null;
+}
+
+function parseBoolean(query, name) {
+  const value = getSingle(query, name);
+  if (value === undefined) {
+    return null;
+  }
+  if (value !== 'true' && value !== 'false') {
+    throw new ListQueryError(`${name} must be true or false`);
+  }
+  return value === 'true';
+}
+
+// "400" or an inclusive range such as "300-500"; returns { min, max }
+function parseRange(query, name) {
+  const value = getSingle(query, name);
+  if (value === undefined) {
+    return null;
+  }
+  const match = /^(\d+)(?:-(\d+))?$/.exec(value);
+  if (!match) {
+    throw new ListQueryError(`${name} must be a number or a range such as 300-500`);
+  }
+  const min = Number(match[1]);
+  const max = match[2] === undefined ? min : Number(match[2]);
+  if (min > max) {
+    throw new ListQueryError(`${name} range must start with the smaller number`);
+  }
+  return { min, max };
+}
+
+function parseDate(query, name) {
+  const value = getSingle(query, name);
+  if (value === undefined) {
+    return null;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ListQueryError(`${name} must be a date such as 2024-01-31`);
+  }
+  return date;
+}
+
+function parseLimit(query) {
+  const value = getSingle(query, 'limit');
+  if (value === undefined) {
+    return null;
+  }
+  if (!/^\d+$/.test(value) || Number(value) < 1 || Number(value) > MAX_LIMIT) {
+    throw new ListQueryError(`limit must be a whole number from 1 to ${MAX_LIMIT}`);
+  }
+  return Number(value);
+}
+
+function encodeCursor(key) {
+  return Buffer.from(JSON.stringify(key)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Array.isArray(key) && key.length === 2) {
+      return key;
+    }
+  } catch (error) {
+    // Reported below
+  }
+  throw new ListQueryError('cursor is not valid; start again from the first page');
+}
+
+// Missing values sort before everything else
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  return a < b ? -1 : 1;
+}
+
+// Keys are [sortValue, id]; the ID breaks ties so the order is total
+function compareKeys(a, b) {
+  return compareValues(a[0], b[0]) || compareValues(a[1], b[1]);
+}
+
+/**
+ * Sorts and pages `items` according to the `sort`, `order`, `limit` and
+ * `cursor` query parameters. `sortFields` maps each allowed sort name to a
+ * function returning the value to sort by. Without a limit every item after
+ * the cursor is returned.
+ *
+ * Returns `{ items, total, limit, nextCursor, sort, order }`, where `total`
+ * counts all of `items` and `nextCursor` is null on the last page.
+ *
+ * Instead of a cursor, `anchor` may name the ID of an item: the result is
+ * then the page (of `limit` items, counted from the start) that contains
+ * it, and `pageCursors` lists the cursor of every page up to and including
+ * that one, so a client can still step back through the earlier pages.
+ */
+function paginate(items, query, { sortFields, defaultSort }) {
+  const sort = getSingle(query, 'sort') || defaultSort;
+  if (!sortFields[sort]) {
+    throw new ListQueryError(`sort must be one of: ${Object.keys(sortFields).join(', ')}`);
+  }
+  const order = getSingle(query, 'order') || 'asc';
+  if (order !== 'asc' && order !== 'desc') {
+    throw new ListQueryError('order must be asc or desc');
+  }
+  const limit = parseLimit(query);
+  const cursor = getSingle(query, 'cursor');
+  const anchor = getSingle(query, 'anchor');
+  if (cursor && anchor) {
+    throw new ListQueryError('cursor and anchor cannot be combined');
+  }
+  const direction = order === 'desc' ? -1 : 1;
+
+  const keyed = items
+    .map(item => ({ item, key: [sortFields[sort](item), item.id] }))
+    .sort((a, b) => compareKeys(a.key, b.key) * direction);
+
+  let start = 0;
+  if (cursor) {
+    const after = decodeCursor(cursor);
+    start = keyed.findIndex(entry => compareKeys(entry.key, after) * direction > 0);
+    if (start === -1) start = keyed.length;
+  }
+  let pageCursors;
+  if (anchor) {
+    const index = keyed.findIndex(entry => entry.item.id === anchor);
+    start = index === -1 || limit === null ? 0 : index - (index % limit);
+    pageCursors = [null];
+    for (let pageStart = limit; limit !== null && pageStart <= start; pageStart += limit) {
+      pageCursors.push(encodeCursor(keyed[pageStart - 1].key));
+    }
+  }
+  const end = limit === null ? keyed.length : Math.min(start + limit, keyed.length);
+  const page = keyed.slice(start, end);
+
+  return {
+    items: page.map(entry => entry.item),
+    total: items.length,
+    limit,
+    nextCursor: end < keyed.length && page.length > 0 ? encodeCursor(page[page.length - 1].key) : null,
+    sort,
+    order,
+    ...(pageCursors ? { pageCursors } : {})
+  };
+}
+
+module.exports = {
+  MAX_LIMIT,
+  ListQueryError,
+  parseList,
+  parseBoolean,
+  parseRange,
+  parseDate,
+  paginate
+};
@@ -0,0 +1,197 @@
+const { SfntError, readFontTables, getTableData, parseHeadTable, parseOS2Table, parseCmapGlyphs } = require('./sfnt');
+const { readAdvances, readGlyphSet } = require('./glyphs');
+
+// Vertical metrics and average widths of fonts, and the @font-face
+// overrides that make a local system font take up the same space. A
+// fallback adjusted this way keeps text from jumping when the web font
+// finishes loading.
+
+const USE_TYPO_METRICS = 0x0080; // fsSelection bit 7
+
+// Relative frequency of the lowercase letters and space in English text.
+// Average widths are weighted by it, so they describe running text rather
+// than every glyph in the font.
+const CHARACTER_WEIGHTS = {
+  ' ': 0.1818, a: 0.0668, b: 0.0122, c: 0.0228, d: 0.0348, e: 0.1039, f: 0.0182, g: 0.0165,
+  h: 0.0499, i: 0.057, j: 0.0013, k: 0.0063, l: 0.0329, m: 0.0197, n: 0.0552, o: 0.0614,
+  p: 0.0158, q: 0.0008, r: 0.0489, s: 0.0518, t: 0.0741, u: 0.0226, v: 0.008, w: 0.0193,
+  x: 0.0012, y: 0.0162, z: 0.0006
+};
+
+// Published metrics of the fonts that ship with Windows and macOS, with
+// average widths weighted as above
+const FALLBACK_FONTS = {
+  arial: {
+    name: 'Arial',
+    generic: 'sans-serif',
+    unitsPerEm: 2048,
+    ascender: 1854,
+    descender: -434,
+    lineGap: 67,
+    averageWidth: 904
+  },
+  'times-new-roman': {
+    name: 'Times New Roman',
+    generic: 'serif',
+    unitsPerEm: 2048,
+    ascender: 1825,
+    descender: -443,
+    lineGap: 87,
+    averageWidth: 819
+  },
+  'courier-new': {
+    name: 'Courier New',
+    generic: 'monospace',
+    unitsPerEm: 2048,
+    ascender: 1705,
+    descender: -615,
+    lineGap: 0,
+    averageWidth: 1229
+  }
+};
+
+function getWeightedAverageWidth(glyphIds, getAdvance) {
+  let total = 0;
+  let weights = 0;
+  Object.entries(CHARACTER_WEIGHTS).forEach(([character, weight]) => {
+    const glyphId = glyphIds.get(character.codePointAt(0));
+    if (glyphId) {
+      total += getAdvance(glyphId) * weight;
+      weights += weight;
+    }
+  });
+  // Fonts without most of these letters (icons, symbols) have no useful
+  // average for running text
+  return weights >= 0.5 ? Math.round(total / weights) : null;
+}
+
+// Top of the tallest outline among `characters`, for fonts whose OS/2
+// table predates the x-height and cap height fields
+function measureHeight(glyphSet, characters) {
+  if (!glyphSet) {
+    return null;
+  }
+  let top = null;
+  Array.from(characters).forEach(character => {
+    const glyphId = glyphSet.getGlyphId(character.codePointAt(0));
+    if (!glyphId) return;
+    glyphSet.getPath(glyphId).forEach(([, ...coords]) => {
+      for (let i = 1; i < coords.length; i += 2) {
+        top = top === null ? coords[i] : Math.max(top, coords[i]);
+      }
+    });
+  });
+  return top;
+}
+
+/**
+ * Reads a font's metrics, all in font units:
+ * { unitsPerEm, ascender, descender, lineGap, xHeight, capHeight,
+ *   averageWidth, xAvgCharWidth, useTypoMetrics, hhea, typo, win }.
+ * ascender/descender/lineGap are the values browsers lay lines out with:
+ * the OS/2 typographic metrics when the font sets USE_TYPO_METRICS, hhea
+ * otherwise. descender is negative. Fields the font lacks are null.
+ */
+function readFontMetrics(buffer) {
+  const font = readFontTables(buffer);
+  const head = getTableData(font, 'head');
+  const hhea = getTableData(font, 'hhea');
+  const cmap = getTableData(font, 'cmap');
+  if (!head || !hhea || !cmap) {
+    throw new SfntError('Font is missing one of the head, hhea or cmap tables');
+  }
+
+  try {
+    const os2Table = getTableData(font, 'OS/2');
+    const os2 = os2Table ? parseOS2Table(os2Table) : null;
+    const hheaMetrics = {
+      ascender: hhea.readInt16BE(4),
+      descender: hhea.readInt16BE(6),
+      lineGap: hhea.readInt16BE(8)
+    };
+    const typo = os2 && os2.sTypoAscender !== null
+      ? { ascender: os2.sTypoAscender, descender: os2.sTypoDescender, lineGap: os2.sTypoLineGap }
+      : null;
+    const win = os2 && os2.usWinAscent !== null ? { ascent: os2.usWinAscent, descent: os2.usWinDescent } : null;
+    const useTypoMetrics = Boolean(typo && os2.fsSelection & USE_TYPO_METRICS);
+
+    let xHeight = os2 && os2.sxHeight ? os2.sxHeight : null;
+    let capHeight = os2 && os2.sCapHeight ? os2.sCapHeight : null;
+    if (xHeight === null || capHeight === null) {
+      let glyphSet = null;
+      try {
+        glyphSet = readGlyphSet(buffer);
+      } catch (error) {
+        // No readable outlines; the heights stay unknown
+      }
+      xHeight = xHeight === null ? measureHeight(glyphSet, 'x') : xHeight;
+      capHeight = capHeight === null ? measureHeight(glyphSet, 'H') : capHeight;
+    }
+
+    return {
+      unitsPerEm: parseHeadTable(head).unitsPerEm,
+      ...(useTypoMetrics ? typo : hheaMetrics),
+      xHeight,
+      capHeight,
+      averageWidth: getWeightedAverageWidth(parseCmapGlyphs(cmap), readAdvances(font)),
+      xAvgCharWidth: os2 ? os2.xAvgCharWidth : null,
+      useTypoMetrics,
+      hhea: hheaMetrics,
+      typo,
+      win
+    };
+  } catch (error) {
+    if (error instanceof SfntError) {
+      throw error;
+    }
+    throw new SfntError(`Metrics tables are malformed: ${error.message}`);
+  }
+}
+
+// Percentages with two decimals, as used in @font-face descriptors
+function toPercent(value) {
+  return Math.round(value * 10000) / 100;
+}
+
+/**
+ * The @font-face overrides that make `fallback` (a FALLBACK_FONTS entry)
+ * match a font's metrics: { sizeAdjust, ascentOverride, descentOverride,
+ * lineGapOverride }, each a percentage. size-adjust scales the fallback so
+ * its average width matches; the overrides are then expressed against the
+ * adjusted size. Without an average width the size is left alone.
+ */
+function computeFallbackOverrides(metrics, fallback) {
+  const sizeAdjust = metrics.averageWidth
+    ? (metrics.averageWidth / metrics.unitsPerEm) / (fallback.averageWidth / fallback.unitsPerEm)
+    : 1;
+  const scaled = metrics.unitsPerEm * sizeAdjust;
+  return {
+    sizeAdjust: toPercent(sizeAdjust),
+    ascentOverride: toPercent(metrics.ascender / scaled),
+    descentOverride: toPercent(Math.abs(metrics.descender) / scaled),
+    lineGapOverride: toPercent(Math.max(0, metrics.lineGap) / scaled)
+  };
+}
+
+/**
+ * Picks the system font closest in kind to a font record: Courier New for
+ * monospaced fonts, Times New Roman for serifs and Arial for the rest.
+ * Returns a FALLBACK_FONTS key.
+ */
+function pickFallbackFont(font) {
+  const tags = [...(font.tags || []), ...(font.suggestedTags || [])].map(tag => String(tag).toLowerCase());
+  if (font.isFixedPitch || tags.includes('mono') || tags.includes('monospace')) {
+    return 'courier-new';
+  }
+  if (tags.includes('serif')) {
+    return 'times-new-roman';
+  }
+  return 'arial';
+}
+
+module.exports = {
+  FALLBACK_FONTS,
+  readFontMetrics,
+  computeFallbackOverrides,
+  pickFallbackFont
+};
@@ -0,0 +1,125 @@
+const { HttpError, sendJson } = require('./router');
+
+const DEFAULT_JSON_LIMIT = 1024 * 1024; // 1MB
+
+// Logs one line per request once the response has been sent
+function requestLogger({ log = console.log } = {}) {
+  return async (req, res, next) => {
+    const start = process.hrtime.bigint();
+    res.on('finish', () => {
+      const ms = Number(process.hrtime.bigint() - start) / 1e6;
+      log(`${req.method} ${req.url} ${res.statusCode} ${ms.toFixed(1)}ms`);
+    });
+    await next();
+  };
+}
+
+// Sets CORS headers on every response and answers preflight requests
+function cors({ origin = '*', methods = [], allowedHeaders = [], exposedHeaders = [] } = {}) {
+  return async (req, res, next) => {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Methods', methods.join(', '));
+    res.setHeader('Access-Control-Allow-Headers', allowedHeaders.join(', '));
+    if (exposedHeaders.length > 0) {
+      res.setHeader('Access-Control-Expose-Headers', exposedHeaders.join(', '));
+    }
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+    await next();
+  };
+}
+
+/**
+ * Turns errors thrown further down the chain into JSON responses. Errors
+ * with a `statusCode` below 500 (HttpError, MultipartError, ZipError and
+ * so on) are client errors and their message is passed on; anything else is
+ * logged and answered with a generic 500.
+ */
+function errorHandler() {
+  return async (req, res, next) => {
+    try {
+      await next();
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      if (statusCode >= 500) {
+        console.error(`Error handling ${req.method} ${req.url}:`, error);
+      }
+      if (res.headersSent) {
+        // Too late for an error response; a cut-off body is the only signal left
+        res.destroy(error);
+        return;
+      }
+      sendJson(res, statusCode, {
+        error: statusCode >= 500 ? 'Internal server error' : error.message,
+        ...error.body
+      }, error.headers);
+    }
+  };
+}
+
+// Reads the request body as JSON into `req.body`. An empty body becomes {};
+// anything but a JSON object (null, numbers, arrays...) is refused with a 400.
+function jsonBody({ limit = DEFAULT_JSON_LIMIT } = {}) {
+  return async (req, res, next) => {
+    req.body = await readJsonBody(req, limit);
+    await next();
+  };
+}
+
+function readJsonBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = () => new HttpError(413, `Request body must not exceed ${limit} bytes`);
+    if (Number(req.headers['content-length']) > limit) {
+      req.resume();
+      reject(tooLarge());
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    let failed = false;
+    req.on('data', (chunk) => {
+      if (failed) return;
+      size += chunk.length;
+      if (size > limit) {
+        // Keep draining so the connection can still carry the 413
+        failed = true;
+        chunks.length = 0;
+        reject(tooLarge());
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (failed) return;
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!text.trim()) {
+        resolve({});
+        return;
+      }
+      let body;
+      try {
+        body = JSON.parse(text);
+      } catch (error) {
+        reject(new HttpError(400, 'Request body must be valid JSON'));
+        return;
+      }
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        reject(new HttpError(400, 'Request body must be a JSON object'));
+        return;
+      }
+      resolve(body);
+    });
+    req.on('error', reject);
+  });
+}
+
+module.exports = {
+  requestLogger,
+  cors,
+  errorHandler,
+  jsonBody
+};
@@ -0,0 +1,280 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Streaming multipart/form-data parser. File parts are written straight to
+// temporary files on disk as they arrive, so the request is never buffered
+// as a whole and binary content is kept byte-for-byte.
+
+const EMPTY = Buffer.alloc(0);
+const HEADER_END = Buffer.from('\r\n\r\n');
+const MAX_HEADER_SIZE = 16 * 1024;
+
+class MultipartError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'MultipartError';
+    this.statusCode = statusCode;
+  }
+}
+
+function getBoundary(contentType) {
+  if (!contentType || !/^multipart\/form-data/i.test(contentType)) {
+    return null;
+  }
+  const match = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+  return match ? (match[1] || match[2]).trim() : null;
+}
+
+function parseHeaderParams(value) {
+  const params = {};
+  const regex = /;\s*([^=;\s]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;]*))/g;
+  let match;
+  while ((match = regex.exec(value)) !== null) {
+    const raw = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3].trim();
+    params[match[1].toLowerCase()] = raw;
+  }
+  return params;
+}
+
+function parsePartHeaders(text) {
+  const headers = {};
+  text.split('\r\n').forEach(line => {
+    const colon = line.indexOf(':');
+    if (colon > 0) {
+      headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    }
+  });
+
+  const disposition = parseHeaderParams(headers['content-disposition'] || '');
+  let filename = disposition.filename;
+  if (disposition['filename*']) {
+    const encoded = disposition['filename*'].match(/^[^']*'[^']*'(.*)$/);
+    try {
+      filename = decodeURIComponent(encoded ? encoded[1] : disposition['filename*']);
+    } catch (error) {
+      // Keep the plain filename parameter if the extended one is malformed
+    }
+  }
+
+  return {
+    fieldname: disposition.name || '',
+    filename: filename !== undefined ? filename : null,
+    mimetype: headers['content-type'] || 'application/octet-stream'
+  };
+}
+
+function removeFile(filePath) {
+  fs.unlink(filePath, () => {});
+}
+
+/**
+ * Parses a multipart/form-data request body.
+ *
+ * Options:
+ *   boundary     - boundary string from the Content-Type header (required)
+ *   uploadDir    - directory temporary files are written to (required)
+ *   maxFileSize  - per-part byte limit for file parts (default 10MB)
+ *   maxFiles     - maximum number of accepted file parts (default 20)
+ *   maxFieldSize - byte limit for each plain form field (default 64KB)
+ *   fileFilter   - ({ fieldname, filename, mimetype }) => boolean; parts it
+ *                  rejects are skipped without touching the disk
+ *
+ * Resolves with `{ fields, files }`, where each file is
+ * `{ fieldname, originalname, mimetype, size, hash, path }`. `hash` is the
+ * hex SHA-256 of the content and `path` points at the temporary file.
+ * Callers own the temporary files from then on. On error every temporary
+ * file written so far is removed and the promise rejects with a
+ * MultipartError carrying an HTTP status code.
+ */
+function parseMultipart(req, options) {
+  const {
+    boundary,
+    uploadDir,
+    maxFileSize = 10 * 1024 * 1024,
+    maxFiles = 20,
+    maxFieldSize = 64 * 1024,
+    fileFilter = () => true
+  } = options;
+
+  return new Promise((resolve, reject) => {
+    const delimiter = Buffer.from(`\r\n--${boundary}`);
+    // The first boundary has no leading CRLF; prefixing one lets a single
+    // delimiter pattern match every boundary in the body.
+    let buffer = Buffer.from('\r\n');
+    let state = 'preamble';
+    let part = null;
+    let finished = false;
+    const fields = {};
+    const files = [];
+    const writes = [];
+
+    const fail = (error) => {
+      if (finished) return;
+      finished = true;
+      if (part && part.stream) {
+        part.stream.destroy();
+        removeFile(part.path);
+      }
+      files.forEach(file => removeFile(file.path));
+      req.resume();
+      reject(error instanceof MultipartError ? error : new MultipartError(error.message, 500));
+    };
+
+    // Pauses the request until the file stream has flushed. A stream that is
+    // ended before it drains only emits 'finish', so listen for both.
+    const waitForStream = (stream) => {
+      if (stream.waiting) return;
+      stream.waiting = true;
+      req.pause();
+      const resume = () => {
+        stream.removeListener('drain', resume);
+        stream.removeListener('finish', resume);
+        stream.waiting = false;
+        req.resume();
+      };
+      stream.on('drain', resume);
+      stream.on('finish', resume);
+    };
+
+    const startPart = (info) => {
+      part = { ...info, size: 0, chunks: [], stream: null, skip: false };
+      if (info.filename === null) {
+        return;
+      }
+      if (!info.filename || !fileFilter(info)) {
+        part.skip = true;
+        return;
+      }
+      if (files.length >= maxFiles) {
+        throw new MultipartError(`Too many files. At most ${maxFiles} files can be uploaded at once.`, 413);
+      }
+      part.path = path.join(uploadDir, `.upload-${crypto.randomBytes(8).toString('hex')}`);
+      part.stream = fs.createWriteStream(part.path);
+      part.hash = crypto.createHash('sha256');
+      part.stream.on('error', fail);
+    };
+
+    const writePart = (chunk) => {
+      if (!part || part.skip || chunk.length === 0) return;
+      part.size += chunk.length;
+
+      if (part.stream) {
+        if (part.size > maxFileSize) {
+          throw new MultipartError(`File "${part.filename}" exceeds the ${maxFileSize} byte limit`, 413);
+        }
+        part.hash.update(chunk);
+        if (!part.stream.write(chunk)) {
+          waitForStream(part.stream);
+        }
+      } else {
+        if (part.size > maxFieldSize) {
+          throw new MultipartError(`Field "${part.fieldname}" exceeds the ${maxFieldSize} byte limit`, 413);
+        }
+        part.chunks.push(chunk);
+      }
+    };
+
+    const endPart = () => {
+      if (!part || part.skip) {
+        part = null;
+        return;
+      }
+      if (part.stream) {
+        const { stream } = part;
+        writes.push(new Promise(done => stream.on('close', done)));
+        stream.end();
+        files.push({
+          fieldname: part.fieldname,
+          originalname: part.filename,
+          mimetype: part.mimetype,
+          size: part.size,
+          hash: part.hash.digest('hex'),
+          path: part.path
+        });
+      } else {
+        fields[part.fieldname] = Buffer.concat(part.chunks).toString('utf8');
+      }
+      part = null;
+    };
+
+    const consume = () => {
+      while (true) {
+        if (state === 'preamble' || state === 'body') {
+          const index = buffer.indexOf(delimiter);
+          if (index === -1) {
+            // Hold back enough bytes to match a delimiter split across chunks
+            const safeLength = buffer.length - (delimiter.length - 1);
+            if (safeLength > 0) {
+              if (state === 'body') writePart(buffer.subarray(0, safeLength));
+              buffer = buffer.subarray(safeLength);
+            }
+            return;
+          }
+          if (state === 'body') {
+            writePart(buffer.subarray(0, index));
+            endPart();
+          }
+          buffer = buffer.subarray(index + delimiter.length);
+          state = 'delimiter';
+        } else if (state === 'delimiter') {
+          if (buffer.length < 2) return;
+          const marker = buffer.toString('latin1', 0, 2);
+          if (marker === '--') {
+            state = 'epilogue';
+          } else if (marker === '\r\n') {
+            state = 'headers';
+          } else {
+            throw new MultipartError('Malformed multipart body');
+          }
+        } else if (state === 'headers') {
+          const index = buffer.indexOf(HEADER_END);
+          if (index === -1) {
+            if (buffer.length > MAX_HEADER_SIZE) {
+              throw new MultipartError('Multipart part headers are too large');
+            }
+            return;
+          }
+          startPart(parsePartHeaders(buffer.toString('utf8', 2, index)));
+          buffer = buffer.subarray(index + HEADER_END.length);
+          state = 'body';
+        } else {
+          buffer = EMPTY;
+          return;
+        }
+      }
+    };
+
+    req.on('data', (chunk) => {
+      if (finished) return;
+      try {
+        buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+        consume();
+      } catch (error) {
+        fail(error);
+      }
+    });
+
+    req.on('end', () => {
+      if (finished) return;
+      if (state !== 'epilogue') {
+        fail(new MultipartError('Unexpected end of multipart body'));
+        return;
+      }
+      Promise.all(writes).then(() => {
+        if (finished) return;
+        finished = true;
+        resolve({ fields, files });
+      });
+    });
+
+    req.on('error', fail);
+    req.on('aborted', () => fail(new MultipartError('Upload aborted by client')));
+  });
+}
+
+module.exports = {
+  MultipartError,
+  getBoundary,
+  parseMultipart
+};
@@ -0,0 +1,320 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { writeFileAtomic, appendFileDurable } = require('./atomicFile');
+
+// Record stores hold the app's JSON records (groups, the font catalog,
+// revisions, quarantine entries) in named collections. Every record has a
+// string `id`. All implementations share this synchronous interface:
+//
+//   getAll(collection)            -> records in insertion order
+//   get(collection, id)           -> record or null
+//   put(collection, record)       -> inserts or replaces by id
+//   delete(collection, id)        -> true if a record was removed
+//   replaceAll(collection, records)
+//
+// Records are copied on the way in and out, so callers can never change
+// stored data by mutating an object they were handed.
+
+const STORE_DRIVERS = ['json', 'log', 'memory'];
+
+class RecordStoreError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RecordStoreError';
+  }
+}
+
+function copy(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function assertRecord(record) {
+  if (!record || typeof record.id !== 'string' || !record.id) {
+    throw new RecordStoreError('Records must have a non-empty string id');
+  }
+}
+
+function assertCollection(collection) {
+  if (!/^[a-z][a-z0-9-]*$/.test(collection)) {
+    throw new RecordStoreError(`Invalid collection name '${collection}'`);
+  }
+}
+
+// Keeps everything in process memory; nothing survives a restart
+class MemoryStore {
+  constructor() {
+    this.collections = new Map();
+  }
+
+  getCollection(collection) {
+    assertCollection(collection);
+    if (!this.collections.has(collection)) {
+      this.collections.set(collection, new Map());
+    }
+    return this.collections.get(collection);
+  }
+
+  getAll(collection) {
+    return Array.from(this.getCollection(collection).values()).map(copy);
+  }
+
+  get(collection, id) {
+    const record = this.getCollection(collection).get(id);
+    return record ? copy(record) : null;
+  }
+
+  put(collection, record) {
+    assertRecord(record);
+    this.getCollection(collection).set(record.id, copy(record));
+    return copy(record);
+  }
+
+  delete(collection, id) {
+    return this.getCollection(collection).delete(id);
+  }
+
+  replaceAll(collection, records) {
+    assertCollection(collection);
+    records.forEach(assertRecord);
+    this.collections.set(collection, new Map(records.map(record => [record.id, copy(record)])));
+  }
+}
+
+// One pretty-printed JSON array per collection, e.g. data/groups.json. This
+// is the layout the app has always used, so existing data files load as-is.
+// Each write replaces the whole file atomically.
+class JsonFileStore {
+  constructor(directory) {
+    this.directory = directory;
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  filePath(collection) {
+    assertCollection(collection);
+    return path.join(this.directory, `${collection}.json`);
+  }
+
+  readCollection(collection) {
+    const filePath = this.filePath(collection);
+    if (!fs.existsSync(filePath)) {
+      return [];
+    }
+    const records = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!Array.isArray(records)) {
+      throw new RecordStoreError(`${filePath} does not contain a JSON array`);
+    }
+    return records;
+  }
+
+  writeCollection(collection, records) {
+    writeFileAtomic(this.filePath(collection), JSON.stringify(records, null, 2));
+  }
+
+  getAll(collection) {
+    return this.readCollection(collection);
+  }
+
+  get(collection, id) {
+    return this.readCollection(collection).find(record => record.id === id) || null;
+  }
+
+  put(collection, record) {
+    assertRecord(record);
+    const records = this.readCollection(collection);
+    const index = records.findIndex(item => item.id === record.id);
+    if (index === -1) {
+      records.push(record);
+    } else {
+      records[index] = record;
+    }
+    this.writeCollection(collection, records);
+    return copy(record);
+  }
+
+  delete(collection, id) {
+    const records = this.readCollection(collection);
+    const remaining = records.filter(record => record.id !== id);
+    if (remaining.length === records.length) {
+      return false;
+    }
+    this.writeCollection(collection, remaining);
+    return true;
+  }
+
+  replaceAll(collection, records) {
+    records.forEach(assertRecord);
+    this.writeCollection(collection, records);
+  }
+}
+
+/**
+ * Append-only log of changes in a single file, one JSON operation per line.
+ * The log is replayed into memory on start-up and every write appends a
+ * line, so a crash can at worst lose the line being written. Once the log
+ * has grown well past the live data it is compacted into one `replace`
+ * operation per collection.
+ */
+class LogStore {
+  constructor(filePath, { compactAfter = 1000 } = {}) {
+    this.filePath = filePath;
+    this.compactAfter = compactAfter;
+    this.memory = new MemoryStore();
+    this.lineCount = 0;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.replay();
+  }
+
+  replay() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n').filter(line => line.trim());
+    lines.forEach((line, index) => {
+      let operation;
+      try {
+        operation = JSON.parse(line);
+      } catch (error) {
+        // Only the last line can be a torn write; anything earlier is corruption
+        if (index === lines.length - 1) {
+          console.error(`Ignoring incomplete last line in ${this.filePath}`);
+          return;
+        }
+        throw new RecordStoreError(`${this.filePath} line ${index + 1} is not valid JSON`);
+      }
+      this.apply(operation);
+    });
+    this.lineCount = lines.length;
+  }
+
+  apply(operation) {
+    if (operation.op === 'put') {
+      this.memory.put(operation.collection, operation.record);
+    } else if (operation.op === 'delete') {
+      this.memory.delete(operation.collection, operation.id);
+    } else if (operation.op === 'replace') {
+      this.memory.replaceAll(operation.collection, operation.records);
+    } else {
+      throw new RecordStoreError(`Unknown log operation '${operation.op}'`);
+    }
+  }
+
+  // Written before it is applied, so memory never runs ahead of the log
+  append(operation) {
+    appendFileDurable(this.filePath, `${JSON.stringify({ ...operation, at: new Date().toISOString() })}\n`);
+    this.apply(operation);
+    this.lineCount++;
+    this.compactIfNeeded();
+  }
+
+  compactIfNeeded() {
+    const liveRecords = Array.from(this.memory.collections.values())
+      .reduce((total, records) => total + records.size, 0);
+    if (this.lineCount > this.compactAfter && this.lineCount > liveRecords * 2) {
+      this.compact();
+    }
+  }
+
+  // Rewrites the log as a snapshot of the current state
+  compact() {
+    const at = new Date().toISOString();
+    const lines = Array.from(this.memory.collections.keys()).map(collection =>
+      JSON.stringify({ op: 'replace', collection, records: this.memory.getAll(collection), at })
+    );
+    writeFileAtomic(this.filePath, lines.length > 0 ? `${lines.join('\n')}\n` : '');
+    this.lineCount = lines.length;
+  }
+
+  getAll(collection) {
+    return this.memory.getAll(collection);
+  }
+
+  get(collection, id) {
+    return this.memory.get(collection, id);
+  }
+
+  put(collection, record) {
+    assertCollection(collection);
+    assertRecord(record);
+    this.append({ op: 'put', collection, record });
+    return copy(record);
+  }
+
+  delete(collection, id) {
+    if (!this.memory.get(collection, id)) {
+      return false;
+    }
+    this.append({ op: 'delete', collection, id });
+    return true;
+  }
+
+  replaceAll(collection, records) {
+    assertCollection(collection);
+    records.forEach(assertRecord);
+    this.append({ op: 'replace', collection, records });
+  }
+}
+
+// Wraps any record store and emits 'change' with the collection name after
+// every write, so in-memory caches built from records know to refresh
+class ObservedRecordStore extends EventEmitter {
+  constructor(store) {
+    super();
+    this.store = store;
+  }
+
+  getAll(collection) {
+    return this.store.getAll(collection);
+  }
+
+  get(collection, id) {
+    return this.store.get(collection, id);
+  }
+
+  put(collection, record) {
+    const stored = this.store.put(collection, record);
+    this.emit('change', collection);
+    return stored;
+  }
+
+  delete(collection, id) {
+    const deleted = this.store.delete(collection, id);
+    if (deleted) {
+      this.emit('change', collection);
+    }
+    return deleted;
+  }
+
+  replaceAll(collection, records) {
+    this.store.replaceAll(collection, records);
+    this.emit('change', collection);
+  }
+}
+
+/**
+ * Creates the record store named by `driver`: 'json' (default) keeps one
+ * file per collection in `directory`, 'log' keeps an append-only log at
+ * `directory/store.log`, and 'memory' keeps nothing on disk.
+ */
+function createRecordStore(driver = 'json', { directory } = {}) {
+  switch (driver) {
+    case 'json':
+      return new JsonFileStore(directory);
+    case 'log':
+      return new LogStore(path.join(directory, 'store.log'));
+    case 'memory':
+      return new MemoryStore();
+    default:
+      throw new RecordStoreError(`Unknown storage driver '${driver}'; expected one of: ${STORE_DRIVERS.join(', ')}`);
+  }
+}
+
+module.exports = {
+  STORE_DRIVERS,
+  RecordStoreError,
+  MemoryStore,
+  JsonFileStore,
+  LogStore,
+  ObservedRecordStore,
+  createRecordStore
+};
@@ -0,0 +1,166 @@
+const { parse } = require('querystring');
+
+// A small router for the plain http server. Middleware and route handlers
+// are `async (req, res, next)` functions run in order: middleware can do
+// work before and after `await next()`, handlers answer the request. Errors
+// thrown (or rejected) anywhere travel back up the chain, so one error
+// middleware can turn them into responses.
+//
+// Before routing, every request gets `req.path` (the URL without its query
+// string) and `req.query` (the parsed query string). A matched route also
+// sets `req.params` from the `:name` segments of its pattern.
+
+class HttpError extends Error {
+  // `body` is merged into the JSON error response and `headers` sent with it
+  constructor(statusCode, message, { body = {}, headers = {} } = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    this.body = body;
+    this.headers = headers;
+  }
+}
+
+function sendJson(res, statusCode, data, headers = {}) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(data));
+}
+
+// Runs `handlers` as one chain; the returned function's own `next` is called
+// after the last handler calls its `next`
+function compose(handlers) {
+  return (req, res, next = () => Promise.resolve()) => {
+    const dispatch = (index) => {
+      const handler = index < handlers.length ? handlers[index] : next;
+      return Promise.resolve(handler(req, res, () => dispatch(index + 1)));
+    };
+    return dispatch(0);
+  };
+}
+
+// '/api/groups/:id/revisions/:rev' -> { regex, names: ['id', 'rev'] }
+function compilePattern(pattern) {
+  const names = [];
+  const source = pattern.split('/').map(segment => {
+    if (segment.startsWith(':')) {
+      names.push(segment.slice(1));
+      return '([^/]+)';
+    }
+    return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }).join('/');
+  return { regex: new RegExp(`^${source}/?$`), names };
+}
+
+function matchPath(route, pathname) {
+  const match = route.regex.exec(pathname);
+  if (!match) {
+    return null;
+  }
+  const params = {};
+  try {
+    route.names.forEach((name, index) => {
+      params[name] = decodeURIComponent(match[index + 1]);
+    });
+  } catch (error) {
+    throw new HttpError(400, 'Malformed URL');
+  }
+  return params;
+}
+
+class Router {
+  constructor() {
+    this.middleware = [];
+    this.routes = [];
+    this.fallback = (req, res) => sendJson(res, 404, { error: 'Not Found' });
+  }
+
+  // Adds middleware that runs for every request, in the order added
+  use(middleware) {
+    this.middleware.push(middleware);
+    return this;
+  }
+
+  // Routes are tried in the order they were added; `handlers` may start
+  // with route-specific middleware such as a body parser
+  route(method, pattern, ...handlers) {
+    this.routes.push({ method, pattern, ...compilePattern(pattern), handler: compose(handlers) });
+    return this;
+  }
+
+  get(pattern, ...handlers) {
+    return this.route('GET', pattern, ...handlers);
+  }
+
+  post(pattern, ...handlers) {
+    return this.route('POST', pattern, ...handlers);
+  }
+
+  put(pattern, ...handlers) {
+    return this.route('PUT', pattern, ...handlers);
+  }
+
+  patch(pattern, ...handlers) {
+    return this.route('PATCH', pattern, ...handlers);
+  }
+
+  delete(pattern, ...handlers) {
+    return this.route('DELETE', pattern, ...handlers);
+  }
+
+  // Handles requests whose path matches no route at all
+  otherwise(handler) {
+    this.fallback = handler;
+    return this;
+  }
+
+  async dispatch(req, res) {
+    let allowed = [];
+    for (const route of this.routes) {
+      const params = matchPath(route, req.path);
+      if (!params) {
+        continue;
+      }
+      if (route.method === req.method) {
+        req.params = params;
+        return route.handler(req, res);
+      }
+      allowed.push(route.method);
+    }
+    if (allowed.length === 0) {
+      return this.fallback(req, res);
+    }
+    allowed = Array.from(new Set([...allowed, 'OPTIONS']));
+    throw new HttpError(405, `Method ${req.method} is not allowed for ${req.path}`, {
+      headers: { Allow: allowed.join(', ') }
+    });
+  }
+
+  async handle(req, res) {
+    const [pathname, queryString = ''] = req.url.split('?');
+    req.path = pathname;
+    req.query = parse(queryString);
+    req.params = {};
+    await compose([...this.middleware, (request, response) => this.dispatch(request, response)])(req, res);
+  }
+
+  // Request listener for http.createServer
+  handler() {
+    return (req, res) => {
+      this.handle(req, res).catch((error) => {
+        // Only reached when no error middleware is installed or it failed itself
+        console.error('Unhandled error:', error);
+        if (res.headersSent) {
+          res.destroy(error);
+        } else {
+          sendJson(res, 500, { error: 'Internal server error' });
+        }
+      });
+    };
+  }
+}
+
+module.exports = {
+  HttpError,
+  Router,
+  sendJson
+};
@@ -0,0 +1,177 @@
+// In-memory inverted index for the library search. Documents are indexed by
+// the terms of their fields; each term points at the documents containing it
+// and the best weight it has in each. Queries match terms exactly, by prefix
+// ("cond" finds "condensed") and by edit distance ("sanss" finds "sans"),
+// and every query term has to match for a document to be returned.
+
+const MATCH_FACTORS = {
+  exact: 1,
+  prefix: 0.7,
+  fuzzy: 0.4
+};
+
+// Lowercases, strips accents and splits on anything that is not a letter or
+// digit. CamelCase words also yield their parts, so "SourceCodePro" can be
+// found as "code".
+function tokenize(text) {
+  if (text === undefined || text === null) {
+    return [];
+  }
+  const words = String(text).normalize('NFKD').replace(/[\u0300-\u036f]/g, '').match(/[\p{L}\p{N}]+/gu) || [];
+  const terms = [];
+  words.forEach(word => {
+    terms.push(word.toLowerCase());
+    const parts = word.match(/\p{Lu}+(?!\p{Ll})|\p{Lu}?\p{Ll}+|\p{N}+/gu) || [];
+    if (parts.length > 1) {
+      parts.forEach(part => terms.push(part.toLowerCase()));
+    }
+  });
+  return terms;
+}
+
+// Optimal string alignment distance, giving up once it exceeds `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    previousRow = row;
+    row = nextRow;
+  }
+  return row[b.length];
+}
+
+// Short terms get no typo tolerance, otherwise nearly everything matches
+function maxTypos(term) {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+}
+
+class SearchIndex {
+  constructor() {
+    this.terms = new Map(); // term -> Map(docId -> { weight, fields })
+    this.documents = new Map(); // docId -> stored document
+  }
+
+  /**
+   * Indexes `document` (any object, returned as-is by search) under `id`.
+   * `fields` is a list of `{ name, text, weight }`; a term found in several
+   * fields keeps its highest weight.
+   */
+  add(id, document, fields) {
+    this.remove(id);
+    this.documents.set(id, document);
+    fields.forEach(({ name, text, weight = 1 }) => {
+      [].concat(text).forEach(value => {
+        tokenize(value).forEach(term => {
+          if (!this.terms.has(term)) {
+            this.terms.set(term, new Map());
+          }
+          const postings = this.terms.get(term);
+          const posting = postings.get(id) || { weight: 0, fields: new Set() };
+          posting.weight = Math.max(posting.weight, weight);
+          posting.fields.add(name);
+          postings.set(id, posting);
+        });
+      });
+    });
+  }
+
+  remove(id) {
+    if (!this.documents.delete(id)) {
+      return;
+    }
+    this.terms.forEach((postings, term) => {
+      postings.delete(id);
+      if (postings.size === 0) {
+        this.terms.delete(term);
+      }
+    });
+  }
+
+  // Indexed terms that `queryTerm` matches, with how they matched
+  findTerms(queryTerm) {
+    const found = [];
+    const typos = maxTypos(queryTerm);
+    this.terms.forEach((postings, term) => {
+      if (term === queryTerm) {
+        found.push({ postings, factor: MATCH_FACTORS.exact });
+      } else if (term.startsWith(queryTerm)) {
+        found.push({ postings, factor: MATCH_FACTORS.prefix });
+      } else if (typos > 0 && editDistance(queryTerm, term, typos) <= typos) {
+        found.push({ postings, factor: MATCH_FACTORS.fuzzy });
+      }
+    });
+    return found;
+  }
+
+  /**
+   * Returns up to `limit` `{ id, document, score, fields }` results, best
+   * first. `fields` names the fields that matched.
+   */
+  search(query, { limit = 20 } = {}) {
+    const queryTerms = Array.from(new Set(tokenize(query)));
+    if (queryTerms.length === 0) {
+      return [];
+    }
+
+    let results = null;
+    for (const queryTerm of queryTerms) {
+      // Best score per document for this query term
+      const termScores = new Map();
+      this.findTerms(queryTerm).forEach(({ postings, factor }) => {
+        postings.forEach((posting, id) => {
+          const score = posting.weight * factor;
+          const current = termScores.get(id);
+          if (!current || score > current.score) {
+            termScores.set(id, { score, fields: posting.fields });
+          }
+        });
+      });
+
+      const next = new Map();
+      termScores.forEach(({ score, fields }, id) => {
+        if (results === null || results.has(id)) {
+          const previous = results ? results.get(id) : { score: 0, fields: new Set() };
+          next.set(id, { score: previous.score + score, fields: new Set([...previous.fields, ...fields]) });
+        }
+      });
+      results = next;
+      if (results.size === 0) {
+        return [];
+      }
+    }
+
+    return Array.from(results, ([id, { score, fields }]) => ({
+      id,
+      document: this.documents.get(id),
+      score: Math.round(score * 1000) / 1000,
+      fields: Array.from(fields)
+    }))
+      .sort((a, b) => b.score - a.score || String(a.id).localeCompare(String(b.id)))
+      .slice(0, limit);
+  }
+}
+
+module.exports = {
+  SearchIndex,
+  tokenize,
+  editDistance
+};
@@ -0,0 +1,498 @@
+const { readWoffTables, readWoff2Tables } = require('./woff');
+
+// Minimal reader for the SFNT container used by TrueType and OpenType fonts,
+// including sfnt data wrapped in WOFF or WOFF2. Only the tables needed to
+// describe a font are decoded; everything else is left as raw table slices
+// for callers that need more.
+
+const SIGNATURES = {
+  0x00010000: 'ttf',
+  0x74727565: 'ttf', // 'true', used by older Apple TrueType fonts
+  0x4F54544F: 'otf', // 'OTTO', CFF outlines
+  0x774F4646: 'woff', // 'wOFF'
+  0x774F4632: 'woff2' // 'wOF2'
+};
+
+const FORMAT_EXTENSIONS = {
+  ttf: '.ttf',
+  otf: '.otf',
+  woff: '.woff',
+  woff2: '.woff2'
+};
+
+const NAME_IDS = {
+  copyright: 0,
+  family: 1,
+  subfamily: 2,
+  fullName: 4,
+  version: 5,
+  manufacturer: 8,
+  designer: 9,
+  licenseDescription: 13,
+  licenseUrl: 14,
+  typographicFamily: 16,
+  typographicSubfamily: 17
+};
+
+class SfntError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SfntError';
+  }
+}
+
+function tagToString(buffer, offset) {
+  return buffer.toString('latin1', offset, offset + 4);
+}
+
+function readTableDirectory(buffer) {
+  if (buffer.length < 12) {
+    throw new SfntError('File is too short to contain an sfnt header');
+  }
+
+  const sfntVersion = buffer.readUInt32BE(0);
+  const numTables = buffer.readUInt16BE(4);
+  if (buffer.length < 12 + numTables * 16) {
+    throw new SfntError('Table directory is truncated');
+  }
+
+  const tables = {};
+  for (let i = 0; i < numTables; i++) {
+    const entry = 12 + i * 16;
+    const tag = tagToString(buffer, entry);
+    tables[tag] = {
+      tag,
+      checksum: buffer.readUInt32BE(entry + 4),
+      offset: buffer.readUInt32BE(entry + 8),
+      length: buffer.readUInt32BE(entry + 12)
+    };
+  }
+
+  return { sfntVersion, numTables, tables };
+}
+
+// Identifies a font format from its first four bytes, or null if unknown
+function detectFormat(buffer) {
+  if (!buffer || buffer.length < 4) {
+    return null;
+  }
+  return SIGNATURES[buffer.readUInt32BE(0)] || null;
+}
+
+/**
+ * Opens a TTF, OTF, WOFF or WOFF2 buffer and returns
+ * `{ format, tables }`, where each table is `{ tag, data, checksum, transformed }`.
+ * `checksum` is the value recorded in the directory (null for WOFF2) and
+ * `transformed` marks WOFF2 tables whose data is not in sfnt layout.
+ */
+function readFontTables(buffer) {
+  const format = detectFormat(buffer);
+
+  if (format === 'woff' || format === 'woff2') {
+    const { tables } = format === 'woff' ? readWoffTables(buffer) : readWoff2Tables(buffer);
+    return { format, tables };
+  }
+  if (!format) {
+    throw new SfntError('Unrecognised font signature');
+  }
+
+  const directory = readTableDirectory(buffer);
+  const tables = {};
+  Object.values(directory.tables).forEach(entry => {
+    if (entry.offset + entry.length > buffer.length) {
+      throw new SfntError(`Table '${entry.tag}' extends past the end of the file`);
+    }
+    tables[entry.tag] = {
+      tag: entry.tag,
+      data: buffer.subarray(entry.offset, entry.offset + entry.length),
+      checksum: entry.checksum,
+      transformed: false
+    };
+  });
+  return { format, tables };
+}
+
+function getTableData(font, tag) {
+  const table = font.tables[tag];
+  return table && !table.transformed ? table.data : null;
+}
+
+function decodeUtf16BE(bytes) {
+  const swapped = Buffer.alloc(bytes.length - (bytes.length % 2));
+  for (let i = 0; i < swapped.length; i += 2) {
+    swapped[i] = bytes[i + 1];
+    swapped[i + 1] = bytes[i];
+  }
+  return swapped.toString('utf16le');
+}
+
+// Lower score wins: Windows English first, then any Windows or Unicode
+// record, then Macintosh Roman as a last resort.
+function nameRecordScore(record) {
+  if (record.platformID === 3 && record.languageID === 0x0409) return 0;
+  if (record.platformID === 3) return 1;
+  if (record.platformID === 0) return 2;
+  if (record.platformID === 1 && record.languageID === 0) return 3;
+  return 4;
+}
+
+function parseNameTable(table) {
+  const count = table.readUInt16BE(2);
+  const stringOffset = table.readUInt16BE(4);
+  const best = {};
+
+  for (let i = 0; i < count; i++) {
+    const recordOffset = 6 + i * 12;
+    if (recordOffset + 12 > table.length) break;
+    const record = {
+      platformID: table.readUInt16BE(recordOffset),
+      encodingID: table.readUInt16BE(recordOffset + 2),
+      languageID: table.readUInt16BE(recordOffset + 4),
+      nameID: table.readUInt16BE(recordOffset + 6),
+      length: table.readUInt16BE(recordOffset + 8),
+      offset: table.readUInt16BE(recordOffset + 10)
+    };
+    const start = stringOffset + record.offset;
+    if (start + record.length > table.length) continue;
+
+    const score = nameRecordScore(record);
+    const current = best[record.nameID];
+    if (current && current.score <= score) continue;
+
+    const bytes = table.subarray(start, start + record.length);
+    // Mac Roman is approximated with latin1, which matches it for ASCII
+    const value = record.platformID === 1 ? bytes.toString('latin1') : decodeUtf16BE(bytes);
+    best[record.nameID] = { score, value: value.replace(/\0/g, '').trim() };
+  }
+
+  const names = {};
+  Object.keys(best).forEach(nameID => {
+    names[nameID] = best[nameID].value;
+  });
+  return names;
+}
+
+function parseHeadTable(table) {
+  return {
+    fontRevision: table.readInt32BE(4) / 65536,
+    unitsPerEm: table.readUInt16BE(18),
+    macStyle: table.readUInt16BE(44)
+  };
+}
+
+// The typographic and Windows metrics are missing from the short version 0
+// tables some old Apple fonts have; x-height and cap height arrived in
+// version 2. Absent fields are null.
+function parseOS2Table(table) {
+  const version = table.readUInt16BE(0);
+  const hasTypoMetrics = table.length >= 78;
+  const hasHeights = version >= 2 && table.length >= 90;
+  return {
+    version,
+    xAvgCharWidth: table.readInt16BE(2),
+    usWeightClass: table.readUInt16BE(4),
+    usWidthClass: table.readUInt16BE(6),
+    fsType: table.readUInt16BE(8),
+    sFamilyClass: table.readInt16BE(30),
+    panose: Array.from(table.subarray(32, 42)),
+    fsSelection: table.readUInt16BE(62),
+    sTypoAscender: hasTypoMetrics ? table.readInt16BE(68) : null,
+    sTypoDescender: hasTypoMetrics ? table.readInt16BE(70) : null,
+    sTypoLineGap: hasTypoMetrics ? table.readInt16BE(72) : null,
+    usWinAscent: hasTypoMetrics ? table.readUInt16BE(74) : null,
+    usWinDescent: hasTypoMetrics ? table.readUInt16BE(76) : null,
+    sxHeight: hasHeights ? table.readInt16BE(86) : null,
+    sCapHeight: hasHeights ? table.readInt16BE(88) : null
+  };
+}
+
+function parsePostTable(table) {
+  return {
+    italicAngle: table.readInt32BE(4) / 65536,
+    isFixedPitch: table.readUInt32BE(12) !== 0
+  };
+}
+
+const MAX_CODEPOINT = 0x10FFFF;
+
+// The first subtable to map a code point wins
+function addGlyph(glyphs, code, glyph) {
+  if (!glyphs.has(code)) {
+    glyphs.set(code, glyph);
+  }
+}
+
+// Adds the code points one cmap subtable maps to a real glyph (not .notdef)
+function readCmapSubtable(table, offset, glyphs) {
+  const format = table.readUInt16BE(offset);
+  if (format === 0) {
+    for (let code = 0; code < 256; code++) {
+      if (table[offset + 6 + code] !== 0) addGlyph(glyphs, code, table[offset + 6 + code]);
+    }
+  } else if (format === 4) {
+    const segCountX2 = table.readUInt16BE(offset + 6);
+    const endCodes = offset + 14;
+    const startCodes = endCodes + segCountX2 + 2;
+    const idDeltas = startCodes + segCountX2;
+    const idRangeOffsets = idDeltas + segCountX2;
+    for (let seg = 0; seg < segCountX2; seg += 2) {
+      const start = table.readUInt16BE(startCodes + seg);
+      const end = table.readUInt16BE(endCodes + seg);
+      const delta = table.readUInt16BE(idDeltas + seg);
+      const rangeOffset = table.readUInt16BE(idRangeOffsets + seg);
+      for (let code = start; code <= end && code !== 0xFFFF; code++) {
+        let glyph;
+        if (rangeOffset === 0) {
+          glyph = (code + delta) & 0xFFFF;
+        } else {
+          const glyphOffset = idRangeOffsets + seg + rangeOffset + (code - start) * 2;
+          if (glyphOffset + 2 > table.length) break;
+          glyph = table.readUInt16BE(glyphOffset);
+          if (glyph !== 0) glyph = (glyph + delta) & 0xFFFF;
+        }
+        if (glyph !== 0) addGlyph(glyphs, code, glyph);
+      }
+    }
+  } else if (format === 6) {
+    const firstCode = table.readUInt16BE(offset + 6);
+    const entryCount = table.readUInt16BE(offset + 8);
+    for (let i = 0; i < entryCount; i++) {
+      const glyph = table.readUInt16BE(offset + 10 + i * 2);
+      if (glyph !== 0) addGlyph(glyphs, firstCode + i, glyph);
+    }
+  } else if (format === 12 || format === 13) {
+    const groupCount = table.readUInt32BE(offset + 12);
+    for (let i = 0; i < groupCount; i++) {
+      const group = offset + 16 + i * 12;
+      const start = table.readUInt32BE(group);
+      const end = Math.min(table.readUInt32BE(group + 4), MAX_CODEPOINT);
+      const startGlyph = table.readUInt32BE(group + 8);
+      for (let code = start; code <= end; code++) {
+        // Format 13 maps the whole range to one glyph
+        const glyph = format === 12 ? startGlyph + (code - start) : startGlyph;
+        if (glyph !== 0) addGlyph(glyphs, code, glyph);
+      }
+    }
+  }
+}
+
+// Map of Unicode code point to glyph ID, merged from all of the font's
+// Unicode cmap subtables
+function parseCmapGlyphs(table) {
+  const numTables = table.readUInt16BE(2);
+  const glyphs = new Map();
+  const seenOffsets = new Set();
+  for (let i = 0; i < numTables; i++) {
+    const record = 4 + i * 8;
+    const platformID = table.readUInt16BE(record);
+    const encodingID = table.readUInt16BE(record + 2);
+    const offset = table.readUInt32BE(record + 4);
+    const isUnicode = platformID === 0 || (platformID === 3 && (encodingID === 1 || encodingID === 10));
+    if (!isUnicode || seenOffsets.has(offset)) continue;
+    seenOffsets.add(offset);
+    readCmapSubtable(table, offset, glyphs);
+  }
+  return glyphs;
+}
+
+// Sorted Unicode code points the font has glyphs for
+function parseCmapTable(table) {
+  return Array.from(parseCmapGlyphs(table).keys()).sort((a, b) => a - b);
+}
+
+/**
+ * Reads the code points a font buffer in any supported format covers.
+ * Throws if the file has no readable cmap table.
+ */
+function readCodepoints(buffer) {
+  const table = getTableData(readFontTables(buffer), 'cmap');
+  if (!table) {
+    throw new SfntError("Font has no 'cmap' table");
+  }
+  try {
+    return parseCmapTable(table);
+  } catch (error) {
+    throw new SfntError(`Table 'cmap' is malformed: ${error.message}`);
+  }
+}
+
+function readFixed(table, offset) {
+  return Math.round((table.readInt32BE(offset) / 65536) * 1000) / 1000;
+}
+
+// Axes and named instances of a variable font. Names are looked up in the
+// already parsed name table; coordinates are keyed by axis tag.
+function parseFvarTable(table, names = {}) {
+  const axesArrayOffset = table.readUInt16BE(4);
+  const axisCount = table.readUInt16BE(8);
+  const axisSize = table.readUInt16BE(10);
+  const instanceCount = table.readUInt16BE(12);
+  const instanceSize = table.readUInt16BE(14);
+
+  const axes = [];
+  for (let i = 0; i < axisCount; i++) {
+    const offset = axesArrayOffset + i * axisSize;
+    const tag = tagToString(table, offset);
+    axes.push({
+      tag,
+      name: names[table.readUInt16BE(offset + 18)] || tag,
+      min: readFixed(table, offset + 4),
+      default: readFixed(table, offset + 8),
+      max: readFixed(table, offset + 12),
+      hidden: (table.readUInt16BE(offset + 16) & 0x0001) !== 0
+    });
+  }
+
+  // The PostScript name ID is optional and only present in the larger record size
+  const hasPostScriptName = instanceSize >= axisCount * 4 + 6;
+  const instancesOffset = axesArrayOffset + axisCount * axisSize;
+  const instances = [];
+  for (let i = 0; i < instanceCount; i++) {
+    const offset = instancesOffset + i * instanceSize;
+    const coordinates = {};
+    axes.forEach((axis, index) => {
+      coordinates[axis.tag] = readFixed(table, offset + 4 + index * 4);
+    });
+    const postScriptNameID = hasPostScriptName ? table.readUInt16BE(offset + 4 + axisCount * 4) : 0xFFFF;
+    instances.push({
+      name: names[table.readUInt16BE(offset)] || `Instance ${i + 1}`,
+      coordinates,
+      postScriptName: postScriptNameID !== 0xFFFF ? names[postScriptNameID] || null : null
+    });
+  }
+
+  return { axes, instances };
+}
+
+// Style attributes: the design axes and the labelled values on them, e.g.
+// "Bold" at wght 700. Format 4 values label a combination of axes.
+function parseStatTable(table, names = {}) {
+  const designAxisSize = table.readUInt16BE(4);
+  const designAxisCount = table.readUInt16BE(6);
+  const designAxesOffset = table.readUInt32BE(8);
+  const axisValueCount = table.readUInt16BE(12);
+  const axisValueOffsetsOffset = table.readUInt32BE(14);
+
+  const axes = [];
+  for (let i = 0; i < designAxisCount; i++) {
+    const offset = designAxesOffset + i * designAxisSize;
+    const tag = tagToString(table, offset);
+    axes.push({
+      tag,
+      name: names[table.readUInt16BE(offset + 4)] || tag,
+      ordering: table.readUInt16BE(offset + 6)
+    });
+  }
+
+  const values = [];
+  for (let i = 0; i < axisValueCount; i++) {
+    const offset = axisValueOffsetsOffset + table.readUInt16BE(axisValueOffsetsOffset + i * 2);
+    const format = table.readUInt16BE(offset);
+    if (format < 1 || format > 4) continue;
+
+    const flags = table.readUInt16BE(offset + 4);
+    const value = {
+      name: names[table.readUInt16BE(offset + 6)] || null,
+      elidable: (flags & 0x0002) !== 0
+    };
+    if (format === 4) {
+      const count = table.readUInt16BE(offset + 2);
+      value.coordinates = {};
+      for (let j = 0; j < count; j++) {
+        const record = offset + 8 + j * 6;
+        const axis = axes[table.readUInt16BE(record)];
+        if (axis) value.coordinates[axis.tag] = readFixed(table, record + 2);
+      }
+    } else {
+      const axis = axes[table.readUInt16BE(offset + 2)];
+      if (!axis) continue;
+      value.axis = axis.tag;
+      value.value = readFixed(table, offset + 8);
+      if (format === 2) {
+        value.rangeMin = readFixed(table, offset + 12);
+        value.rangeMax = readFixed(table, offset + 16);
+      } else if (format === 3) {
+        value.linkedValue = readFixed(table, offset + 12);
+      }
+    }
+    values.push(value);
+  }
+
+  return { axes, values };
+}
+
+/**
+ * Reads descriptive metadata from a font buffer in any supported format.
+ * Missing tables leave their fields null rather than failing the whole read;
+ * a malformed header or table directory throws.
+ */
+function readFontMetadata(buffer) {
+  const font = readFontTables(buffer);
+
+  const parseTable = (tag, parser) => {
+    const table = getTableData(font, tag);
+    if (!table) return null;
+    try {
+      return parser(table);
+    } catch (error) {
+      throw new SfntError(`Table '${tag}' is malformed: ${error.message}`);
+    }
+  };
+
+  const names = parseTable('name', parseNameTable) || {};
+  const head = parseTable('head', parseHeadTable);
+  const os2 = parseTable('OS/2', parseOS2Table);
+  const post = parseTable('post', parsePostTable);
+  const fvar = parseTable('fvar', table => parseFvarTable(table, names));
+  const stat = parseTable('STAT', table => parseStatTable(table, names));
+
+  const italic = Boolean(
+    (os2 && (os2.fsSelection & 0x0001)) ||
+    (head && (head.macStyle & 0x0002)) ||
+    (post && post.italicAngle !== 0)
+  );
+
+  return {
+    format: font.format,
+    familyName: names[NAME_IDS.typographicFamily] || names[NAME_IDS.family] || null,
+    styleName: names[NAME_IDS.typographicSubfamily] || names[NAME_IDS.subfamily] || null,
+    fullName: names[NAME_IDS.fullName] || null,
+    version: names[NAME_IDS.version] || null,
+    designer: names[NAME_IDS.designer] || null,
+    foundry: names[NAME_IDS.manufacturer] || null,
+    copyright: names[NAME_IDS.copyright] || null,
+    license: names[NAME_IDS.licenseDescription] || null,
+    licenseUrl: names[NAME_IDS.licenseUrl] || null,
+    fsType: os2 ? os2.fsType : null,
+    weightClass: os2 ? os2.usWeightClass : null,
+    familyClass: os2 ? os2.sFamilyClass : null,
+    panose: os2 ? os2.panose : null,
+    isFixedPitch: post ? post.isFixedPitch : null,
+    italic,
+    unitsPerEm: head ? head.unitsPerEm : null,
+    isVariable: Boolean(fvar && fvar.axes.length > 0),
+    axes: fvar ? fvar.axes : [],
+    instances: fvar ? fvar.instances : [],
+    axisValues: stat ? stat.values : []
+  };
+}
+
+module.exports = {
+  NAME_IDS,
+  FORMAT_EXTENSIONS,
+  SfntError,
+  detectFormat,
+  readTableDirectory,
+  readFontTables,
+  getTableData,
+  parseNameTable,
+  parseHeadTable,
+  parseOS2Table,
+  parsePostTable,
+  parseCmapTable,
+  parseCmapGlyphs,
+  parseFvarTable,
+  parseStatTable,
+  readFontMetadata,
+  readCodepoints
+};
@@ -0,0 +1,187 @@
+// Renders text as SVG paths straight from a font's outlines (see
+// readGlyphSet), so specimens display anywhere an image does, without the
+// font being installed or loaded. Layout is deliberately basic: hmtx
+// advances plus legacy kern pairs, one line per newline, no shaping.
+
+const DEFAULT_TEXT = 'The quick brown fox jumps over the lazy dog';
+const DEFAULT_SIZE = 48;
+const MIN_SIZE = 8;
+const MAX_SIZE = 300;
+const MAX_TEXT_LENGTH = 500;
+const MAX_LINES = 20;
+
+const PADDING = 16;
+const LABEL_SIZE = 13;
+const LABEL_GAP = 8;
+const BLOCK_GAP = 24;
+const MIN_GROUP_WIDTH = 320;
+
+const TEXT_COLOR = '#111827';
+const LABEL_COLOR = '#6b7280';
+const BACKGROUND_COLOR = '#ffffff';
+
+class SpecimenError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'SpecimenError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Validates `text` and `size` as given in a query string, filling in the
+ * defaults for missing values. Returns { text, size }.
+ */
+function resolveSpecimenOptions({ text, size } = {}) {
+  if (Array.isArray(text) || Array.isArray(size)) {
+    throw new SpecimenError('text and size can each be given only once');
+  }
+  const resolvedText = text === undefined || text === '' ? DEFAULT_TEXT : text;
+  if (Array.from(resolvedText).length > MAX_TEXT_LENGTH) {
+    throw new SpecimenError(`text can be at most ${MAX_TEXT_LENGTH} characters`);
+  }
+  if (resolvedText.split('\n').length > MAX_LINES) {
+    throw new SpecimenError(`text can have at most ${MAX_LINES} lines`);
+  }
+
+  let resolvedSize = DEFAULT_SIZE;
+  if (size !== undefined && size !== '') {
+    resolvedSize = Number(size);
+    if (!Number.isFinite(resolvedSize) || resolvedSize < MIN_SIZE || resolvedSize > MAX_SIZE) {
+      throw new SpecimenError(`size must be a number from ${MIN_SIZE} to ${MAX_SIZE}`);
+    }
+  }
+  return { text: resolvedText, size: resolvedSize };
+}
+
+function formatNumber(value) {
+  return String(Number(value.toFixed(2)) || 0);
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Appends one glyph's outline to `parts`, scaled to pixels and flipped so y
+// points down, with its origin at (originX, baseline)
+function appendGlyphPath(parts, commands, scale, originX, baseline) {
+  commands.forEach(([op, ...coords]) => {
+    const points = [];
+    for (let i = 0; i < coords.length; i += 2) {
+      points.push(formatNumber(originX + coords[i] * scale), formatNumber(baseline - coords[i + 1] * scale));
+    }
+    parts.push(op + points.join(' '));
+  });
+}
+
+/**
+ * Lays out `text` in a glyph set at `size` pixels, with the first line's
+ * top left corner at (originX, originY). Returns { d, width, height } where
+ * `d` is the SVG path data for every line.
+ */
+function layoutText(glyphSet, text, size, originX = 0, originY = 0) {
+  const scale = size / glyphSet.unitsPerEm;
+  const ascent = glyphSet.ascender * scale;
+  const lineHeight = (glyphSet.ascender - glyphSet.descender + glyphSet.lineGap) * scale || size * 1.2;
+  const parts = [];
+  const lines = text.split('\n');
+  let width = 0;
+
+  lines.forEach((line, lineIndex) => {
+    const baseline = originY + ascent + lineIndex * lineHeight;
+    let penX = 0;
+    let previous = null;
+    Array.from(line).forEach(character => {
+      const glyphId = glyphSet.getGlyphId(character.codePointAt(0));
+      if (previous !== null) {
+        penX += glyphSet.getKerning(previous, glyphId);
+      }
+      appendGlyphPath(parts, glyphSet.getPath(glyphId), scale, originX + penX * scale, baseline);
+      penX += glyphSet.getAdvance(glyphId);
+      previous = glyphId;
+    });
+    width = Math.max(width, penX * scale);
+  });
+
+  const height = ascent + (lines.length - 1) * lineHeight - glyphSet.descender * scale;
+  return { d: parts.join(''), width, height };
+}
+
+function buildSvg(width, height, title, body) {
+  const w = formatNumber(Math.ceil(width));
+  const h = formatNumber(Math.ceil(height));
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}">`,
+    `<title>${escapeXml(title)}</title>`,
+    `<rect width="100%" height="100%" fill="${BACKGROUND_COLOR}"/>`,
+    ...body,
+    '</svg>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Renders a single font's specimen. `options` are { text, size, title }.
+ */
+function renderSpecimenSvg(glyphSet, { text = DEFAULT_TEXT, size = DEFAULT_SIZE, title = '' } = {}) {
+  const layout = layoutText(glyphSet, text, size, PADDING, PADDING);
+  return buildSvg(
+    layout.width + PADDING * 2,
+    layout.height + PADDING * 2,
+    title || text,
+    [`<path fill="${TEXT_COLOR}" d="${layout.d}"/>`]
+  );
+}
+
+/**
+ * Lays out one font's block of a group specimen; see renderGroupSpecimenSvg.
+ * Glyph outlines are read here, so this throws what the glyph set throws
+ * for a malformed font.
+ */
+function layoutGroupEntry(glyphSet, { text = DEFAULT_TEXT, size = DEFAULT_SIZE } = {}) {
+  return layoutText(glyphSet, text, size, PADDING, 0);
+}
+
+/**
+ * Renders the specimens of several fonts stacked vertically, each under its
+ * label. `entries` are { label, layout, error } with `layout` as returned by
+ * layoutGroupEntry; entries without a layout show `error` in place of the
+ * specimen. `options` are { text, title }.
+ */
+function renderGroupSpecimenSvg(entries, { text = DEFAULT_TEXT, title = '' } = {}) {
+  const body = [];
+  let y = PADDING;
+  let width = MIN_GROUP_WIDTH;
+
+  entries.forEach((entry, index) => {
+    if (index > 0) {
+      y += BLOCK_GAP;
+    }
+    body.push(`<text x="${PADDING}" y="${formatNumber(y + LABEL_SIZE)}" font-family="sans-serif" font-size="${LABEL_SIZE}" fill="${LABEL_COLOR}">${escapeXml(entry.label)}</text>`);
+    y += LABEL_SIZE + LABEL_GAP;
+
+    if (!entry.layout) {
+      body.push(`<text x="${PADDING}" y="${formatNumber(y + LABEL_SIZE)}" font-family="sans-serif" font-size="${LABEL_SIZE}" font-style="italic" fill="${LABEL_COLOR}">${escapeXml(entry.error || 'Specimen unavailable')}</text>`);
+      y += LABEL_SIZE;
+      return;
+    }
+    const { layout } = entry;
+    body.push(`<path fill="${TEXT_COLOR}" transform="translate(0 ${formatNumber(y)})" d="${layout.d}"/>`);
+    y += layout.height;
+    width = Math.max(width, layout.width + PADDING * 2);
+  });
+
+  return buildSvg(width, y + PADDING, title || text, body);
+}
+
+module.exports = {
+  SpecimenError,
+  resolveSpecimenOptions,
+  renderSpecimenSvg,
+  layoutGroupEntry,
+  renderGroupSpecimenSvg
+};
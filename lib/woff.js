@@ -0,0 +1,183 @@
+const zlib = require('zlib');
+
+// Decoders for the WOFF and WOFF2 web font wrappers. Both return the wrapped
+// sfnt tables so the regular table parsers in sfnt.js can read them.
+
+// Table tags that WOFF2 encodes as a 6-bit index instead of spelling out
+const WOFF2_KNOWN_TAGS = [
+  'cmap', 'head', 'hhea', 'hmtx', 'maxp', 'name', 'OS/2', 'post',
+  'cvt ', 'fpgm', 'glyf', 'loca', 'prep', 'CFF ', 'VORG', 'EBDT',
+  'EBLC', 'gasp', 'hdmx', 'kern', 'LTSH', 'PCLT', 'VDMX', 'vhea',
+  'vmtx', 'BASE', 'GDEF', 'GPOS', 'GSUB', 'EBSC', 'JSTF', 'MATH',
+  'CBDT', 'CBLC', 'COLR', 'CPAL', 'SVG ', 'sbix', 'acnt', 'avar',
+  'bdat', 'bloc', 'bsln', 'cvar', 'fdsc', 'feat', 'fmtx', 'fvar',
+  'gvar', 'hsty', 'just', 'lcar', 'mort', 'morx', 'opbd', 'prop',
+  'trak', 'Zapf', 'Silf', 'Glat', 'Gloc', 'Feat', 'Sill'
+];
+
+// Largest font a wrapper may decompress to; the same as the upload limit in
+// server.js, so a small file cannot expand into gigabytes
+const MAX_SFNT_SIZE = 10 * 1024 * 1024;
+
+class WoffError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WoffError';
+  }
+}
+
+function readWoffTables(buffer) {
+  if (buffer.length < 44) {
+    throw new WoffError('WOFF header is truncated');
+  }
+
+  const flavor = buffer.readUInt32BE(4);
+  const numTables = buffer.readUInt16BE(12);
+  if (buffer.length < 44 + numTables * 20) {
+    throw new WoffError('WOFF table directory is truncated');
+  }
+  if (buffer.readUInt32BE(16) > MAX_SFNT_SIZE) {
+    throw new WoffError(`WOFF font is larger than ${MAX_SFNT_SIZE} bytes uncompressed`);
+  }
+
+  const tables = {};
+  let totalLength = 0;
+  for (let i = 0; i < numTables; i++) {
+    const entry = 44 + i * 20;
+    const tag = buffer.toString('latin1', entry, entry + 4);
+    const offset = buffer.readUInt32BE(entry + 4);
+    const compLength = buffer.readUInt32BE(entry + 8);
+    const origLength = buffer.readUInt32BE(entry + 12);
+    const checksum = buffer.readUInt32BE(entry + 16);
+
+    if (offset + compLength > buffer.length) {
+      throw new WoffError(`WOFF table '${tag}' extends past the end of the file`);
+    }
+
+    // Checked before inflating: the header's total need not match the tables
+    totalLength += origLength;
+    if (totalLength > MAX_SFNT_SIZE) {
+      throw new WoffError(`WOFF font is larger than ${MAX_SFNT_SIZE} bytes uncompressed`);
+    }
+
+    let data = buffer.subarray(offset, offset + compLength);
+    if (compLength < origLength) {
+      try {
+        data = zlib.inflateSync(data, { maxOutputLength: origLength });
+      } catch (error) {
+        throw new WoffError(`WOFF table '${tag}' could not be decompressed: ${error.message}`);
+      }
+    }
+    if (data.length !== origLength) {
+      throw new WoffError(`WOFF table '${tag}' has the wrong decompressed length`);
+    }
+
+    tables[tag] = { tag, data, checksum, transformed: false };
+  }
+
+  return { flavor, tables };
+}
+
+function readUIntBase128(buffer, state) {
+  let value = 0;
+  for (let i = 0; i < 5; i++) {
+    if (state.offset >= buffer.length) {
+      throw new WoffError('WOFF2 table directory is truncated');
+    }
+    const byte = buffer[state.offset++];
+    if (i === 0 && byte === 0x80) {
+      throw new WoffError('WOFF2 table directory has an invalid length encoding');
+    }
+    if (value & 0xFE000000) {
+      throw new WoffError('WOFF2 table length overflows 32 bits');
+    }
+    value = (value * 128) + (byte & 0x7F);
+    if ((byte & 0x80) === 0) {
+      return value;
+    }
+  }
+  throw new WoffError('WOFF2 table length uses more than 5 bytes');
+}
+
+// Transformed glyf, loca and hmtx tables are returned as-is and flagged;
+// rebuilding the original outlines is outside what this reader needs.
+function readWoff2Tables(buffer) {
+  if (buffer.length < 48) {
+    throw new WoffError('WOFF2 header is truncated');
+  }
+
+  const flavor = buffer.readUInt32BE(4);
+  const numTables = buffer.readUInt16BE(12);
+  const totalSfntSize = buffer.readUInt32BE(16);
+  const totalCompressedSize = buffer.readUInt32BE(20);
+  if (flavor === 0x74746366) { // 'ttcf'
+    throw new WoffError('WOFF2 font collections are not supported');
+  }
+  if (totalSfntSize > MAX_SFNT_SIZE) {
+    throw new WoffError(`WOFF2 font is larger than ${MAX_SFNT_SIZE} bytes uncompressed`);
+  }
+
+  const state = { offset: 48 };
+  const entries = [];
+  for (let i = 0; i < numTables; i++) {
+    if (state.offset >= buffer.length) {
+      throw new WoffError('WOFF2 table directory is truncated');
+    }
+    const flags = buffer[state.offset++];
+    const tagIndex = flags & 0x3F;
+    let tag;
+    if (tagIndex === 0x3F) {
+      if (state.offset + 4 > buffer.length) {
+        throw new WoffError('WOFF2 table directory is truncated');
+      }
+      tag = buffer.toString('latin1', state.offset, state.offset + 4);
+      state.offset += 4;
+    } else {
+      tag = WOFF2_KNOWN_TAGS[tagIndex];
+    }
+
+    const transformVersion = (flags >> 6) & 0x03;
+    // glyf and loca use version 0 for "transformed"; every other table uses it for "untouched"
+    const transformed = (tag === 'glyf' || tag === 'loca') ? transformVersion === 0 : transformVersion !== 0;
+    const origLength = readUIntBase128(buffer, state);
+    const length = transformed ? readUIntBase128(buffer, state) : origLength;
+    entries.push({ tag, length, transformed });
+  }
+
+  if (state.offset + totalCompressedSize > buffer.length) {
+    throw new WoffError('WOFF2 compressed data is truncated');
+  }
+
+  let stream;
+  try {
+    // The tables, even untransformed, fit in the size the font declares
+    stream = zlib.brotliDecompressSync(buffer.subarray(state.offset, state.offset + totalCompressedSize), {
+      maxOutputLength: Math.max(totalSfntSize, 1)
+    });
+  } catch (error) {
+    throw new WoffError(`WOFF2 data could not be decompressed: ${error.message}`);
+  }
+
+  const tables = {};
+  let offset = 0;
+  entries.forEach(entry => {
+    if (offset + entry.length > stream.length) {
+      throw new WoffError(`WOFF2 table '${entry.tag}' extends past the decompressed data`);
+    }
+    tables[entry.tag] = {
+      tag: entry.tag,
+      data: stream.subarray(offset, offset + entry.length),
+      checksum: null,
+      transformed: entry.transformed
+    };
+    offset += entry.length;
+  });
+
+  return { flavor, tables };
+}
+
+module.exports = {
+  WoffError,
+  readWoffTables,
+  readWoff2Tables
+};
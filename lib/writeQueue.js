@@ -0,0 +1,20 @@
+// Runs write tasks one at a time, in the order they were queued, so that a
+// read-check-write sequence is never interleaved with another write even when
+// the storage underneath is asynchronous.
+class WriteQueue {
+  constructor() {
+    this.tail = Promise.resolve();
+  }
+
+  // Resolves or rejects with the task's own result once it has run
+  run(task) {
+    const result = this.tail.then(() => task());
+    // A failed task must not stop the ones queued after it
+    this.tail = result.catch(() => {});
+    return result;
+  }
+}
+
+module.exports = {
+  WriteQueue
+};
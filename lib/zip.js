@@ -0,0 +1,244 @@
+const zlib = require('zlib');
+
+// Minimal ZIP archive writer and reader. The writer sends entries to the
+// output stream one at a time as they are added, so only the entry being
+// written is held in memory. ZIP64 is not supported, which limits archives
+// to 4GB.
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+const FLAG_UTF8 = 0x0800;
+const MAX_32BIT = 0xFFFFFFFF;
+const FLAG_ENCRYPTED = 0x0001;
+
+class ZipError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ZipError';
+    this.statusCode = statusCode;
+  }
+}
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function toDosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+class ZipWriter {
+  constructor(output) {
+    this.output = output;
+    this.offset = 0;
+    this.entries = [];
+    this.names = new Set();
+  }
+
+  write(buffer) {
+    this.offset += buffer.length;
+    if (this.output.write(buffer)) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.output.once('drain', resolve));
+  }
+
+  /**
+   * Adds a file to the archive. `data` is a Buffer or string. Pass
+   * `compress: false` for content that is already compressed (WOFF, WOFF2)
+   * to store it as-is.
+   */
+  async addFile(name, data, { compress = true, date = new Date() } = {}) {
+    if (this.names.has(name)) {
+      throw new Error(`Duplicate ZIP entry name: ${name}`);
+    }
+    this.names.add(name);
+
+    const content = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+    const deflated = compress ? zlib.deflateRawSync(content) : null;
+    // Keep whichever is smaller; deflate can grow incompressible data
+    const useDeflate = deflated !== null && deflated.length < content.length;
+    const stored = useDeflate ? deflated : content;
+    if (content.length > MAX_32BIT || this.offset > MAX_32BIT) {
+      throw new Error('ZIP archive exceeds the 4GB limit');
+    }
+
+    const nameBytes = Buffer.from(name, 'utf8');
+    const dos = toDosDateTime(date);
+    const entry = {
+      nameBytes,
+      method: useDeflate ? METHOD_DEFLATE : METHOD_STORE,
+      crc: crc32(content),
+      compressedSize: stored.length,
+      size: content.length,
+      time: dos.time,
+      date: dos.date,
+      offset: this.offset
+    };
+    this.entries.push(entry);
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034B50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(FLAG_UTF8, 6);
+    header.writeUInt16LE(entry.method, 8);
+    header.writeUInt16LE(entry.time, 10);
+    header.writeUInt16LE(entry.date, 12);
+    header.writeUInt32LE(entry.crc, 14);
+    header.writeUInt32LE(entry.compressedSize, 18);
+    header.writeUInt32LE(entry.size, 22);
+    header.writeUInt16LE(nameBytes.length, 26);
+    header.writeUInt16LE(0, 28);
+
+    await this.write(Buffer.concat([header, nameBytes]));
+    await this.write(stored);
+  }
+
+  // Writes the central directory and ends the output stream
+  async finish() {
+    const directoryOffset = this.offset;
+    const records = this.entries.map(entry => {
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(0x02014B50, 0);
+      record.writeUInt16LE(20, 4);
+      record.writeUInt16LE(20, 6);
+      record.writeUInt16LE(FLAG_UTF8, 8);
+      record.writeUInt16LE(entry.method, 10);
+      record.writeUInt16LE(entry.time, 12);
+      record.writeUInt16LE(entry.date, 14);
+      record.writeUInt32LE(entry.crc, 16);
+      record.writeUInt32LE(entry.compressedSize, 20);
+      record.writeUInt32LE(entry.size, 24);
+      record.writeUInt16LE(entry.nameBytes.length, 28);
+      record.writeUInt32LE(entry.offset, 42);
+      return Buffer.concat([record, entry.nameBytes]);
+    });
+    const directory = Buffer.concat(records);
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054B50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+
+    await this.write(directory);
+    await this.write(end);
+    this.output.end();
+  }
+}
+
+function findEndOfCentralDirectory(buffer) {
+  // The record is 22 bytes plus a comment of up to 64KB
+  const stop = Math.max(0, buffer.length - 22 - 0xFFFF);
+  for (let offset = buffer.length - 22; offset >= stop; offset--) {
+    if (buffer.readUInt32LE(offset) === 0x06054B50) {
+      return offset;
+    }
+  }
+  throw new ZipError('File is not a ZIP archive');
+}
+
+/**
+ * Lists the files in a ZIP archive held in `buffer`. Each entry is
+ * `{ name, size, compressedSize, read() }`; `read()` returns the
+ * decompressed contents and checks their CRC. Directory entries are
+ * omitted. `maxEntrySize` caps how much a single entry may inflate to.
+ */
+function readZipEntries(buffer, { maxEntries = 1000, maxEntrySize = 10 * 1024 * 1024 } = {}) {
+  const end = findEndOfCentralDirectory(buffer);
+  const count = buffer.readUInt16LE(end + 10);
+  const directoryOffset = buffer.readUInt32LE(end + 16);
+  if (count > maxEntries) {
+    throw new ZipError(`Archive has more than ${maxEntries} entries`);
+  }
+
+  const entries = [];
+  let offset = directoryOffset;
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014B50) {
+      throw new ZipError('ZIP central directory is malformed');
+    }
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const crc = buffer.readUInt32LE(offset + 16);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const headerOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString(flags & FLAG_UTF8 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+
+    entries.push({
+      name,
+      size,
+      compressedSize,
+      read() {
+        if (flags & FLAG_ENCRYPTED) {
+          throw new ZipError(`ZIP entry '${name}' is encrypted`);
+        }
+        if (size > maxEntrySize) {
+          throw new ZipError(`ZIP entry '${name}' is larger than ${maxEntrySize} bytes`, 413);
+        }
+        if (headerOffset + 30 > buffer.length || buffer.readUInt32LE(headerOffset) !== 0x04034B50) {
+          throw new ZipError(`ZIP entry '${name}' has a malformed local header`);
+        }
+        // The local header's name and extra lengths can differ from the central directory's
+        const dataStart = headerOffset + 30 + buffer.readUInt16LE(headerOffset + 26) + buffer.readUInt16LE(headerOffset + 28);
+        if (dataStart + compressedSize > buffer.length) {
+          throw new ZipError(`ZIP entry '${name}' extends past the end of the archive`);
+        }
+        const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+
+        let data;
+        if (method === METHOD_STORE) {
+          data = raw;
+        } else if (method === METHOD_DEFLATE) {
+          try {
+            data = zlib.inflateRawSync(raw, { maxOutputLength: maxEntrySize });
+          } catch (error) {
+            throw new ZipError(`ZIP entry '${name}' could not be decompressed: ${error.message}`);
+          }
+        } else {
+          throw new ZipError(`ZIP entry '${name}' uses unsupported compression method ${method}`);
+        }
+        if (data.length !== size || crc32(data) !== crc) {
+          throw new ZipError(`ZIP entry '${name}' is corrupt`);
+        }
+        return data;
+      }
+    });
+  }
+  return entries;
+}
+
+module.exports = {
+  ZipError,
+  crc32,
+  ZipWriter,
+  readZipEntries
+};
@@ -1,46 +1,415 @@
 const http = require('http');
 const path = require('path');
 const fs = require('fs');
-const { parse } = require('querystring');
+const crypto = require('crypto');
+const { getBoundary, parseMultipart } = require('./lib/multipart');
+const { FORMAT_EXTENSIONS, SfntError, detectFormat, readFontMetadata, readCodepoints } = require('./lib/sfnt');
+const { validateFont } = require('./lib/fontValidation');
+const { FONT_DISPLAY_VALUES, GROUP_ROLES, SINGLE_FONT_ROLES, slugify, buildGroupStylesheet, buildFallbackStack, buildFallbackStylesheet } = require('./lib/css');
+const { ZipError, ZipWriter, readZipEntries } = require('./lib/zip');
+const { ObservedRecordStore, createRecordStore } = require('./lib/recordStore');
+const { createBlobStore } = require('./lib/blobStore');
+const { WriteQueue } = require('./lib/writeQueue');
+const { PreconditionFailedError, formatETag, ifMatchSatisfied } = require('./lib/etag');
+const { HttpError, Router, sendJson } = require('./lib/router');
+const { requestLogger, cors, errorHandler, jsonBody } = require('./lib/middleware');
+const { ListQueryError, parseList, parseBoolean, parseRange, parseDate, paginate } = require('./lib/listQuery');
+const { SearchIndex } = require('./lib/searchIndex');
+const { suggestTags } = require('./lib/classification');
+const { resolveCharacterSets, analyzeCoverage, analyzeGroupCoverage } = require('./lib/coverage');
+const { readGlyphSet } = require('./lib/glyphs');
+const { SpecimenError, resolveSpecimenOptions, renderSpecimenSvg, layoutGroupEntry, renderGroupSpecimenSvg } = require('./lib/specimen');
+const { FALLBACK_FONTS, readFontMetrics, computeFallbackOverrides, pickFallbackFont } = require('./lib/metrics');
+const { suggestFamilyGroups } = require('./lib/families');
+const { LicenseError, describeEmbedding, normalizeLicenseRecord, normalizeOverrideReason, getLicenseStatus, summarizeLicenses } = require('./lib/licensing');
+
+const MAX_FONT_SIZE = 10 * 1024 * 1024; // 10MB per uploaded font
+const MAX_BUNDLE_SIZE = 50 * 1024 * 1024; // 50MB per imported group bundle
+const MAX_JSON_SIZE = 100 * 1024; // 100KB per JSON request body
+const MAX_SEARCH_RESULTS = 50;
+const MAX_COVERAGE_CHARS = 500;
+const MAX_CACHED_GLYPH_SETS = 16;
+const MAX_LICENSE_DOCUMENT_SIZE = 5 * 1024 * 1024; // 5MB per attached license document
+
+// Storage configuration. STORAGE_DRIVER picks the record store (json, log or
+// memory) and BLOB_STORE how font files are kept (disk or cas).
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'json';
+const BLOB_STORE = process.env.BLOB_STORE || 'disk';
+const FONTS_DIR = process.env.FONTS_DIR || path.join(__dirname, 'uploads', BLOB_STORE === 'cas' ? 'blobs' : 'fonts');
+
+const FONT_CONTENT_TYPES = {
+  ttf: 'font/ttf',
+  otf: 'font/otf',
+  woff: 'font/woff',
+  woff2: 'font/woff2'
+};
+
+// Attached license documents, by file extension
+const LICENSE_DOCUMENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8'
+};
 
 // SOLID Principle: Dependency Inversion - Service abstractions
+// Catalog entries live in the record store's 'fonts' collection and the font
+// files themselves in a blob store; this class never touches either directly.
 class FontService {
-  constructor() {
-    this.uploadsDir = path.join(__dirname, 'uploads', 'fonts');
-    this.ensureUploadsDirectory();
+  constructor(records, blobs, { tempDir }) {
+    this.records = records;
+    this.blobs = blobs;
+    this.tempDir = tempDir;
+    this.metadataCache = new Map();
+    this.ensureTempDirectory();
   }
 
-  ensureUploadsDirectory() {
-    if (!fs.existsSync(this.uploadsDir)) {
-      fs.mkdirSync(this.uploadsDir, { recursive: true });
+  // Multipart uploads are spooled here before they are validated
+  ensureTempDirectory() {
+    if (!fs.existsSync(this.tempDir)) {
+      fs.mkdirSync(this.tempDir, { recursive: true });
     }
   }
 
-  getAllFonts() {
+  static generateId() {
+    return crypto.randomBytes(8).toString('hex');
+  }
+
+  // Catalog entries hold everything about a font that is not in the file itself
+  static createCatalogEntry({ hash, filename, blobKey = filename, uploadedBy = null }) {
+    return {
+      id: FontService.generateId(),
+      hash,
+      filename,
+      blobKey,
+      displayName: null,
+      description: '',
+      tags: [],
+      uploadedBy,
+      uploadedAt: new Date().toISOString(),
+      licenseRecord: null,
+      licenseDocument: null,
+      licenseOverride: null
+    };
+  }
+
+  // Entries written before blob stores existed are keyed by filename
+  static getBlobKey(entry) {
+    return entry.blobKey || entry.filename;
+  }
+
+  static hashData(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+  }
+
+  // Named stores already use filenames as keys; content-addressed keys get a
+  // short hash-based name instead
+  static getFilenameForBlob(key, format) {
+    return path.extname(key) ? key : `${key.slice(0, 16)}${FORMAT_EXTENSIONS[format] || ''}`;
+  }
+
+  readCatalog() {
     try {
-      const files = fs.readdirSync(this.uploadsDir);
-      return files
-        .filter(file => file.endsWith('.ttf'))
-        .map(file => ({
-          id: file.replace('.ttf', ''),
-          name: file.replace('.ttf', ''),
-          filename: file,
-          path: `/uploads/fonts/${file}`
-        }));
+      return this.records.getAll('fonts');
     } catch (error) {
-      console.error('Error reading fonts directory:', error);
+      console.error('Error reading font catalog:', error);
       return [];
     }
   }
 
-  deleteFont(filename) {
+  /**
+   * Reconciles the font catalog with the blob store.
+   * Files keep their ID when renamed on disk because entries are matched by
+   * content hash. Files without an entry get a new ID; the returned map
+   * translates their legacy filename-derived IDs so groups can be updated.
+   */
+  syncCatalog() {
+    const entries = this.readCatalog();
+    const legacyIds = {};
+    let keys = [];
     try {
-      const filePath = path.join(this.uploadsDir, filename);
-      if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
-        return true;
+      keys = this.blobs.list();
+    } catch (error) {
+      console.error('Error listing font files:', error);
+    }
+
+    const byKey = new Map(entries.map(entry => [FontService.getBlobKey(entry), entry]));
+    const unmatched = [];
+    const synced = [];
+    keys.forEach(key => {
+      const entry = byKey.get(key);
+      const hash = FontService.hashData(this.blobs.get(key));
+      if (entry && entry.hash === hash) {
+        synced.push({ ...FontService.createCatalogEntry({ hash, filename: entry.filename }), ...entry, blobKey: key });
+        byKey.delete(key);
+      } else {
+        unmatched.push({ key, hash });
       }
-      return false;
+    });
+
+    // Entries whose file disappeared may have been renamed to an unmatched file
+    const missing = Array.from(byKey.values());
+    unmatched.forEach(({ key, hash }) => {
+      const metadata = this.getFontMetadata(key);
+      if (!metadata) {
+        return;
+      }
+      const filename = FontService.getFilenameForBlob(key, metadata.format);
+      const renamed = missing.find(entry => entry.hash === hash);
+      if (renamed) {
+        missing.splice(missing.indexOf(renamed), 1);
+        synced.push({ ...FontService.createCatalogEntry({ hash, filename }), ...renamed, filename, blobKey: key });
+        return;
+      }
+      const entry = FontService.createCatalogEntry({ hash, filename, blobKey: key });
+      legacyIds[path.parse(key).name] = entry.id;
+      synced.push(entry);
+    });
+
+    this.records.replaceAll('fonts', synced);
+    return legacyIds;
+  }
+
+  getAllFonts() {
+    return this.readCatalog()
+      .map(entry => this.toFontRecord(entry))
+      .filter(font => font !== null);
+  }
+
+  getAllFontIds() {
+    return new Set(this.readCatalog().map(entry => entry.id));
+  }
+
+  /**
+   * Narrows font records down to those matching every given filter:
+   * `formats` and `tags` are lists (a font needs one of the formats and all
+   * of the tags), `weight` is `{ min, max }` and `italic` a boolean. Null
+   * filters are ignored.
+   */
+  static filterFonts(fonts, { formats = null, tags = null, weight = null, italic = null } = {}) {
+    const wantedTags = tags && tags.map(tag => tag.toLowerCase());
+    return fonts.filter(font => (
+      (!formats || formats.includes(font.format)) &&
+      (!wantedTags || wantedTags.every(tag => (font.tags || []).some(fontTag => fontTag.toLowerCase() === tag))) &&
+      (!weight || (font.weightClass >= weight.min && font.weightClass <= weight.max)) &&
+      (italic === null || Boolean(font.italic) === italic)
+    ));
+  }
+
+  getFontEntry(idOrFilename) {
+    return this.readCatalog().find(entry => entry.id === idOrFilename || entry.filename === idOrFilename) || null;
+  }
+
+  getFont(id) {
+    const entry = this.records.get('fonts', id);
+    return entry ? this.toFontRecord(entry) : null;
+  }
+
+  // Applies catalog edits (displayName, description, tags); file-derived
+  // fields cannot be changed this way
+  updateFont(id, changes) {
+    try {
+      const entry = this.records.get('fonts', id);
+      if (!entry) {
+        return null;
+      }
+      const allowed = {};
+      ['displayName', 'description', 'tags'].forEach(field => {
+        if (changes[field] !== undefined) {
+          allowed[field] = changes[field];
+        }
+      });
+      const updated = this.records.put('fonts', { ...entry, ...allowed, updatedAt: new Date().toISOString() });
+      return this.toFontRecord(updated);
+    } catch (error) {
+      console.error('Error updating font:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Rewrites the tags of every font (or only those in `fontIds`) with
+   * `transform(tags)`, saving all changed entries in one write. Returns the
+   * records of the fonts whose tags changed.
+   */
+  retagFonts(transform, fontIds = null) {
+    const entries = this.readCatalog();
+    const changed = [];
+    const updatedAt = new Date().toISOString();
+    const updated = entries.map(entry => {
+      if (fontIds && !fontIds.includes(entry.id)) {
+        return entry;
+      }
+      const tags = entry.tags || [];
+      const nextTags = transform(tags);
+      if (nextTags.length === tags.length && nextTags.every((tag, index) => tag === tags[index])) {
+        return entry;
+      }
+      const retagged = { ...entry, tags: nextTags, updatedAt };
+      changed.push(retagged);
+      return retagged;
+    });
+    if (changed.length > 0) {
+      this.records.replaceAll('fonts', updated);
+    }
+    return changed.map(entry => this.toFontRecord(entry)).filter(font => font !== null);
+  }
+
+  getFontByHash(hash) {
+    const entry = this.readCatalog().find(item => item.hash === hash);
+    return entry ? this.toFontRecord(entry) : null;
+  }
+
+  // Returns null for files that are not fonts in a supported format
+  toFontRecord(entry) {
+    const metadata = this.getFontMetadata(FontService.getBlobKey(entry));
+    if (!metadata) {
+      return null;
+    }
+    const font = {
+      id: entry.id,
+      name: entry.displayName || path.parse(entry.filename).name,
+      filename: entry.filename,
+      path: `/uploads/fonts/${entry.filename}`,
+      hash: entry.hash,
+      displayName: entry.displayName || null,
+      description: entry.description || '',
+      tags: entry.tags || [],
+      suggestedTags: suggestTags(metadata),
+      uploadedBy: entry.uploadedBy || null,
+      uploadedAt: entry.uploadedAt,
+      ...metadata,
+      embedding: describeEmbedding(metadata.fsType),
+      licenseRecord: entry.licenseRecord || null,
+      licenseDocument: entry.licenseDocument ? LicenseService.toDocumentInfo(entry.licenseDocument) : null,
+      licenseOverride: entry.licenseOverride || null
+    };
+    return { ...font, licenseStatus: getLicenseStatus(font) };
+  }
+
+  // Parsed table metadata plus the file size, cached until the blob's size
+  // or mtime changes
+  getFontMetadata(blobKey) {
+    try {
+      const stats = this.blobs.stat(blobKey);
+      if (!stats) {
+        return null;
+      }
+      const cacheKey = `${stats.size}:${stats.mtimeMs}`;
+      const cached = this.metadataCache.get(blobKey);
+      if (cached && cached.key === cacheKey) {
+        return cached.metadata;
+      }
+
+      const buffer = this.blobs.get(blobKey);
+      const format = detectFormat(buffer);
+      let metadata = null;
+      if (format) {
+        try {
+          metadata = readFontMetadata(buffer);
+        } catch (error) {
+          console.error(`Error reading metadata for ${blobKey}:`, error.message);
+          metadata = { format };
+        }
+      }
+      if (metadata) {
+        metadata = { ...metadata, size: stats.size };
+      }
+      this.metadataCache.set(blobKey, { key: cacheKey, metadata });
+      return metadata;
+    } catch (error) {
+      console.error(`Error reading font file ${blobKey}:`, error.message);
+      return null;
+    }
+  }
+
+  // The font's file contents, or null if the ID is unknown
+  readFontFile(id) {
+    const entry = this.records.get('fonts', id);
+    return entry ? this.blobs.get(FontService.getBlobKey(entry)) : null;
+  }
+
+  // Looks a font up by the filename in its public /uploads/fonts/ URL.
+  // Returns { font, stream } or null.
+  openFontFile(filename) {
+    const entry = this.readCatalog().find(item => item.filename === filename);
+    const font = entry ? this.toFontRecord(entry) : null;
+    if (!font) {
+      return null;
+    }
+    return { font, stream: this.blobs.createReadStream(FontService.getBlobKey(entry)) };
+  }
+
+  // Picks a filename that does not clobber an existing font: "Name.ttf",
+  // then "Name-1.ttf", "Name-2.ttf" and so on
+  getAvailableFilename(stem, extension) {
+    const taken = new Set(this.readCatalog().map(entry => entry.filename));
+    let filename = `${stem}${extension}`;
+    for (let suffix = 1; taken.has(filename); suffix++) {
+      filename = `${stem}-${suffix}${extension}`;
+    }
+    return filename;
+  }
+
+  // Reads a file spooled by the multipart parser into memory and removes it.
+  // Returns { originalname, size, hash, data }.
+  takeUpload(file) {
+    try {
+      const data = fs.readFileSync(file.path);
+      return { originalname: file.originalname, size: data.length, hash: file.hash || FontService.hashData(data), data };
+    } finally {
+      this.discardUpload(file);
+    }
+  }
+
+  // Stores an upload under a name that matches its detected format. Content
+  // that is already stored is not saved twice; the existing record is
+  // returned with `duplicate: true` instead.
+  saveFont(upload, format, details = {}) {
+    const hash = upload.hash || FontService.hashData(upload.data);
+    const existing = this.getFontByHash(hash);
+    if (existing) {
+      return { ...existing, duplicate: true };
+    }
+
+    const originalName = path.basename(upload.originalname.replace(/\\/g, '/'));
+    const filename = this.getAvailableFilename(path.parse(originalName).name, FORMAT_EXTENSIONS[format]);
+    const blobKey = this.blobs.put(upload.data, { name: filename, hash });
+
+    // Tags the OS/2 classification suggests are offered in `suggestedTags`
+    // (see toFontRecord) for the user to accept, not applied here
+    const entry = FontService.createCatalogEntry({
+      hash,
+      filename,
+      blobKey,
+      uploadedBy: details.uploadedBy
+    });
+    this.records.put('fonts', entry);
+    return this.toFontRecord(entry);
+  }
+
+  discardUpload(file) {
+    try {
+      fs.rmSync(file.path, { force: true });
+    } catch (error) {
+      console.error('Error removing temporary upload:', error);
+    }
+  }
+
+  // Accepts a font ID, or a filename for clients that predate content IDs
+  deleteFont(idOrFilename) {
+    try {
+      const entry = this.getFontEntry(idOrFilename);
+      if (!entry) {
+        return false;
+      }
+      const blobKey = FontService.getBlobKey(entry);
+      this.blobs.delete(blobKey);
+      this.metadataCache.delete(blobKey);
+      this.records.delete('fonts', entry.id);
+      return true;
     } catch (error) {
       console.error('Error deleting font:', error);
       return false;
@@ -48,303 +417,2064 @@ class FontService {
   }
 }
 
+// SOLID Principle: Single Responsibility - Keeps the edit history of groups.
+// Revisions are stored in the 'group-revisions' collection with IDs of the
+// form "<groupId>:<rev>" and outlive the group itself so deleted groups can
+// be restored.
+class GroupRevisionService {
+  constructor(records) {
+    this.records = records;
+  }
+
+  // The group's revisions, oldest first
+  getHistory(groupId) {
+    try {
+      return this.records.getAll('group-revisions')
+        .filter(revision => revision.groupId === groupId)
+        .sort((a, b) => a.rev - b.rev);
+    } catch (error) {
+      console.error('Error reading group revisions:', error);
+      return [];
+    }
+  }
+
+  static toRevision({ id, groupId, ...revision }) {
+    return revision;
+  }
+
+  // Fields whose values differ, ignoring bookkeeping fields
+  static getChangedFields(before, after) {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    return Array.from(fields).filter(field =>
+      !['id', 'createdAt', 'updatedAt', 'version'].includes(field) &&
+      JSON.stringify((before || {})[field]) !== JSON.stringify((after || {})[field])
+    );
+  }
+
+  /**
+   * Describes how a group changed between two snapshots (either may be null).
+   * Returns `{ fields, fonts }`: `fields` lists `{ field, from, to }` for
+   * changed values other than fonts, and `fonts` has the `added`, `removed`
+   * and `changed` rows, matched by selectedFont. `fonts.reordered` is true
+   * when the rows in both snapshots appear in a different order.
+   */
+  static diffGroups(before, after) {
+    const fields = GroupRevisionService.getChangedFields(before, after)
+      .filter(field => field !== 'fonts')
+      .map(field => ({
+        field,
+        from: before ? before[field] : undefined,
+        to: after ? after[field] : undefined
+      }));
+
+    const beforeRows = (before && before.fonts) || [];
+    const afterRows = (after && after.fonts) || [];
+    const findRow = (rows, row) => rows.find(candidate => candidate.selectedFont === row.selectedFont);
+    const fonts = {
+      added: afterRows.filter(row => !findRow(beforeRows, row)),
+      removed: beforeRows.filter(row => !findRow(afterRows, row)),
+      changed: afterRows
+        .filter(row => findRow(beforeRows, row) && JSON.stringify(findRow(beforeRows, row)) !== JSON.stringify(row))
+        .map(row => ({ selectedFont: row.selectedFont, from: findRow(beforeRows, row), to: row })),
+      reordered: false
+    };
+    const keptBefore = beforeRows.filter(row => findRow(afterRows, row)).map(row => row.selectedFont);
+    const keptAfter = afterRows.filter(row => findRow(beforeRows, row)).map(row => row.selectedFont);
+    fonts.reordered = keptBefore.some((fontId, index) => fontId !== keptAfter[index]);
+    return { fields, fonts };
+  }
+
+  // `snapshot` is the group after the change, or null when it was deleted
+  record(groupId, action, snapshot, { previous = null, author = null, restoredFrom } = {}) {
+    try {
+      const rev = this.getHistory(groupId).length + 1;
+      const revision = {
+        id: `${groupId}:${rev}`,
+        groupId,
+        rev,
+        action,
+        timestamp: new Date().toISOString(),
+        author,
+        changes: GroupRevisionService.getChangedFields(previous, snapshot),
+        snapshot
+      };
+      if (restoredFrom !== undefined) {
+        revision.restoredFrom = restoredFrom;
+      }
+      this.records.put('group-revisions', revision);
+      return GroupRevisionService.toRevision(revision);
+    } catch (error) {
+      console.error('Error recording group revision:', error);
+      return null;
+    }
+  }
+
+  // Summaries without snapshots, oldest first
+  getRevisions(groupId) {
+    return this.getHistory(groupId).map(revision => {
+      const { snapshot, ...summary } = GroupRevisionService.toRevision(revision);
+      return summary;
+    });
+  }
+
+  // A single revision with its snapshot and the diff from the one before it
+  getRevision(groupId, rev) {
+    const history = this.getHistory(groupId);
+    const index = history.findIndex(revision => revision.rev === rev);
+    if (index === -1) {
+      return null;
+    }
+    const previous = index > 0 ? history[index - 1].snapshot : null;
+    return {
+      ...GroupRevisionService.toRevision(history[index]),
+      diff: GroupRevisionService.diffGroups(previous, history[index].snapshot)
+    };
+  }
+}
+
+// Groups live in the record store's 'groups' collection
 class GroupService {
-  constructor() {
-    this.dataFile = path.join(__dirname, 'data', 'groups.json');
-    this.ensureDataDirectory();
+  // `getFontIds` returns the IDs of the fonts that currently exist
+  constructor(records, revisionService, { getFontIds }) {
+    this.records = records;
+    this.revisionService = revisionService;
+    this.getFontIds = getFontIds;
+    // Every change goes through the queue, so a version check and the write
+    // that follows it can never interleave with another request's write
+    this.writeQueue = new WriteQueue();
+  }
+
+  // Groups saved before versioning was added count as version 1
+  static getVersion(group) {
+    return Number.isInteger(group.version) ? group.version : 1;
   }
 
-  ensureDataDirectory() {
-    const dataDir = path.dirname(this.dataFile);
-    if (!fs.existsSync(dataDir)) {
-      fs.mkdirSync(dataDir, { recursive: true });
+  static getETag(group) {
+    return formatETag(GroupService.getVersion(group));
+  }
+
+  static withVersion(group) {
+    return group ? { ...group, version: GroupService.getVersion(group) } : group;
+  }
+
+  // Throws a PreconditionFailedError carrying the current group when the
+  // caller's If-Match header names a different version
+  static assertVersion(group, ifMatch) {
+    if (!ifMatchSatisfied(ifMatch, GroupService.getVersion(group))) {
+      throw new PreconditionFailedError('Group has been changed by someone else since it was loaded', GroupService.withVersion(group));
     }
-    if (!fs.existsSync(this.dataFile)) {
-      fs.writeFileSync(this.dataFile, JSON.stringify([]));
+  }
+
+  // Requests validate their fonts before queueing their write; this repeats
+  // the check in the queue in case a font was deleted in between
+  assertFontsExist(group) {
+    const errors = ValidationService.validateGroupFonts(group, this.getFontIds());
+    if (errors.length > 0) {
+      throw new HttpError(409, errors.map(error => error.message).join('; '), { body: { errors } });
     }
   }
 
   getAllGroups() {
     try {
-      const data = fs.readFileSync(this.dataFile, 'utf8');
-      return JSON.parse(data);
+      return this.records.getAll('groups').map(GroupService.withVersion);
     } catch (error) {
       console.error('Error reading groups:', error);
       return [];
     }
   }
 
-  createGroup(group) {
+  getGroup(id) {
     try {
-      const groups = this.getAllGroups();
-      const newGroup = {
-        id: Date.now().toString(),
-        ...group,
-        createdAt: new Date().toISOString()
-      };
-      groups.push(newGroup);
-      fs.writeFileSync(this.dataFile, JSON.stringify(groups, null, 2));
-      return newGroup;
+      return GroupService.withVersion(this.records.get('groups', id));
     } catch (error) {
-      console.error('Error creating group:', error);
+      console.error('Error reading group:', error);
       return null;
     }
   }
 
-  updateGroup(id, updatedGroup) {
-    try {
-      const groups = this.getAllGroups();
-      const index = groups.findIndex(group => group.id === id);
-      if (index !== -1) {
-        groups[index] = { ...groups[index], ...updatedGroup, updatedAt: new Date().toISOString() };
-        fs.writeFileSync(this.dataFile, JSON.stringify(groups, null, 2));
-        return groups[index];
+  // Any `id` in `group` is ignored; new groups always get a fresh one
+  createGroup(group, { author = null } = {}) {
+    return this.writeQueue.run(() => {
+      this.assertFontsExist(group);
+      const { id: ignoredId, ...fields } = group;
+      try {
+        const id = crypto.randomUUID();
+        // put() would silently replace an existing group
+        if (this.records.get('groups', id)) {
+          throw new Error(`Group ${id} already exists`);
+        }
+        const newGroup = this.records.put('groups', {
+          ...fields,
+          id,
+          version: 1,
+          createdAt: new Date().toISOString()
+        });
+        this.revisionService.record(newGroup.id, 'create', newGroup, { author });
+        return newGroup;
+      } catch (error) {
+        console.error('Error creating group:', error);
+        return null;
+      }
+    });
+  }
+
+  // Resolves to null if the group does not exist and rejects with a
+  // PreconditionFailedError if `ifMatch` is stale
+  updateGroup(id, updatedGroup, { author = null, ifMatch } = {}) {
+    return this.writeQueue.run(() => {
+      const previous = this.getGroup(id);
+      if (!previous) {
+        return null;
+      }
+      GroupService.assertVersion(previous, ifMatch);
+      this.assertFontsExist({ ...previous, ...updatedGroup });
+      try {
+        const group = this.records.put('groups', {
+          ...previous,
+          ...updatedGroup,
+          id,
+          version: previous.version + 1,
+          updatedAt: new Date().toISOString()
+        });
+        this.revisionService.record(id, 'update', group, { previous, author });
+        return group;
+      } catch (error) {
+        console.error('Error updating group:', error);
+        return null;
+      }
+    });
+  }
+
+  // Puts a group back to a revision's snapshot, recreating it under the same
+  // ID if it has since been deleted
+  restoreGroup(id, revision, { author = null } = {}) {
+    return this.writeQueue.run(() => {
+      this.assertFontsExist(revision.snapshot);
+      try {
+        const previous = this.getGroup(id);
+        // A recreated group carries on from the highest version it ever had
+        const latestVersion = previous ? previous.version : Math.max(0, ...this.revisionService.getHistory(id)
+          .filter(entry => entry.snapshot)
+          .map(entry => GroupService.getVersion(entry.snapshot)));
+        const { updatedAt, ...snapshot } = revision.snapshot;
+        const restored = this.records.put('groups', {
+          ...snapshot,
+          id,
+          version: latestVersion + 1,
+          updatedAt: new Date().toISOString()
+        });
+        this.revisionService.record(id, 'restore', restored, { previous, author, restoredFrom: revision.rev });
+        return restored;
+      } catch (error) {
+        console.error('Error restoring group:', error);
+        return null;
+      }
+    });
+  }
+
+  // "Title" if it is free, otherwise "Title (2)", "Title (3)" and so on
+  getAvailableTitle(title) {
+    const titles = new Set(this.getAllGroups().map(group => group.title));
+    let candidate = title;
+    for (let suffix = 2; titles.has(candidate); suffix++) {
+      candidate = `${title} (${suffix})`;
+    }
+    return candidate;
+  }
+
+  // Number of groups each font ID appears in
+  getFontUsageCounts() {
+    const counts = {};
+    this.getAllGroups().forEach(group => {
+      new Set((group.fonts || []).map(font => font.selectedFont)).forEach(fontId => {
+        counts[fontId] = (counts[fontId] || 0) + 1;
+      });
+    });
+    return counts;
+  }
+
+  // Groups that contain all of `fontIds` and were created after `createdAfter`
+  static filterGroups(groups, { fontIds = null, createdAfter = null } = {}) {
+    return groups.filter(group => (
+      (!fontIds || fontIds.every(fontId => (group.fonts || []).some(font => font.selectedFont === fontId))) &&
+      (!createdAfter || (group.createdAt && new Date(group.createdAt) > createdAfter))
+    ));
+  }
+
+  getGroupsUsingFont(fontId) {
+    return this.getAllGroups().filter(group =>
+      (group.fonts || []).some(font => font.selectedFont === fontId)
+    );
+  }
+
+  /**
+   * Deletes a font with `deleteFont` (which returns false if the font does
+   * not exist), all inside the write queue so no group can start using the
+   * font between the reference check and the deletion. If groups use the
+   * font this rejects with a 409 listing them, unless `removeFromGroups` is
+   * set: then the font is deleted first and dropped from those groups after,
+   * so a failed delete leaves the groups untouched.
+   * Groups may end up below the two-font minimum; they are kept so that
+   * someone can pick replacements rather than losing the group outright.
+   * Resolves to the changed groups, or null if the font does not exist.
+   */
+  deleteFont(fontId, deleteFont, { removeFromGroups = false, author = null } = {}) {
+    return this.writeQueue.run(() => {
+      if (!this.getFontIds().has(fontId)) {
+        return null;
+      }
+      const referencingGroups = this.getGroupsUsingFont(fontId);
+      if (referencingGroups.length > 0 && !removeFromGroups) {
+        throw new HttpError(409, `Font is used by ${referencingGroups.length} group(s): ${referencingGroups.map(group => group.title).join(', ')}`, {
+          body: { groups: referencingGroups.map(group => ({ id: group.id, title: group.title })) }
+        });
+      }
+      if (!deleteFont()) {
+        throw new Error(`Failed to delete font ${fontId}`);
+      }
+      return referencingGroups.map(previous => {
+        const group = this.records.put('groups', {
+          ...previous,
+          fonts: previous.fonts.filter(font => font.selectedFont !== fontId),
+          version: previous.version + 1,
+          updatedAt: new Date().toISOString()
+        });
+        this.revisionService.record(group.id, 'update', group, { previous, author });
+        return group;
+      });
+    });
+  }
+
+  // Points group entries at new font IDs, e.g. after legacy IDs were replaced
+  replaceFontIds(idMap) {
+    return this.writeQueue.run(() => {
+      try {
+        this.getAllGroups().forEach(group => {
+          const fonts = group.fonts || [];
+          if (fonts.some(font => idMap[font.selectedFont])) {
+            this.records.put('groups', {
+              ...group,
+              fonts: fonts.map(font => (idMap[font.selectedFont] ? { ...font, selectedFont: idMap[font.selectedFont] } : font)),
+              version: group.version + 1
+            });
+          }
+        });
+      } catch (error) {
+        console.error('Error updating group font references:', error);
       }
+    });
+  }
+
+  // Resolves to false if the group does not exist and rejects with a
+  // PreconditionFailedError if `ifMatch` is stale
+  deleteGroup(id, { author = null, ifMatch } = {}) {
+    return this.writeQueue.run(() => {
+      const previous = this.getGroup(id);
+      if (!previous) {
+        return false;
+      }
+      GroupService.assertVersion(previous, ifMatch);
+      try {
+        if (!this.records.delete('groups', id)) {
+          return false;
+        }
+        this.revisionService.record(id, 'delete', null, { previous, author });
+        return true;
+      } catch (error) {
+        console.error('Error deleting group:', error);
+        return false;
+      }
+    });
+  }
+}
+
+// Holds uploads that passed structural validation with warnings until an
+// admin releases or discards them. Entries live in the 'quarantine'
+// collection and files in their own blob store under data/, so they are
+// never served.
+class QuarantineService {
+  constructor(records, blobs) {
+    this.records = records;
+    this.blobs = blobs;
+    this.migrateLegacyRecords();
+  }
+
+  // Entries used to be JSON files next to the quarantined fonts
+  migrateLegacyRecords() {
+    try {
+      this.blobs.list().filter(key => key.endsWith('.json')).forEach(key => {
+        this.records.put('quarantine', JSON.parse(this.blobs.get(key).toString('utf8')));
+        this.blobs.delete(key);
+      });
+    } catch (error) {
+      console.error('Error migrating quarantine records:', error);
+    }
+  }
+
+  getAllEntries() {
+    try {
+      return this.records.getAll('quarantine')
+        .sort((a, b) => a.quarantinedAt.localeCompare(b.quarantinedAt));
+    } catch (error) {
+      console.error('Error reading quarantine:', error);
+      return [];
+    }
+  }
+
+  getEntry(id) {
+    try {
+      return this.records.get('quarantine', id);
+    } catch (error) {
+      console.error('Error reading quarantine entry:', error);
       return null;
+    }
+  }
+
+  openEntryFile(entry) {
+    return this.blobs.createReadStream(entry.storedFile);
+  }
+
+  // `upload` is { originalname, size, hash, data } as from FontService.takeUpload
+  quarantine(upload, report) {
+    const id = crypto.randomBytes(8).toString('hex');
+    const storedFile = this.blobs.put(upload.data, { name: `${id}${FORMAT_EXTENSIONS[report.format]}`, hash: upload.hash });
+
+    let metadata = {};
+    try {
+      metadata = readFontMetadata(upload.data);
     } catch (error) {
-      console.error('Error updating group:', error);
+      console.error('Error reading metadata for quarantined font:', error.message);
+    }
+
+    return this.records.put('quarantine', {
+      id,
+      originalname: upload.originalname,
+      storedFile,
+      hash: upload.hash,
+      format: report.format,
+      size: upload.size,
+      quarantinedAt: new Date().toISOString(),
+      warnings: report.warnings,
+      metadata
+    });
+  }
+
+  // Moves a quarantined file into the font library and returns its font record
+  release(id, fontService) {
+    const entry = this.getEntry(id);
+    if (!entry) {
       return null;
     }
+    const font = fontService.saveFont(
+      { originalname: entry.originalname, hash: entry.hash, data: this.blobs.get(entry.storedFile) },
+      entry.format
+    );
+    this.blobs.delete(entry.storedFile);
+    this.records.delete('quarantine', id);
+    return font;
   }
 
-  deleteGroup(id) {
+  discard(id) {
     try {
-      const groups = this.getAllGroups();
-      const filteredGroups = groups.filter(group => group.id !== id);
-      fs.writeFileSync(this.dataFile, JSON.stringify(filteredGroups, null, 2));
+      const entry = this.getEntry(id);
+      if (!entry) {
+        return false;
+      }
+      this.blobs.delete(entry.storedFile);
+      this.records.delete('quarantine', id);
       return true;
     } catch (error) {
-      console.error('Error deleting group:', error);
+      console.error('Error discarding quarantined font:', error);
       return false;
     }
   }
 }
 
-// SOLID Principle: Single Responsibility - Validation service
-class ValidationService {
-  static validateTTFFile(file) {
-    return file && file.mimetype === 'font/ttf' || file.originalname.toLowerCase().endsWith('.ttf');
+// SOLID Principle: Single Responsibility - Packages a group for hand-off
+class ExportService {
+  constructor(fontService) {
+    this.fontService = fontService;
   }
 
-  static validateGroup(group) {
-    return group.title && 
-           group.fonts && 
-           Array.isArray(group.fonts) && 
-           group.fonts.length >= 2;
+  static getLicenseText(font) {
+    const sections = [];
+    if (font.copyright) sections.push(font.copyright);
+    if (font.license) sections.push(font.license);
+    if (font.licenseUrl) sections.push(`License URL: ${font.licenseUrl}`);
+    return sections.length > 0 ? `${font.fullName || font.name}\n\n${sections.join('\n\n')}\n` : null;
+  }
+
+  getBundleName(group) {
+    return slugify(group.title);
+  }
+
+  // Writes the group's fonts, stylesheet, manifest and license texts to
+  // `output` as a ZIP archive. Fonts that no longer exist are skipped.
+  async writeGroupBundle(group, output) {
+    const allFonts = this.fontService.getAllFonts();
+    const root = this.getBundleName(group);
+    const zip = new ZipWriter(output);
+    const bundled = [];
+    const manifestFonts = [];
+
+    for (const row of group.fonts || []) {
+      const font = allFonts.find(item => item.id === row.selectedFont);
+      if (!font) continue;
+
+      const entry = {
+        name: row.name || font.name,
+        role: row.role || null,
+        variation: row.variation || null,
+        fontId: font.id,
+        family: font.familyName || null,
+        style: font.styleName || null,
+        weight: font.weightClass || null,
+        italic: Boolean(font.italic),
+        format: font.format,
+        hash: font.hash,
+        file: `fonts/${font.filename}`,
+        license: null,
+        licenseStatus: font.licenseStatus.status,
+        licenseOverride: font.licenseOverride
+      };
+
+      if (!bundled.some(item => item.id === font.id)) {
+        const data = this.fontService.readFontFile(font.id);
+        // WOFF and WOFF2 are already compressed
+        await zip.addFile(`${root}/${entry.file}`, data, { compress: font.format === 'ttf' || font.format === 'otf' });
+
+        const licenseText = ExportService.getLicenseText(font);
+        const licenseFile = licenseText ? `licenses/${path.parse(font.filename).name}.txt` : null;
+        if (licenseFile) {
+          await zip.addFile(`${root}/${licenseFile}`, licenseText);
+        }
+        bundled.push({ ...font, path: entry.file, licenseFile });
+      }
+      entry.license = bundled.find(item => item.id === font.id).licenseFile;
+      manifestFonts.push(entry);
+    }
+
+    const stylesheet = `${root}.css`;
+    await zip.addFile(`${root}/${stylesheet}`, buildGroupStylesheet(group, bundled, bundled));
+    await zip.addFile(`${root}/manifest.json`, JSON.stringify({
+      title: group.title,
+      groupId: group.id,
+      exportedAt: new Date().toISOString(),
+      stylesheet,
+      fonts: manifestFonts
+    }, null, 2));
+    await zip.finish();
   }
 }
 
-// Initialize services
-const fontService = new FontService();
-const groupService = new GroupService();
-
-const server = http.createServer((req, res) => {
-    // CORS Headers
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-
-    if (req.method === 'OPTIONS') {
-        res.writeHead(204);
-        res.end();
-        return;
+// SOLID Principle: Single Responsibility - Reads bundles made by ExportService
+class ImportService {
+  constructor(fontService, groupService, quarantineService) {
+    this.fontService = fontService;
+    this.groupService = groupService;
+    this.quarantineService = quarantineService;
+  }
+
+  // The manifest may sit at the root of the archive or inside one folder
+  static findManifest(entries) {
+    const manifests = entries.filter(entry => path.posix.basename(entry.name) === 'manifest.json');
+    manifests.sort((a, b) => a.name.split('/').length - b.name.split('/').length);
+    return manifests[0] || null;
+  }
+
+  static readManifest(entry) {
+    let manifest;
+    try {
+      manifest = JSON.parse(entry.read().toString('utf8'));
+    } catch (error) {
+      throw new ZipError(`manifest.json could not be read: ${error.message}`);
     }
-    const { url, method } = req;
-
-    // API Routes
-    if (url.startsWith('/api/')) {
-        if (url === '/api/fonts' && method === 'GET') {
-            try {
-                const fonts = fontService.getAllFonts();
-                res.writeHead(200, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify(fonts));
-            } catch (error) {
-                res.writeHead(500, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: 'Failed to fetch fonts' }));
-            }
-        } else if (url === '/api/fonts/upload' && method === 'POST') {
-            let body = [];
-            req.on('data', (chunk) => {
-                body.push(chunk);
-            }).on('end', () => {
-                body = Buffer.concat(body);
-                // This is a simplified parser for multipart/form-data.
-                // A more robust solution would be needed for production.
-                const boundary = req.headers['content-type'].split('; ')[1].replace('boundary=', '');
-                const parts = body.toString().split(boundary).slice(1, -1);
-                const filePart = parts[0];
-                const contentDisposition = filePart.match(/Content-Disposition: form-data; name="font"; filename="(.+?)"/);
-                if (contentDisposition) {
-                    const filename = contentDisposition[1];
-                    const fileContent = filePart.split('\r\n\r\n')[1];
-                    const filePath = path.join(fontService.uploadsDir, filename);
-                    fs.writeFileSync(filePath, fileContent, 'binary');
-                    const font = {
-                        id: filename.replace('.ttf', ''),
-                        name: filename.replace('.ttf', ''),
-                        filename: filename,
-                        path: `/uploads/fonts/${filename}`
-                    };
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify(font));
-                } else {
-                    res.writeHead(400, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ error: 'Invalid file upload' }));
-                }
-            });
-        } else if (url.startsWith('/api/fonts/') && method === 'DELETE') {
-            const filename = url.split('/')[3];
-            try {
-                const success = fontService.deleteFont(filename);
-                if (success) {
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ message: 'Font deleted successfully' }));
-                } else {
-                    res.writeHead(404, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ error: 'Font not found' }));
-                }
-            } catch (error) {
-                res.writeHead(500, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: 'Failed to delete font' }));
-            }
-        } else if (url === '/api/groups' && method === 'GET') {
-            try {
-                const groups = groupService.getAllGroups();
-                res.writeHead(200, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify(groups));
-            } catch (error) {
-                res.writeHead(500, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: 'Failed to fetch groups' }));
-            }
-        } else if (url === '/api/groups' && method === 'POST') {
-            let body = '';
-            req.on('data', chunk => {
-                body += chunk.toString();
-            });
-            req.on('end', () => {
-                try {
-                    const groupData = JSON.parse(body);
-                    if (!ValidationService.validateGroup(groupData)) {
-                        res.writeHead(400, { 'Content-Type': 'application/json' });
-                        res.end(JSON.stringify({ error: 'Invalid group data. Must have title and at least 2 fonts.' }));
-                        return;
-                    }
-                    const group = groupService.createGroup(groupData);
-                    if (group) {
-                        res.writeHead(201, { 'Content-Type': 'application/json' });
-                        res.end(JSON.stringify(group));
-                    } else {
-                        res.writeHead(500, { 'Content-Type': 'application/json' });
-                        res.end(JSON.stringify({ error: 'Failed to create group' }));
-                    }
-                } catch (error) {
-                    res.writeHead(500, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ error: 'Failed to create group' }));
-                }
-            });
-        } else if (url.startsWith('/api/groups/') && method === 'PUT') {
-            const id = url.split('/')[3];
-            let body = '';
-            req.on('data', chunk => {
-                body += chunk.toString();
-            });
-            req.on('end', () => {
-                try {
-                    const groupData = JSON.parse(body);
-                    if (!ValidationService.validateGroup(groupData)) {
-                        res.writeHead(400, { 'Content-Type': 'application/json' });
-                        res.end(JSON.stringify({ error: 'Invalid group data. Must have title and at least 2 fonts.' }));
-                        return;
-                    }
-                    const group = groupService.updateGroup(id, groupData);
-                    if (group) {
-                        res.writeHead(200, { 'Content-Type': 'application/json' });
-                        res.end(JSON.stringify(group));
-                    } else {
-                        res.writeHead(404, { 'Content-Type': 'application/json' });
-                        res.end(JSON.stringify({ error: 'Group not found' }));
-                    }
-                } catch (error) {
-                    res.writeHead(500, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ error: 'Failed to update group' }));
-                }
-            });
-        } else if (url.startsWith('/api/groups/') && method === 'DELETE') {
-            const id = url.split('/')[3];
-            try {
-                const success = groupService.deleteGroup(id);
-                if (success) {
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ message: 'Group deleted successfully' }));
-                } else {
-                    res.writeHead(404, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ error: 'Group not found' }));
-                }
-            } catch (error) {
-                res.writeHead(500, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: 'Failed to delete group' }));
-            }
-        } else {
-            res.writeHead(404, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Not Found' }));
-        }
-    } else {
-        // Static file serving
-        let filePath = path.join(__dirname, url);
-        if (url === '/') {
-            filePath = path.join(__dirname, 'client/build', 'index.html');
-        } else if (url.startsWith('/uploads/')) {
-            filePath = path.join(__dirname, url);
-        } else {
-            filePath = path.join(__dirname, 'client/build', url);
-        }
+    if (!manifest || typeof manifest.title !== 'string' || !manifest.title.trim() || !Array.isArray(manifest.fonts)) {
+      throw new ZipError('manifest.json must have a title and a fonts array');
+    }
+    return manifest;
+  }
 
-        const extname = String(path.extname(filePath)).toLowerCase();
-        const mimeTypes = {
-            '.html': 'text/html',
-            '.js': 'text/javascript',
-            '.css': 'text/css',
-            '.json': 'application/json',
-            '.png': 'image/png',
-            '.jpg': 'image/jpg',
-            '.gif': 'image/gif',
-            '.svg': 'image/svg+xml',
-            '.wav': 'audio/wav',
-            '.mp4': 'video/mp4',
-            '.woff': 'application/font-woff',
-            '.ttf': 'application/font-ttf',
-            '.eot': 'application/vnd.ms-fontobject',
-            '.otf': 'application/font-otf',
-            '.wasm': 'application/wasm'
-        };
-
-        const contentType = mimeTypes[extname] || 'application/octet-stream';
-
-        fs.readFile(filePath, (error, content) => {
-            if (error) {
-                if(error.code == 'ENOENT'){
-                    // If file not found, serve index.html for client-side routing
-                    fs.readFile(path.join(__dirname, 'client/build', 'index.html'), (err, cont) => {
-                        if (err) {
-                            res.writeHead(500);
-                            res.end('Sorry, check with the site admin for error: '+err.code+' ..\n');
-                        } else {
-                            res.writeHead(200, { 'Content-Type': 'text/html' });
-                            res.end(cont, 'utf-8');
-                        }
-                    });
-                }
-                else {
-                    res.writeHead(500);
-                    res.end('Sorry, check with the site admin for error: '+error.code+' ..\n');
-                }
-            } else {
-                res.writeHead(200, { 'Content-Type': contentType });
-                res.end(content, 'utf-8');
-            }
-        });
+  // Registers one font file from the archive. Returns the font record, or
+  // `{ reason }` if it could not be added to the library.
+  importFontFile(data, originalname, details) {
+    const report = validateFont(data);
+    if (report.errors.length > 0) {
+      return { reason: report.errors.map(problem => problem.message).join('; ') };
     }
+
+    const hash = FontService.hashData(data);
+    const existing = this.fontService.getFontByHash(hash);
+    if (existing) {
+      return { ...existing, duplicate: true };
+    }
+
+    const upload = { originalname, size: data.length, hash, data };
+    if (report.warnings.length > 0) {
+      const entry = this.quarantineService.quarantine(upload, report);
+      return { reason: `Held in quarantine for review (${entry.id})` };
+    }
+    return this.fontService.saveFont(upload, report.format, details);
+  }
+
+  /**
+   * Imports a bundle archive. Resolves to `{ group, created, reused, skipped }`;
+   * `group` is null when fewer than two of its fonts could be imported.
+   */
+  async importBundle(buffer, details = {}) {
+    const entries = readZipEntries(buffer, { maxEntrySize: MAX_FONT_SIZE });
+    const manifestEntry = ImportService.findManifest(entries);
+    if (!manifestEntry) {
+      throw new ZipError('Archive does not contain a manifest.json');
+    }
+    const manifest = ImportService.readManifest(manifestEntry);
+    const root = path.posix.dirname(manifestEntry.name);
+    const result = { group: null, created: [], reused: [], skipped: [] };
+    const fontsByFile = new Map();
+    const rows = [];
+
+    manifest.fonts.forEach((item, index) => {
+      const file = item && typeof item.file === 'string' ? item.file : null;
+      if (!file) {
+        result.skipped.push({ file: null, reason: `Manifest font ${index + 1} has no file` });
+        return;
+      }
+
+      if (!fontsByFile.has(file)) {
+        const entryName = root === '.' ? file : `${root}/${file}`;
+        const entry = entries.find(candidate => candidate.name === entryName);
+        let font;
+        try {
+          font = entry ? this.importFontFile(entry.read(), path.posix.basename(file), details) : { reason: 'File is missing from the archive' };
+        } catch (error) {
+          font = { reason: error.message };
+        }
+
+        if (font.reason) {
+          result.skipped.push({ file, reason: font.reason });
+        } else if (font.duplicate) {
+          const { duplicate, ...record } = font;
+          result.reused.push({ file, font: record });
+        } else {
+          result.created.push({ file, font });
+        }
+        fontsByFile.set(file, font.reason ? null : font);
+      }
+
+      const font = fontsByFile.get(file);
+      if (font && !rows.some(row => row.selectedFont === font.id)) {
+        const row = { name: String(item.name || font.name).slice(0, 200), selectedFont: font.id };
+        // Like pins, roles that are unknown or already taken are dropped
+        if (GROUP_ROLES.includes(item.role) &&
+            !(SINGLE_FONT_ROLES.includes(item.role) && rows.some(other => other.role === item.role))) {
+          row.role = item.role;
+        }
+        // Pins that do not fit the imported font are dropped rather than failing the import
+        if (item.variation && !ValidationService.getVariationError(item.variation, font)) {
+          row.variation = item.variation;
+        }
+        rows.push(row);
+      }
+    });
+
+    if (rows.length < 2) {
+      result.skipped.push({ file: manifestEntry.name, reason: 'Group was not created because fewer than 2 of its fonts could be imported' });
+      return result;
+    }
+
+    result.group = await this.groupService.createGroup({
+      title: this.groupService.getAvailableTitle(manifest.title.trim()),
+      fonts: rows
+    }, { author: details.author || details.uploadedBy || null });
+    if (!result.group) {
+      throw new Error('Failed to create group');
+    }
+    return result;
+  }
+}
+
+// Searches fonts and groups through one inverted index. The index is built
+// on first use and dropped whenever a font or group record changes, so the
+// next search sees the change.
+class SearchService {
+  constructor(records, fontService, groupService) {
+    this.fontService = fontService;
+    this.groupService = groupService;
+    this.index = null;
+    records.on('change', (collection) => {
+      if (collection === 'fonts' || collection === 'groups') {
+        this.index = null;
+      }
+    });
+  }
+
+  buildIndex() {
+    const index = new SearchIndex();
+    const fonts = this.fontService.getAllFonts();
+    const fontsById = new Map(fonts.map(font => [font.id, font]));
+
+    fonts.forEach(font => {
+      index.add(`font:${font.id}`, {
+        type: 'font',
+        id: font.id,
+        title: font.name,
+        subtitle: [font.familyName, font.styleName].filter(Boolean).join(' ') || null
+      }, [
+        { name: 'name', text: [font.displayName, font.name], weight: 3 },
+        { name: 'family', text: [font.familyName, font.styleName, font.fullName], weight: 2 },
+        { name: 'tags', text: font.tags, weight: 2 },
+        { name: 'details', text: [font.designer, font.foundry, font.description, font.filename], weight: 1 }
+      ]);
+    });
+
+    this.groupService.getAllGroups().forEach(group => {
+      const rows = group.fonts || [];
+      // The fonts' own names let "condensed sans" find groups built from such fonts
+      const rowFonts = rows.map(row => fontsById.get(row.selectedFont)).filter(Boolean);
+      index.add(`group:${group.id}`, {
+        type: 'group',
+        id: group.id,
+        title: group.title,
+        subtitle: rows.map(row => row.name).filter(Boolean).join(', ') || null
+      }, [
+        { name: 'title', text: group.title, weight: 3 },
+        { name: 'fontNames', text: rows.map(row => row.name), weight: 2 },
+        { name: 'fonts', text: rowFonts.flatMap(font => [font.name, font.familyName, font.styleName]), weight: 1 }
+      ]);
+    });
+
+    return index;
+  }
+
+  // Results are { type, id, title, subtitle, score, matches }, best first
+  search(query, { type = null, limit = 20 } = {}) {
+    if (!this.index) {
+      this.index = this.buildIndex();
+    }
+    // Over-fetch when filtering by type so the limit still applies after it
+    return this.index.search(query, { limit: type ? Infinity : limit })
+      .filter(result => !type || result.document.type === type)
+      .slice(0, limit)
+      .map(result => ({ ...result.document, score: result.score, matches: result.fields }));
+  }
+}
+
+// Character coverage of fonts and groups, from each font's cmap. Code point
+// lists are cached by content hash, so they are read once per file.
+class CoverageService {
+  constructor(fontService) {
+    this.fontService = fontService;
+    this.codepointCache = new Map();
+  }
+
+  getCodepoints(font) {
+    if (!this.codepointCache.has(font.hash)) {
+      let codepoints = [];
+      try {
+        codepoints = readCodepoints(this.fontService.readFontFile(font.id));
+      } catch (error) {
+        console.error(`Error reading cmap of ${font.filename}:`, error.message);
+      }
+      this.codepointCache.set(font.hash, codepoints);
+    }
+    return this.codepointCache.get(font.hash);
+  }
+
+  // `options` are { sets, chars } as taken by resolveCharacterSets; null if
+  // the font does not exist
+  getFontCoverage(id, { sets = null, chars = null } = {}) {
+    const font = this.fontService.getFont(id);
+    if (!font) {
+      return null;
+    }
+    const characterSets = resolveCharacterSets(sets, chars);
+    return { fontId: font.id, name: font.name, ...analyzeCoverage(this.getCodepoints(font), characterSets) };
+  }
+
+  // Fonts the group references that no longer exist are left out
+  getGroupCoverage(group, { sets = null, chars = null } = {}) {
+    const characterSets = resolveCharacterSets(sets, chars);
+    const fonts = (group.fonts || [])
+      .map(row => this.fontService.getFont(row.selectedFont))
+      .filter(Boolean)
+      .filter((font, index, all) => all.findIndex(other => other.id === font.id) === index)
+      .map(font => ({ id: font.id, name: font.name, codepoints: this.getCodepoints(font) }));
+    return { groupId: group.id, title: group.title, ...analyzeGroupCoverage(fonts, characterSets) };
+  }
+}
+
+// SVG specimens drawn from font outlines, so they show up in emails and docs
+// without loading the font. Parsed glyph sets are kept for the most recently
+// used files, keyed by content hash.
+class SpecimenService {
+  constructor(fontService) {
+    this.fontService = fontService;
+    this.glyphSetCache = new Map();
+  }
+
+  // Throws SfntError when the font's outlines cannot be read
+  getGlyphSet(font) {
+    let glyphSet = this.glyphSetCache.get(font.hash);
+    if (glyphSet) {
+      // Re-insert so the map stays in least recently used order
+      this.glyphSetCache.delete(font.hash);
+    } else {
+      glyphSet = readGlyphSet(this.fontService.readFontFile(font.id));
+    }
+    this.glyphSetCache.set(font.hash, glyphSet);
+    if (this.glyphSetCache.size > MAX_CACHED_GLYPH_SETS) {
+      this.glyphSetCache.delete(this.glyphSetCache.keys().next().value);
+    }
+    return glyphSet;
+  }
+
+  // `options` are { text, size } as returned by resolveSpecimenOptions;
+  // null if the font does not exist
+  renderFontSpecimen(id, options) {
+    const font = this.fontService.getFont(id);
+    if (!font) {
+      return null;
+    }
+    try {
+      return renderSpecimenSvg(this.getGlyphSet(font), { ...options, title: font.name });
+    } catch (error) {
+      if (error instanceof SfntError) {
+        throw new SpecimenError(`Cannot draw ${font.name}: ${error.message}`, 422);
+      }
+      throw error;
+    }
+  }
+
+  // One block per distinct font in the group; fonts that no longer exist
+  // are left out and fonts that cannot be drawn say why
+  renderGroupSpecimen(group, options) {
+    const entries = (group.fonts || [])
+      .map(row => this.fontService.getFont(row.selectedFont))
+      .filter(Boolean)
+      .filter((font, index, all) => all.findIndex(other => other.id === font.id) === index)
+      .map(font => {
+        try {
+          // Outlines are read while laying out, so that can fail as well
+          return { label: font.name, layout: layoutGroupEntry(this.getGlyphSet(font), options) };
+        } catch (error) {
+          if (!(error instanceof SfntError)) throw error;
+          return { label: font.name, layout: null, error: `Cannot draw this font: ${error.message}` };
+        }
+      });
+    return renderGroupSpecimenSvg(entries, { ...options, title: group.title });
+  }
+}
+
+// Vertical metrics of fonts and metric-matched system fallbacks for groups.
+// Metrics are cached by content hash, like coverage.
+class MetricsService {
+  constructor(fontService) {
+    this.fontService = fontService;
+    this.metricsCache = new Map();
+  }
+
+  // { metrics } or { error } when the font's tables cannot be read
+  readMetrics(font) {
+    if (!this.metricsCache.has(font.hash)) {
+      let result;
+      try {
+        result = { metrics: readFontMetrics(this.fontService.readFontFile(font.id)) };
+      } catch (error) {
+        console.error(`Error reading metrics of ${font.filename}:`, error.message);
+        result = { error: error.message };
+      }
+      this.metricsCache.set(font.hash, result);
+    }
+    return this.metricsCache.get(font.hash);
+  }
+
+  // null if the font does not exist
+  getFontMetrics(id) {
+    const font = this.fontService.getFont(id);
+    if (!font) {
+      return null;
+    }
+    return { fontId: font.id, name: font.name, ...this.readMetrics(font) };
+  }
+
+  /**
+   * Fallback overrides for each distinct font in a group. `fallback` is a
+   * FALLBACK_FONTS key, or 'auto' to pick one per font by its tags. Fonts
+   * whose metrics cannot be read are listed under `skipped`.
+   */
+  getGroupFallbacks(group, { fallback = 'auto' } = {}) {
+    const fonts = [];
+    const skipped = [];
+    (group.fonts || [])
+      .map(row => this.fontService.getFont(row.selectedFont))
+      .filter(Boolean)
+      .filter((font, index, all) => all.findIndex(other => other.id === font.id) === index)
+      .forEach(font => {
+        const { metrics, error } = this.readMetrics(font);
+        if (!metrics) {
+          skipped.push({ fontId: font.id, name: font.name, error });
+          return;
+        }
+        const fallbackId = fallback === 'auto' ? pickFallbackFont(font) : fallback;
+        const fallbackFont = FALLBACK_FONTS[fallbackId];
+        fonts.push({
+          font,
+          fallback: fallbackFont,
+          overrides: computeFallbackOverrides(metrics, fallbackFont),
+          report: {
+            fontId: font.id,
+            name: font.name,
+            fallback: { id: fallbackId, name: fallbackFont.name },
+            fontFamily: buildFallbackStack(font, fallbackFont),
+            metrics
+          }
+        });
+      });
+
+    return {
+      groupId: group.id,
+      title: group.title,
+      fonts: fonts.map(entry => ({ ...entry.report, overrides: entry.overrides })),
+      skipped,
+      css: buildFallbackStylesheet(group, fonts)
+    };
+  }
+}
+
+// SOLID Principle: Single Responsibility - Keeps each font's license record,
+// attached license document and override. They are stored on the font's
+// catalog entry; documents live in their own blob store.
+class LicenseService {
+  constructor(records, fontService, documents) {
+    this.records = records;
+    this.fontService = fontService;
+    this.documents = documents;
+  }
+
+  // What clients see of an attached document; the blob key stays private
+  static toDocumentInfo({ blobKey, ...document }) {
+    return document;
+  }
+
+  // Resolves the font's catalog entry or throws a 404
+  getEntry(fontId) {
+    const entry = this.records.get('fonts', fontId);
+    if (!entry) {
+      throw new LicenseError('Font not found', 404);
+    }
+    return entry;
+  }
+
+  updateEntry(entry, changes) {
+    const updated = this.records.put('fonts', { ...entry, ...changes, updatedAt: new Date().toISOString() });
+    return this.fontService.toFontRecord(updated);
+  }
+
+  // `input` is validated by normalizeLicenseRecord; resolves to the font record
+  setRecord(fontId, input, { author = null } = {}) {
+    const entry = this.getEntry(fontId);
+    const record = normalizeLicenseRecord(input);
+    return this.updateEntry(entry, {
+      licenseRecord: { ...record, updatedBy: author, updatedAt: new Date().toISOString() }
+    });
+  }
+
+  // Lets a restricted font be used on the web anyway, noting who decided and why
+  setOverride(fontId, input, { author = null } = {}) {
+    const entry = this.getEntry(fontId);
+    return this.updateEntry(entry, {
+      licenseOverride: { reason: normalizeOverrideReason(input), recordedBy: author, recordedAt: new Date().toISOString() }
+    });
+  }
+
+  clearOverride(fontId) {
+    return this.updateEntry(this.getEntry(fontId), { licenseOverride: null });
+  }
+
+  // `upload` is { originalname, size, hash, data } as from FontService.takeUpload.
+  // Replaces any document attached before.
+  attachDocument(fontId, upload, { author = null } = {}) {
+    const entry = this.getEntry(fontId);
+    const originalName = path.basename(upload.originalname.replace(/\\/g, '/'));
+    const extension = path.extname(originalName).toLowerCase();
+    if (!LICENSE_DOCUMENT_TYPES[extension]) {
+      throw new LicenseError(`License documents must be one of: ${Object.keys(LICENSE_DOCUMENT_TYPES).join(', ')}`);
+    }
+    const blobKey = this.documents.put(upload.data, {
+      name: `${entry.id}-${crypto.randomBytes(4).toString('hex')}${extension}`,
+      hash: upload.hash
+    });
+    const previous = entry.licenseDocument;
+    const font = this.updateEntry(entry, {
+      licenseDocument: {
+        filename: originalName,
+        contentType: LICENSE_DOCUMENT_TYPES[extension],
+        size: upload.size,
+        uploadedBy: author,
+        uploadedAt: new Date().toISOString(),
+        blobKey
+      }
+    });
+    if (previous && previous.blobKey !== blobKey) {
+      this.deleteDocumentBlob(previous.blobKey);
+    }
+    return font;
+  }
+
+  // Returns { document, stream }, or null if the font has no document
+  openDocument(fontId) {
+    const document = this.getEntry(fontId).licenseDocument;
+    if (!document) {
+      return null;
+    }
+    return { document, stream: this.documents.createReadStream(document.blobKey) };
+  }
+
+  // Resolves to the font record, or null if the font had no document
+  removeDocument(fontId) {
+    const entry = this.getEntry(fontId);
+    if (!entry.licenseDocument) {
+      return null;
+    }
+    const font = this.updateEntry(entry, { licenseDocument: null });
+    this.deleteDocumentBlob(entry.licenseDocument.blobKey);
+    return font;
+  }
+
+  // Content-addressed stores share one blob between fonts given the same
+  // document, so it is only deleted once no font refers to it
+  deleteDocumentBlob(blobKey) {
+    const inUse = this.fontService.readCatalog()
+      .some(entry => entry.licenseDocument && entry.licenseDocument.blobKey === blobKey);
+    if (inUse) {
+      return;
+    }
+    try {
+      this.documents.delete(blobKey);
+    } catch (error) {
+      console.error('Error deleting license document:', error);
+    }
+  }
+
+  // The group's fonts, without repeats, with their combined license status
+  getGroupLicense(group) {
+    const fonts = (group.fonts || [])
+      .map(row => this.fontService.getFont(row.selectedFont))
+      .filter(Boolean)
+      .filter((font, index, all) => all.findIndex(other => other.id === font.id) === index);
+    return { groupId: group.id, title: group.title, ...summarizeLicenses(fonts) };
+  }
+
+  /**
+   * Throws a 403 HttpError if any of `fonts` is restricted from web use and
+   * has no override. `action` names what is being refused, e.g. 'export'.
+   */
+  static assertWebUse(fonts, action) {
+    const restricted = fonts
+      .filter((font, index, all) => all.findIndex(other => other.id === font.id) === index)
+      .filter(font => font.licenseStatus.status === 'restricted')
+      .map(font => ({ fontId: font.id, name: font.name, problems: font.licenseStatus.problems }));
+    if (restricted.length > 0) {
+      const summary = restricted.map(font => `${font.name} (${font.problems.join('; ')})`).join(', ');
+      throw new HttpError(403, `Cannot ${action}: not licensed for web use: ${summary}. Record a license override to allow it.`, {
+        body: { fonts: restricted }
+      });
+    }
+  }
+}
+
+// Tags are labels on font catalog entries, matched without regard to case.
+// A tag exists while any font carries it; tags created before they are used
+// are also kept in the 'tags' collection so they can be offered in the UI.
+class TagService {
+  constructor(records, fontService) {
+    this.records = records;
+    this.fontService = fontService;
+  }
+
+  static getKey(name) {
+    return name.trim().toLowerCase();
+  }
+
+  // Drops `remove` from `tags` and appends any of `add` not already there,
+  // keeping the first spelling of each tag
+  static mergeTags(tags, { add = [], remove = [] } = {}) {
+    const removed = new Set(remove.map(TagService.getKey));
+    const seen = new Set();
+    return tags.filter(tag => !removed.has(TagService.getKey(tag))).concat(add).filter(tag => {
+      const key = TagService.getKey(tag);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  // Every tag as { name, count, createdAt }, sorted by name. `count` is the
+  // number of fonts carrying it; createdAt is null for tags only seen on fonts.
+  getAllTags() {
+    try {
+      const tags = new Map();
+      this.records.getAll('tags').forEach(record => {
+        tags.set(record.id, { name: record.name, count: 0, createdAt: record.createdAt || null });
+      });
+      this.fontService.getAllFonts().forEach(font => {
+        (font.tags || []).forEach(name => {
+          const key = TagService.getKey(name);
+          if (!tags.has(key)) {
+            tags.set(key, { name, count: 0, createdAt: null });
+          }
+          tags.get(key).count++;
+        });
+      });
+      return Array.from(tags.values()).sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+      console.error('Error reading tags:', error);
+      return [];
+    }
+  }
+
+  getTag(name) {
+    const key = TagService.getKey(name);
+    return this.getAllTags().find(tag => TagService.getKey(tag.name) === key) || null;
+  }
+
+  // Returns null if the tag already exists
+  createTag(name) {
+    if (this.getTag(name)) {
+      return null;
+    }
+    const record = this.records.put('tags', {
+      id: TagService.getKey(name),
+      name: name.trim(),
+      createdAt: new Date().toISOString()
+    });
+    return { name: record.name, count: 0, createdAt: record.createdAt };
+  }
+
+  /**
+   * Renames a tag on every font that has it. Renaming onto another existing
+   * tag merges the two. Resolves to `{ tag, fonts }` with the fonts that
+   * changed, or null if there is no such tag.
+   */
+  renameTag(name, newName) {
+    if (!this.getTag(name)) {
+      return null;
+    }
+    const key = TagService.getKey(name);
+    const newKey = TagService.getKey(newName);
+    const stored = this.records.get('tags', key);
+    const target = this.records.get('tags', newKey);
+    if (stored || target) {
+      if (stored) {
+        this.records.delete('tags', key);
+      }
+      this.records.put('tags', { ...(target || stored), id: newKey, name: newName.trim() });
+    }
+    const fonts = this.fontService.retagFonts(tags => TagService.mergeTags(tags.map(tag => (
+      [key, newKey].includes(TagService.getKey(tag)) ? newName.trim() : tag
+    ))));
+    return { tag: this.getTag(newName), fonts };
+  }
+
+  // Removes a tag from every font. Returns the fonts that changed, or null
+  // if there is no such tag.
+  deleteTag(name) {
+    if (!this.getTag(name)) {
+      return null;
+    }
+    this.records.delete('tags', TagService.getKey(name));
+    return this.fontService.retagFonts(tags => TagService.mergeTags(tags, { remove: [name] }));
+  }
+
+  // Adds and removes tags on several fonts at once; added tags take the
+  // spelling of an existing tag with the same name. Returns the fonts that changed.
+  tagFonts(fontIds, { add = [], remove = [] } = {}) {
+    const known = new Map(this.getAllTags().map(tag => [TagService.getKey(tag.name), tag.name]));
+    const added = add.map(tag => known.get(TagService.getKey(tag)) || tag.trim());
+    return this.fontService.retagFonts(tags => TagService.mergeTags(tags, { add: added, remove }), fontIds);
+  }
+}
+
+// SOLID Principle: Single Responsibility - Validation service
+class ValidationService {
+  // Runs the structural font checks on an upload from FontService.takeUpload.
+  // Returns { format, errors, warnings } as produced by lib/fontValidation.
+  static validateUpload(upload) {
+    try {
+      return validateFont(upload.data);
+    } catch (error) {
+      console.error('Error validating upload:', error);
+      return { format: null, errors: [{ code: 'UNREADABLE', message: 'Uploaded file could not be read' }], warnings: [] };
+    }
+  }
+
+  // Returns a list of problems with a catalog edit; empty when it is valid
+  static validateFontUpdate(update) {
+    const errors = [];
+    if (!update || typeof update !== 'object' || Array.isArray(update)) {
+      return ['Request body must be a JSON object'];
+    }
+    if (update.displayName !== undefined && update.displayName !== null &&
+        (typeof update.displayName !== 'string' || update.displayName.length > 200)) {
+      errors.push('displayName must be a string of at most 200 characters');
+    }
+    if (update.description !== undefined &&
+        (typeof update.description !== 'string' || update.description.length > 2000)) {
+      errors.push('description must be a string of at most 2000 characters');
+    }
+    if (update.tags !== undefined && !ValidationService.isValidTagList(update.tags)) {
+      errors.push('tags must be an array of non-empty strings of at most 50 characters');
+    }
+    return errors;
+  }
+
+  static isValidTag(tag) {
+    return typeof tag === 'string' && tag.trim().length > 0 && tag.length <= 50;
+  }
+
+  static isValidTagList(tags) {
+    return Array.isArray(tags) && tags.every(ValidationService.isValidTag);
+  }
+
+  // Bulk tagging: { fontIds, add, remove }, with at least one tag to add or remove
+  static validateBulkTag(body) {
+    const errors = [];
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return ['Request body must be a JSON object'];
+    }
+    if (!Array.isArray(body.fontIds) || body.fontIds.length === 0 || body.fontIds.some(id => typeof id !== 'string')) {
+      errors.push('fontIds must be a non-empty array of font IDs');
+    }
+    ['add', 'remove'].forEach(field => {
+      if (body[field] !== undefined && !ValidationService.isValidTagList(body[field])) {
+        errors.push(`${field} must be an array of non-empty strings of at most 50 characters`);
+      }
+    });
+    if ((body.add || []).length === 0 && (body.remove || []).length === 0) {
+      errors.push('Nothing to do: give tags to add or remove');
+    }
+    return errors;
+  }
+
+  // Admin endpoints are open unless ADMIN_TOKEN is configured
+  static isAdminRequest(req) {
+    const token = process.env.ADMIN_TOKEN;
+    return !token || req.headers['x-admin-token'] === token;
+  }
+
+  // Name sent by the client in X-Author for revision history, if any
+  static getRequestAuthor(req) {
+    const header = req.headers['x-author'];
+    if (!header) return null;
+    try {
+      return decodeURIComponent(header).trim().slice(0, 100) || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static validateGroup(group) {
+    return group.title && 
+           group.fonts && 
+           Array.isArray(group.fonts) && 
+           group.fonts.length >= 2;
+  }
+
+  // Checks each row's selectedFont against the known font IDs.
+  // Returns one { index, selectedFont, message } entry per bad row.
+  static validateGroupFonts(group, fontIds) {
+    const errors = [];
+    group.fonts.forEach((font, index) => {
+      const selectedFont = font && font.selectedFont;
+      if (!selectedFont) {
+        errors.push({ index, selectedFont: null, message: `Row ${index + 1} has no font selected` });
+      } else if (!fontIds.has(selectedFont)) {
+        errors.push({ index, selectedFont, message: `Row ${index + 1} references unknown font '${selectedFont}'` });
+      }
+    });
+    return errors;
+  }
+
+  // Checks each row's optional role. Same shape as validateGroupFonts; a
+  // role other than fallback may be given to one row only.
+  static validateGroupRoles(group) {
+    const errors = [];
+    const assigned = new Map();
+    group.fonts.forEach((row, index) => {
+      const role = row && row.role;
+      if (role === undefined || role === null) return;
+      if (!GROUP_ROLES.includes(role)) {
+        errors.push({ index, selectedFont: row.selectedFont || null, message: `Row ${index + 1}: role must be one of: ${GROUP_ROLES.join(', ')}` });
+      } else if (SINGLE_FONT_ROLES.includes(role) && assigned.has(role)) {
+        errors.push({ index, selectedFont: row.selectedFont || null, message: `Row ${index + 1}: only one font can have the ${role} role (already row ${assigned.get(role) + 1})` });
+      } else {
+        assigned.set(role, index);
+      }
+    });
+    return errors;
+  }
+
+  // Problem with one row's `variation` against its font, or null if it is
+  // valid. A variation is { instance } or { axes: { tag: value } }, not both.
+  static getVariationError(variation, font) {
+    if (variation === undefined || variation === null) {
+      return null;
+    }
+    if (typeof variation !== 'object' || Array.isArray(variation)) {
+      return 'variation must be an object';
+    }
+    if (!font.axes || font.axes.length === 0) {
+      return `${font.name} is not a variable font`;
+    }
+    const { instance, axes, ...rest } = variation;
+    if (Object.keys(rest).length > 0) {
+      return `variation has unknown fields: ${Object.keys(rest).join(', ')}`;
+    }
+    if (instance !== undefined && axes !== undefined) {
+      return 'variation can name an instance or set axes, not both';
+    }
+    if (instance !== undefined) {
+      return (font.instances || []).some(item => item.name === instance)
+        ? null
+        : `${font.name} has no named instance '${instance}'`;
+    }
+    if (!axes || typeof axes !== 'object' || Array.isArray(axes)) {
+      return 'variation.axes must be an object of axis tags to values';
+    }
+    for (const [tag, value] of Object.entries(axes)) {
+      const axis = font.axes.find(item => item.tag === tag);
+      if (!axis) {
+        return `${font.name} has no '${tag}' axis`;
+      }
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < axis.min || value > axis.max) {
+        return `${tag} must be a number from ${axis.min} to ${axis.max}`;
+      }
+    }
+    return null;
+  }
+
+  // Same shape as validateGroupFonts; rows are assumed to reference known fonts
+  static validateGroupVariations(group, fontsById) {
+    const errors = [];
+    group.fonts.forEach((row, index) => {
+      const font = fontsById.get(row.selectedFont);
+      const error = font && ValidationService.getVariationError(row.variation, font);
+      if (error) {
+        errors.push({ index, selectedFont: row.selectedFont, message: `Row ${index + 1}: ${error}` });
+      }
+    });
+    return errors;
+  }
+}
+
+// Initialize services
+const records = new ObservedRecordStore(createRecordStore(STORAGE_DRIVER, { directory: DATA_DIR }));
+const fontService = new FontService(records, createBlobStore(BLOB_STORE, { directory: FONTS_DIR }), {
+  tempDir: path.join(DATA_DIR, 'tmp')
+});
+const groupRevisionService = new GroupRevisionService(records);
+const groupService = new GroupService(records, groupRevisionService, {
+  getFontIds: () => fontService.getAllFontIds()
 });
+const quarantineService = new QuarantineService(records, createBlobStore(BLOB_STORE, {
+  directory: path.join(DATA_DIR, 'quarantine')
+}));
+const exportService = new ExportService(fontService);
+const importService = new ImportService(fontService, groupService, quarantineService);
+const searchService = new SearchService(records, fontService, groupService);
+const tagService = new TagService(records, fontService);
+const coverageService = new CoverageService(fontService);
+const specimenService = new SpecimenService(fontService);
+const metricsService = new MetricsService(fontService);
+const licenseService = new LicenseService(records, fontService, createBlobStore(BLOB_STORE, {
+  directory: path.join(DATA_DIR, 'license-documents')
+}));
+groupService.replaceFontIds(fontService.syncCatalog());
+
+// Routes
+const app = new Router();
+const parseJson = jsonBody({ limit: MAX_JSON_SIZE });
+
+app.use(requestLogger());
+app.use(cors({
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'X-Admin-Token', 'X-Author', 'If-Match'],
+    exposedHeaders: ['ETag']
+}));
+app.use(errorHandler());
+
+function requireAdmin(req, res, next) {
+    if (!ValidationService.isAdminRequest(req)) {
+        throw new HttpError(403, 'Admin token required');
+    }
+    return next();
+}
+
+function requireMultipart(req, res, next) {
+    req.boundary = getBoundary(req.headers['content-type']);
+    if (!req.boundary) {
+        throw new HttpError(400, 'Expected a multipart/form-data request');
+    }
+    return next();
+}
+
+// Checks `group` is complete and its fonts, roles and axis pins fit the
+// fonts as they are now; throws an HttpError with `statusCode` otherwise
+function assertValidGroup(group, statusCode) {
+    if (!ValidationService.validateGroup(group)) {
+        throw new HttpError(statusCode, 'Invalid group data. Must have title and at least 2 fonts.');
+    }
+    let fontErrors = ValidationService.validateGroupFonts(group, fontService.getAllFontIds());
+    fontErrors = fontErrors.concat(ValidationService.validateGroupRoles(group));
+    if (fontErrors.length === 0) {
+        const fontsById = new Map(fontService.getAllFonts().map(font => [font.id, font]));
+        fontErrors = ValidationService.validateGroupVariations(group, fontsById);
+    }
+    if (fontErrors.length > 0) {
+        throw new HttpError(statusCode, fontErrors.map(fontError => fontError.message).join('; '), { body: { errors: fontErrors } });
+    }
+}
+
+// Checks req.body is a complete group whose fonts all exist
+function validateGroupBody(req, res, next) {
+    assertValidGroup(req.body, 400);
+    return next();
+}
+
+// Reports a stale If-Match as 412 with the group as it is now
+function toConflictError(error) {
+    if (error instanceof PreconditionFailedError) {
+        return new HttpError(412, error.message, {
+            body: { group: error.current },
+            headers: { ETag: GroupService.getETag(error.current) }
+        });
+    }
+    return error;
+}
+
+function getUploadedBy(fields) {
+    return fields.uploadedBy ? fields.uploadedBy.trim().slice(0, 100) || null : null;
+}
+
+const FONT_SORT_FIELDS = {
+    name: font => font.name.toLowerCase(),
+    uploaded: font => font.uploadedAt || null,
+    size: font => font.size,
+    usage: font => font.usageCount
+};
+
+const GROUP_SORT_FIELDS = {
+    name: group => (group.title || '').toLowerCase(),
+    created: group => group.createdAt || null,
+    fonts: group => (group.fonts || []).length
+};
+
+// Filters: format, tag, weight, italic. Sorting and paging: see lib/listQuery.
+app.get('/api/fonts', (req, res) => {
+    const usage = groupService.getFontUsageCounts();
+    const fonts = FontService.filterFonts(fontService.getAllFonts(), {
+        formats: parseList(req.query, 'format'),
+        tags: parseList(req.query, 'tag'),
+        weight: parseRange(req.query, 'weight'),
+        italic: parseBoolean(req.query, 'italic')
+    }).map(font => ({ ...font, usageCount: usage[font.id] || 0 }));
+    sendJson(res, 200, paginate(fonts, req.query, { sortFields: FONT_SORT_FIELDS, defaultSort: 'uploaded' }));
+});
+
+app.post('/api/fonts/upload', requireMultipart, async (req, res) => {
+    const { fields, files } = await parseMultipart(req, {
+        boundary: req.boundary,
+        uploadDir: fontService.tempDir,
+        maxFileSize: MAX_FONT_SIZE,
+        fileFilter: (part) => part.fieldname === 'font'
+    });
+    if (files.length === 0) {
+        throw new HttpError(400, 'Invalid file upload');
+    }
+    let uploads;
+    try {
+        uploads = files.map(file => fontService.takeUpload(file));
+    } finally {
+        // takeUpload removes the temp file it reads; if one of them threw,
+        // the files after it are still on disk
+        files.forEach(file => fontService.discardUpload(file));
+    }
+    const reports = uploads.map(upload => ValidationService.validateUpload(upload));
+    const rejected = uploads
+        .map((upload, index) => ({ file: upload.originalname, ...reports[index] }))
+        .filter(result => result.errors.length > 0);
+    if (rejected.length > 0) {
+        const summary = rejected
+            .map(result => `${result.file}: ${result.errors.map(problem => problem.message).join('; ')}`)
+            .join(' | ');
+        throw new HttpError(400, `Font validation failed - ${summary}`, { body: { problems: rejected } });
+    }
+    const uploadedBy = getUploadedBy(fields);
+    // Loadable files with warnings are held back for review instead of published
+    const fonts = uploads.map((upload, index) => (
+        reports[index].warnings.length > 0 && !fontService.getFontByHash(upload.hash)
+            ? { quarantined: true, ...quarantineService.quarantine(upload, reports[index]) }
+            : fontService.saveFont(upload, reports[index].format, { uploadedBy })
+    ));
+    sendJson(res, 200, fonts);
+});
+
+// Adds and removes tags on many fonts in one request
+app.post('/api/fonts/tags', parseJson, (req, res) => {
+    const errors = ValidationService.validateBulkTag(req.body);
+    if (errors.length > 0) {
+        throw new HttpError(400, errors.join('; '), { body: { errors } });
+    }
+    const { fontIds, add = [], remove = [] } = req.body;
+    const knownIds = fontService.getAllFontIds();
+    const missing = fontIds.filter(id => !knownIds.has(id));
+    if (missing.length > 0) {
+        throw new HttpError(400, `Unknown font IDs: ${missing.join(', ')}`, { body: { missing } });
+    }
+    sendJson(res, 200, { fonts: tagService.tagFonts(fontIds, { add, remove }) });
+});
+
+app.get('/api/fonts/:id', (req, res) => {
+    const font = fontService.getFont(req.params.id);
+    if (!font) {
+        throw new HttpError(404, 'Font not found');
+    }
+    sendJson(res, 200, font);
+});
+
+// Query: set (repeatable; latin-1, latin-ext-a, vietnamese, cyrillic, greek;
+// all by default) and chars, extra characters to check as a 'custom' set
+function getCoverageOptions(query) {
+    const chars = typeof query.chars === 'string' ? query.chars : null;
+    if (chars && Array.from(chars).length > MAX_COVERAGE_CHARS) {
+        throw new HttpError(400, `chars can list at most ${MAX_COVERAGE_CHARS} characters`);
+    }
+    return { sets: parseList(query, 'set'), chars };
+}
+
+app.get('/api/fonts/:id/coverage', (req, res) => {
+    const coverage = coverageService.getFontCoverage(req.params.id, getCoverageOptions(req.query));
+    if (!coverage) {
+        throw new HttpError(404, 'Font not found');
+    }
+    sendJson(res, 200, coverage);
+});
+
+function sendSvg(res, svg) {
+    res.writeHead(200, { 'Content-Type': 'image/svg+xml; charset=utf-8' });
+    res.end(svg);
+}
+
+// Query: text (newlines start new lines) and size in pixels
+app.get('/api/fonts/:id/specimen.svg', (req, res) => {
+    const svg = specimenService.renderFontSpecimen(req.params.id, resolveSpecimenOptions(req.query));
+    if (!svg) {
+        throw new HttpError(404, 'Font not found');
+    }
+    sendSvg(res, svg);
+});
+
+app.get('/api/fonts/:id/metrics', (req, res) => {
+    const result = metricsService.getFontMetrics(req.params.id);
+    if (!result) {
+        throw new HttpError(404, 'Font not found');
+    }
+    if (result.error) {
+        throw new HttpError(422, `Cannot read metrics of ${result.name}: ${result.error}`);
+    }
+    sendJson(res, 200, result);
+});
+
+// Body: { licensee, seats, expiresAt, media, notes }; replaces the record
+app.put('/api/fonts/:id/license', parseJson, (req, res) => {
+    sendJson(res, 200, licenseService.setRecord(req.params.id, req.body, { author: ValidationService.getRequestAuthor(req) }));
+});
+
+// Body: { reason }. Lets a restricted font into CSS and exports.
+app.put('/api/fonts/:id/license/override', parseJson, (req, res) => {
+    sendJson(res, 200, licenseService.setOverride(req.params.id, req.body, { author: ValidationService.getRequestAuthor(req) }));
+});
+
+app.delete('/api/fonts/:id/license/override', (req, res) => {
+    sendJson(res, 200, licenseService.clearOverride(req.params.id));
+});
+
+// Multipart with a single 'document' file
+app.post('/api/fonts/:id/license/document', requireMultipart, async (req, res) => {
+    licenseService.getEntry(req.params.id);
+    const { files } = await parseMultipart(req, {
+        boundary: req.boundary,
+        uploadDir: fontService.tempDir,
+        maxFileSize: MAX_LICENSE_DOCUMENT_SIZE,
+        maxFiles: 1,
+        fileFilter: (part) => part.fieldname === 'document'
+    });
+    if (files.length === 0) {
+        throw new HttpError(400, 'Expected a license document in the document field');
+    }
+    const upload = fontService.takeUpload(files[0]);
+    sendJson(res, 200, licenseService.attachDocument(req.params.id, upload, { author: ValidationService.getRequestAuthor(req) }));
+});
+
+app.get('/api/fonts/:id/license/document', (req, res) => {
+    const file = licenseService.openDocument(req.params.id);
+    if (!file) {
+        throw new HttpError(404, 'Font has no license document');
+    }
+    res.writeHead(200, {
+        'Content-Type': file.document.contentType,
+        'Content-Disposition': `attachment; filename="${file.document.filename.replace(/["\\\r\n]/g, '_')}"`
+    });
+    file.stream.on('error', (error) => {
+        console.error('Error streaming license document:', error);
+        res.destroy(error);
+    });
+    file.stream.pipe(res);
+});
+
+app.delete('/api/fonts/:id/license/document', (req, res) => {
+    const font = licenseService.removeDocument(req.params.id);
+    if (!font) {
+        throw new HttpError(404, 'Font has no license document');
+    }
+    sendJson(res, 200, font);
+});
+
+app.patch('/api/fonts/:id', parseJson, (req, res) => {
+    const changes = req.body;
+    const errors = ValidationService.validateFontUpdate(changes);
+    if (errors.length > 0) {
+        throw new HttpError(400, errors.join('; '), { body: { errors } });
+    }
+    if (typeof changes.displayName === 'string') {
+        changes.displayName = changes.displayName.trim() || null;
+    }
+    if (changes.tags) {
+        changes.tags = TagService.mergeTags(changes.tags.map(tag => tag.trim()));
+    }
+    const font = fontService.updateFont(req.params.id, changes);
+    if (!font) {
+        throw new HttpError(404, 'Font not found');
+    }
+    sendJson(res, 200, font);
+});
+
+// Fonts used by groups are refused with a 409 listing the groups, which is
+// also what cascade=reject asks for explicitly; cascade=remove deletes the
+// font anyway and drops it from those groups
+app.delete('/api/fonts/:id', async (req, res) => {
+    const { cascade } = req.query;
+    if (cascade !== undefined && cascade !== 'remove' && cascade !== 'reject') {
+        throw new HttpError(400, "cascade must be 'remove' or 'reject'");
+    }
+    const entry = fontService.getFontEntry(req.params.id);
+    const updatedGroups = entry ? await groupService.deleteFont(entry.id, () => fontService.deleteFont(entry.id), {
+        removeFromGroups: cascade === 'remove',
+        author: ValidationService.getRequestAuthor(req)
+    }) : null;
+    if (!updatedGroups) {
+        throw new HttpError(404, 'Font not found');
+    }
+    if (entry.licenseDocument) {
+        licenseService.deleteDocumentBlob(entry.licenseDocument.blobKey);
+    }
+    sendJson(res, 200, { message: 'Font deleted successfully', groups: updatedGroups });
+});
+
+function getTagName(body) {
+    if (!body || !ValidationService.isValidTag(body.name)) {
+        throw new HttpError(400, 'name must be a non-empty string of at most 50 characters');
+    }
+    return body.name.trim();
+}
+
+// Tags with the number of fonts carrying each
+app.get('/api/tags', (req, res) => {
+    sendJson(res, 200, tagService.getAllTags());
+});
+
+app.post('/api/tags', parseJson, (req, res) => {
+    const name = getTagName(req.body);
+    const tag = tagService.createTag(name);
+    if (!tag) {
+        throw new HttpError(409, `Tag '${name}' already exists`);
+    }
+    sendJson(res, 201, tag);
+});
+
+// Renames the tag on every font; the response lists the fonts that changed
+app.patch('/api/tags/:name', parseJson, (req, res) => {
+    const result = tagService.renameTag(req.params.name, getTagName(req.body));
+    if (!result) {
+        throw new HttpError(404, 'Tag not found');
+    }
+    sendJson(res, 200, result);
+});
+
+app.delete('/api/tags/:name', (req, res) => {
+    const fonts = tagService.deleteTag(req.params.name);
+    if (!fonts) {
+        throw new HttpError(404, 'Tag not found');
+    }
+    sendJson(res, 200, { message: 'Tag deleted successfully', fonts });
+});
+
+// Filters: containsFont (repeatable, all must match) and createdAfter
+app.get('/api/groups', (req, res) => {
+    const groups = GroupService.filterGroups(groupService.getAllGroups(), {
+        fontIds: parseList(req.query, 'containsFont'),
+        createdAfter: parseDate(req.query, 'createdAfter')
+    });
+    sendJson(res, 200, paginate(groups, req.query, { sortFields: GROUP_SORT_FIELDS, defaultSort: 'created' }));
+});
+
+app.post('/api/groups', parseJson, validateGroupBody, async (req, res) => {
+    const group = await groupService.createGroup(req.body, { author: ValidationService.getRequestAuthor(req) });
+    if (!group) {
+        throw new Error('Failed to create group');
+    }
+    sendJson(res, 201, group, { ETag: GroupService.getETag(group) });
+});
+
+// Proposed groups, one per uploaded family with several faces; see
+// lib/families.js. Registered before /api/groups/:id so it is not taken
+// for a group ID.
+app.get('/api/groups/suggestions', (req, res) => {
+    const items = suggestFamilyGroups(fontService.getAllFonts(), groupService.getAllGroups());
+    sendJson(res, 200, { items, total: items.length });
+});
+
+app.post('/api/groups/import', requireMultipart, async (req, res) => {
+    const { fields, files } = await parseMultipart(req, {
+        boundary: req.boundary,
+        uploadDir: fontService.tempDir,
+        maxFileSize: MAX_BUNDLE_SIZE,
+        maxFiles: 1,
+        fileFilter: (part) => part.fieldname === 'bundle'
+    });
+    if (files.length === 0) {
+        throw new HttpError(400, 'No bundle uploaded');
+    }
+    const result = await importService.importBundle(fontService.takeUpload(files[0]).data, {
+        uploadedBy: getUploadedBy(fields),
+        author: ValidationService.getRequestAuthor(req)
+    });
+    sendJson(res, result.group ? 201 : 422, result);
+});
+
+app.get('/api/groups/:id', (req, res) => {
+    const group = groupService.getGroup(req.params.id);
+    if (!group) {
+        throw new HttpError(404, 'Group not found');
+    }
+    sendJson(res, 200, group, { ETag: GroupService.getETag(group) });
+});
+
+app.put('/api/groups/:id', parseJson, validateGroupBody, async (req, res) => {
+    const group = await groupService.updateGroup(req.params.id, req.body, {
+        author: ValidationService.getRequestAuthor(req),
+        ifMatch: req.headers['if-match']
+    }).catch((error) => {
+        throw toConflictError(error);
+    });
+    if (!group) {
+        throw new HttpError(404, 'Group not found');
+    }
+    sendJson(res, 200, group, { ETag: GroupService.getETag(group) });
+});
+
+app.delete('/api/groups/:id', async (req, res) => {
+    const success = await groupService.deleteGroup(req.params.id, {
+        author: ValidationService.getRequestAuthor(req),
+        ifMatch: req.headers['if-match']
+    }).catch((error) => {
+        throw toConflictError(error);
+    });
+    if (!success) {
+        throw new HttpError(404, 'Group not found');
+    }
+    sendJson(res, 200, { message: 'Group deleted successfully' });
+});
+
+app.get('/api/groups/:id/coverage', (req, res) => {
+    const options = getCoverageOptions(req.query);
+    const group = groupService.getGroup(req.params.id);
+    if (!group) {
+        throw new HttpError(404, 'Group not found');
+    }
+    sendJson(res, 200, coverageService.getGroupCoverage(group, options));
+});
+
+app.get('/api/groups/:id/specimen.svg', (req, res) => {
+    const options = resolveSpecimenOptions(req.query);
+    const group = groupService.getGroup(req.params.id);
+    if (!group) {
+        throw new HttpError(404, 'Group not found');
+    }
+    sendSvg(res, specimenService.renderGroupSpecimen(group, options));
+});
+
+// Query: fallback, a system font (arial, times-new-roman, courier-new) or
+// auto (the default) to pick one per font
+app.get('/api/groups/:id/fallbacks', (req, res) => {
+    const fallback = req.query.fallback === undefined ? 'auto' : req.query.fallback;
+    const values = ['auto', ...Object.keys(FALLBACK_FONTS)];
+    if (!values.includes(fallback)) {
+        throw new HttpError(400, `fallback must be one of: ${values.join(', ')}`);
+    }
+    const group = groupService.getGroup(req.params.id);
+    if (!group) {
+        throw new HttpError(404, 'Group not found');
+    }
+    sendJson(res, 200, metricsService.getGroupFallbacks(group, { fallback }));
+});
+
+app.get('/api/groups/:id/license', (req, res) => {
+    const group = groupService.getGroup(req.params.id);
+    if (!group) {
+        throw new HttpError(404, 'Group not found');
+    }
+    sendJson(res, 200, licenseService.getGroupLicense(group));
+});
+
+app.get('/api/groups/:id/css', (req, res) => {
+    const { display } = req.query;
+    if (display !== undefined && !FONT_DISPLAY_VALUES.includes(display)) {
+        throw new HttpError(400, `display must be one of: ${FONT_DISPLAY_VALUES.join(', ')}`);
+    }
+    const group = groupService.getGroup(req.params.id);
+    if (!group) {
+        throw new HttpError(404, 'Group not found');
+    }
+    const allFonts = fontService.getAllFonts();
+    const groupFonts = (group.fonts || [])
+        .map(row => allFonts.find(font => font.id === row.selectedFont))
+        .filter(Boolean);
+    LicenseService.assertWebUse(groupFonts, 'generate CSS');
+    // Other formats of a face are only offered when they may be used too
+    const webFonts = allFonts.filter(font => font.licenseStatus.status !== 'restricted');
+    const css = buildGroupStylesheet(group, groupFonts, webFonts, {
+        baseUrl: process.env.PUBLIC_URL || `http://${req.headers.host}`,
+        display
+    });
+    res.writeHead(200, { 'Content-Type': 'text/css; charset=utf-8' });
+    res.end(css);
+});
+
+app.get('/api/groups/:id/export', async (req, res) => {
+    const group = groupService.getGroup(req.params.id);
+    if (!group) {
+        throw new HttpError(404, 'Group not found');
+    }
+    const groupFonts = (group.fonts || []).map(row => fontService.getFont(row.selectedFont)).filter(Boolean);
+    LicenseService.assertWebUse(groupFonts, 'export');
+    res.writeHead(200, {
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="${exportService.getBundleName(group)}.zip"`
+    });
+    // Once streaming has started the error handler can only cut the download short
+    await exportService.writeGroupBundle(group, res);
+});
+
+// Deleted groups keep their history; groups from before revisions were
+// recorded have none
+app.get('/api/groups/:id/revisions', (req, res) => {
+    const revisions = groupRevisionService.getRevisions(req.params.id);
+    if (revisions.length === 0 && !groupService.getGroup(req.params.id)) {
+        throw new HttpError(404, 'Group not found');
+    }
+    sendJson(res, 200, revisions);
+});
+
+app.get('/api/groups/:id/revisions/:rev', (req, res) => {
+    const { id, rev } = req.params;
+    const revision = /^\d+$/.test(rev) ? groupRevisionService.getRevision(id, Number(rev)) : null;
+    if (!revision) {
+        throw new HttpError(404, 'Revision not found');
+    }
+    sendJson(res, 200, revision);
+});
+
+app.post('/api/groups/:id/restore', parseJson, async (req, res) => {
+    const { id } = req.params;
+    const { rev } = req.body;
+    const revision = Number.isInteger(rev) ? groupRevisionService.getRevision(id, rev) : null;
+    if (!revision) {
+        throw new HttpError(404, 'Revision not found');
+    }
+    if (!revision.snapshot) {
+        throw new HttpError(400, 'Revision records a deletion; restore an earlier revision instead');
+    }
+    // Fonts may have been deleted or replaced since the revision was
+    // recorded, so the snapshot gets the same checks as an edit
+    assertValidGroup(revision.snapshot, 409);
+    const group = await groupService.restoreGroup(id, revision, { author: ValidationService.getRequestAuthor(req) });
+    if (!group) {
+        throw new Error('Failed to restore group');
+    }
+    sendJson(res, 200, group, { ETag: GroupService.getETag(group) });
+});
+
+// q is the search text; type (font or group) and limit are optional
+app.get('/api/search', (req, res) => {
+    const { q = '', type, limit = '20' } = req.query;
+    if (typeof q !== 'string' || q.length > 200) {
+        throw new HttpError(400, 'q must be a single search of at most 200 characters');
+    }
+    if (type !== undefined && type !== 'font' && type !== 'group') {
+        throw new HttpError(400, 'type must be font or group');
+    }
+    if (!/^\d+$/.test(limit) || Number(limit) < 1 || Number(limit) > MAX_SEARCH_RESULTS) {
+        throw new HttpError(400, `limit must be a whole number from 1 to ${MAX_SEARCH_RESULTS}`);
+    }
+    const results = searchService.search(q, { type: type || null, limit: Number(limit) });
+    sendJson(res, 200, { query: q, results });
+});
+
+app.get('/api/quarantine', requireAdmin, (req, res) => {
+    sendJson(res, 200, quarantineService.getAllEntries());
+});
+
+app.get('/api/quarantine/:id', requireAdmin, (req, res) => {
+    const entry = quarantineService.getEntry(req.params.id);
+    if (!entry) {
+        throw new HttpError(404, 'Quarantined font not found');
+    }
+    sendJson(res, 200, entry);
+});
+
+app.get('/api/quarantine/:id/file', requireAdmin, (req, res) => {
+    const entry = quarantineService.getEntry(req.params.id);
+    if (!entry) {
+        throw new HttpError(404, 'Quarantined font not found');
+    }
+    res.writeHead(200, {
+        'Content-Type': 'application/octet-stream',
+        'Content-Disposition': `attachment; filename="${entry.storedFile}"`
+    });
+    quarantineService.openEntryFile(entry).pipe(res);
+});
+
+app.post('/api/quarantine/:id/release', requireAdmin, (req, res) => {
+    const font = quarantineService.release(req.params.id, fontService);
+    if (!font) {
+        throw new HttpError(404, 'Quarantined font not found');
+    }
+    sendJson(res, 200, font);
+});
+
+app.delete('/api/quarantine/:id', requireAdmin, (req, res) => {
+    if (!quarantineService.discard(req.params.id)) {
+        throw new HttpError(404, 'Quarantined font not found');
+    }
+    sendJson(res, 200, { message: 'Quarantined font discarded' });
+});
+
+// Font files come from the blob store, which need not be a plain directory
+app.get('/uploads/fonts/:filename', (req, res) => {
+    let file = null;
+    try {
+        file = fontService.openFontFile(req.params.filename);
+    } catch (error) {
+        console.error('Error opening font file:', error);
+    }
+    if (!file) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Font not found');
+        return;
+    }
+    res.writeHead(200, { 'Content-Type': FONT_CONTENT_TYPES[file.font.format] || 'application/octet-stream' });
+    file.stream.on('error', (error) => {
+        console.error('Error streaming font file:', error);
+        res.destroy(error);
+    });
+    file.stream.pipe(res);
+});
+
+app.otherwise((req, res) => {
+    if (req.path.startsWith('/api/')) {
+        throw new HttpError(404, 'Not Found');
+    }
+    serveStatic(req, res);
+});
+
+const CLIENT_BUILD_DIR = path.join(__dirname, 'client', 'build');
+
+function sendNotFound(res) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not Found');
+}
+
+// Serves the client build, falling back to index.html for client-side routing.
+// Font files have their own route above, so anything under /uploads/ that got
+// here does not exist; paths that resolve outside the build are refused too,
+// which keeps data/ (quarantine, license documents) and the sources private.
+function serveStatic(req, res) {
+    let url;
+    try {
+        url = decodeURIComponent(req.path);
+    } catch (error) {
+        sendNotFound(res);
+        return;
+    }
+    if (url.startsWith('/uploads/')) {
+        sendNotFound(res);
+        return;
+    }
+    const filePath = path.resolve(CLIENT_BUILD_DIR, '.' + (url === '/' ? '/index.html' : url));
+    if (!filePath.startsWith(CLIENT_BUILD_DIR + path.sep)) {
+        sendNotFound(res);
+        return;
+    }
+
+    const extname = String(path.extname(filePath)).toLowerCase();
+    const mimeTypes = {
+        '.html': 'text/html',
+        '.js': 'text/javascript',
+        '.css': 'text/css',
+        '.json': 'application/json',
+        '.png': 'image/png',
+        '.jpg': 'image/jpg',
+        '.gif': 'image/gif',
+        '.svg': 'image/svg+xml',
+        '.wav': 'audio/wav',
+        '.mp4': 'video/mp4',
+        '.woff': 'application/font-woff',
+        '.woff2': 'font/woff2',
+        '.ttf': 'application/font-ttf',
+        '.eot': 'application/vnd.ms-fontobject',
+        '.otf': 'application/font-otf',
+        '.wasm': 'application/wasm'
+    };
+
+    const contentType = mimeTypes[extname] || 'application/octet-stream';
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            if(error.code == 'ENOENT'){
+                // If file not found, serve index.html for client-side routing
+                fs.readFile(path.join(CLIENT_BUILD_DIR, 'index.html'), (err, cont) => {
+                    if (err) {
+                        res.writeHead(500);
+                        res.end('Sorry, check with the site admin for error: '+err.code+' ..\n');
+                    } else {
+                        res.writeHead(200, { 'Content-Type': 'text/html' });
+                        res.end(cont, 'utf-8');
+                    }
+                });
+            }
+            else {
+                res.writeHead(500);
+                res.end('Sorry, check with the site admin for error: '+error.code+' ..\n');
+            }
+        } else {
+            res.writeHead(200, { 'Content-Type': contentType });
+            res.end(content, 'utf-8');
+        }
+    });
+}
+
+const server = http.createServer(app.handler());
 
 const PORT = process.env.PORT || 5000;
 server.listen(PORT, () => {